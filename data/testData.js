@@ -1,3 +0,0 @@
-var nodes_tree = {"filteredBy": null, "filtered": false, "nodeName": "master", "children": {"abc": {"index": 4, "nodeName": "abc", "children": {"abc03": {"index": 5, "nodeName": "abc_abc03", "children": {"br01.abc03": {"index": 7, "nodeName": "abc_abc03_br01.abc03"}, "br02.abc03": {"index": 6, "nodeName": "abc_abc03_br02.abc03"}, "br03.abc03": {"index": 33, "nodeName": "abc_abc03_br03.abc03"}, "br04.abc03": {"index": 32, "nodeName": "abc_abc03_br04.abc03"}}}}}, "cbf": {"index": 45, "nodeName": "cbf", "children": {"cbf02": {"index": 75, "nodeName": "cbf_cbf02", "children": {"br02.cbf02": {"index": 77, "nodeName": "cbf_cbf02_br02.cbf02"}, "br04.cbf02": {"index": 76, "nodeName": "cbf_cbf02_br04.cbf02"}}}, "cbf01": {"index": 46, "nodeName": "cbf_cbf01", "children": {"br03.cbf01": {"index": 48, "nodeName": "cbf_cbf01_br03.cbf01"}, "br01.cbf01": {"index": 47, "nodeName": "cbf_cbf01_br01.cbf01"}}}}}, "grq": {"index": 29, "nodeName": "grq", "children": {"grq02": {"index": 30, "nodeName": "grq_grq02", "children": {"br02.grq02": {"index": 34, "nodeName": "grq_grq02_br02.grq02"}, "br03.grq02": {"index": 89, "nodeName": "grq_grq02_br03.grq02"}, "br01.grq02": {"index": 31, "nodeName": "grq_grq02_br01.grq02"}, "br04.grq02": {"index": 90, "nodeName": "grq_grq02_br04.grq02"}}}}}, "bcd": {"index": 0, "nodeName": "bcd", "children": {"bcd09": {"index": 1, "nodeName": "bcd_bcd09", "children": {"br01.bcd09": {"index": 2, "nodeName": "bcd_bcd09_br01.bcd09"}, "br03.bcd09": {"index": 68, "nodeName": "bcd_bcd09_br03.bcd09"}, "br02.bcd09": {"index": 3, "nodeName": "bcd_bcd09_br02.bcd09"}, "br04.bcd09": {"index": 69, "nodeName": "bcd_bcd09_br04.bcd09"}}}}}, "jkl": {"index": 8, "nodeName": "jkl", "children": {"jkl05": {"index": 9, "nodeName": "jkl_jkl05", "children": {"br01.jkl05": {"index": 10, "nodeName": "jkl_jkl05_br01.jkl05"}, "br03.jkl05": {"index": 43, "nodeName": "jkl_jkl05_br03.jkl05"}}}, "jkl11": {"index": 39, "nodeName": "jkl_jkl11", "children": {"br02.jkl11": {"index": 40, "nodeName": "jkl_jkl11_br02.jkl11"}, "br04.jkl11": {"index": 44, "nodeName": "jkl_jkl11_br04.jkl11"}}}}}, "tuv": {"index": 11, "nodeName": "tuv", "children": {"tuv07": {"index": 12, "nodeName": "tuv_tuv07", "children": {"br02.tuv07": {"index": 14, "nodeName": "tuv_tuv07_br02.tuv07"}, "br01.tuv07": {"index": 13, "nodeName": "tuv_tuv07_br01.tuv07"}, "br04.tuv07": {"index": 59, "nodeName": "tuv_tuv07_br04.tuv07"}, "br03.tuv07": {"index": 58, "nodeName": "tuv_tuv07_br03.tuv07"}}}}}, "ijk": {"index": 20, "nodeName": "ijk", "children": {"ijk07": {"index": 21, "nodeName": "ijk_ijk07", "children": {"br02.ijk07": {"index": 23, "nodeName": "ijk_ijk07_br02.ijk07"}, "br01.ijk07": {"index": 22, "nodeName": "ijk_ijk07_br01.ijk07"}}}}}, "lpp": {"index": 71, "nodeName": "lpp", "children": {"lpp01": {"index": 72, "nodeName": "lpp_lpp01", "children": {"br02.lpp01": {"index": 74, "nodeName": "lpp_lpp01_br02.lpp01"}, "br01.lpp01": {"index": 73, "nodeName": "lpp_lpp01_br01.lpp01"}, "br04.lpp01": {"index": 85, "nodeName": "lpp_lpp01_br04.lpp01"}, "br03.lpp01": {"index": 84, "nodeName": "lpp_lpp01_br03.lpp01"}}}}}, "dls": {"index": 15, "nodeName": "dls", "children": {"dls03": {"index": 16, "nodeName": "dls_dls03", "children": {"br04.dls03": {"index": 42, "nodeName": "dls_dls03_br04.dls03"}, "br02.dls03": {"index": 17, "nodeName": "dls_dls03_br02.dls03"}}}, "dls01": {"index": 18, "nodeName": "dls_dls01", "children": {"br03.dls01": {"index": 41, "nodeName": "dls_dls01_br03.dls01"}, "br01.dls01": {"index": 19, "nodeName": "dls_dls01_br01.dls01"}}}}}, "cde": {"index": 35, "nodeName": "cde", "children": {"cde01": {"index": 36, "nodeName": "cde_cde01", "children": {"br04.cde01": {"index": 51, "nodeName": "cde_cde01_br04.cde01"}, "br01.cde01": {"index": 37, "nodeName": "cde_cde01_br01.cde01"}, "br02.cde01": {"index": 49, "nodeName": "cde_cde01_br02.cde01"}, "br03.cde01": {"index": 50, "nodeName": "cde_cde01_br03.cde01"}}}}}, "chs": {"index": 52, "nodeName": "chs", "children": {"chs01": {"index": 53, "nodeName": "chs_chs01", "children": {"br01.chs01": {"index": 54, "nodeName": "chs_chs01_br01.chs01"}, "br04.chs01": {"index": 57, "nodeName": "chs_chs01_br04.chs01"}, "br03.chs01": {"index": 56, "nodeName": "chs_chs01_br03.chs01"}, "br02.chs01": {"index": 55, "nodeName": "chs_chs01_br02.chs01"}}}}}, "xyz": {"index": 78, "nodeName": "xyz", "children": {"xyz01": {"index": 79, "nodeName": "xyz_xyz01", "children": {"br02.xyz01": {"index": 81, "nodeName": "xyz_xyz01_br02.xyz01"}, "br03.xyz01": {"index": 82, "nodeName": "xyz_xyz01_br03.xyz01"}, "br04.xyz01": {"index": 83, "nodeName": "xyz_xyz01_br04.xyz01"}, "br01.xyz01": {"index": 80, "nodeName": "xyz_xyz01_br01.xyz01"}}}}}, "mno": {"index": 24, "nodeName": "mno", "children": {"mno06": {"index": 27, "nodeName": "mno_mno06", "children": {"br01.mno06": {"index": 70, "nodeName": "mno_mno06_br01.mno06"}, "br03.mno06": {"index": 28, "nodeName": "mno_mno06_br03.mno06"}}}, "mno12": {"index": 25, "nodeName": "mno_mno12", "children": {"br02.mno12": {"index": 38, "nodeName": "mno_mno12_br02.mno12"}, "br04.mno12": {"index": 26, "nodeName": "mno_mno12_br04.mno12"}}}}}, "def": {"index": 64, "nodeName": "def", "children": {"def01": {"index": 65, "nodeName": "def_def01", "children": {"br01.def01": {"index": 66, "nodeName": "def_def01_br01.def01"}, "br02.def01": {"index": 67, "nodeName": "def_def01_br02.def01"}, "br03.def01": {"index": 91, "nodeName": "def_def01_br03.def01"}, "br04.def01": {"index": 92, "nodeName": "def_def01_br04.def01"}}}}}, "bru": {"index": 60, "nodeName": "bru", "children": {"bru01": {"index": 61, "nodeName": "bru_bru01", "children": {"br01.bru01": {"index": 62, "nodeName": "bru_bru01_br01.bru01"}, "br03.bru01": {"index": 63, "nodeName": "bru_bru01_br03.bru01"}}}, "bru02": {"index": 86, "nodeName": "bru_bru02", "children": {"br04.bru02": {"index": 88, "nodeName": "bru_bru02_br04.bru02"}, "br02.bru02": {"index": 87, "nodeName": "bru_bru02_br02.bru02"}}}}}}};
-var nodes_list = [{"neighbors": {"24": 11, "52": 7, "35": 4, "4": 1}, "x": 837.9688711980848, "type": "metro", "nodeName": "bcd", "y": 446.74021748958961}, {"neighbors": {"25": 16, "27": 12, "36": 5, "5": 2, "53": 8}, "nodeName": "bcd_bcd09", "attribute": 1.297781651381519, "y": 458.52869888912994, "x": 832.55224968980815, "type": "pop"}, {"neighbors": {"3": 0, "68": 10, "37": 6, "70": 13, "7": 3, "54": 9}, "attribute": 9.2180379437694508, "type": "router", "nodeName": "bcd_bcd09_br01.bcd09"}, {"neighbors": {"2": 14, "69": 20, "38": 17, "49": 18, "55": 19, "6": 15}, "attribute": 3.5729227543156599, "type": "router", "nodeName": "bcd_bcd09_br02.bcd09"}, {"neighbors": {"0": 21, "60": 32, "11": 25, "20": 28}, "x": 615.89117963547778, "type": "metro", "nodeName": "abc", "y": 703.19184026289804}, {"neighbors": {"1": 22, "12": 26, "21": 29, "86": 33, "61": 40}, "nodeName": "abc_abc03", "attribute": 1.777409998538547, "y": 703.82433421087705, "x": 613.89569371122025, "type": "pop"}, {"neighbors": {"32": 31, "3": 23, "7": 24, "87": 34, "14": 27, "23": 30}, "attribute": 5.7784096571094627, "type": "router", "nodeName": "abc_abc03_br02.abc03"}, {"neighbors": {"33": 39, "2": 35, "6": 36, "13": 37, "22": 38, "62": 41}, "attribute": 5.8080457128486698, "type": "router", "nodeName": "abc_abc03_br01.abc03"}, {"neighbors": {"35": 48, "11": 42, "52": 54, "78": 57, "15": 45}, "x": 885.4683727662657, "type": "metro", "nodeName": "jkl", "y": 586.39967057769479}, {"neighbors": {"36": 49, "39": 51, "12": 43, "79": 58, "18": 46, "53": 55}, "nodeName": "jkl_jkl05", "attribute": 5.3387549246399164, "y": 599.00675223182702, "x": 877.66389965553185, "type": "pop"}, {"neighbors": {"37": 50, "40": 52, "43": 53, "13": 44, "80": 59, "19": 47, "54": 56}, "attribute": 4.3493443935144631, "type": "router", "nodeName": "jkl_jkl05_br01.jkl05"}, {"neighbors": {"35": 70, "4": 60, "8": 63, "45": 73, "15": 67, "24": 77}, "x": 106.98657531262855, "type": "metro", "nodeName": "tuv", "y": 409.1765965542632}, {"neighbors": {"36": 71, "5": 61, "39": 86, "9": 64, "75": 90, "46": 74, "16": 82, "18": 68, "25": 84, "27": 78}, "nodeName": "tuv_tuv07", "attribute": 2.9387005783918054, "y": 412.58072468259593, "x": 113.38251330050082, "type": "pop"}, {"neighbors": {"37": 72, "70": 79, "7": 62, "10": 65, "14": 66, "47": 75, "19": 69, "58": 76}, "attribute": 1.291271462233478, "type": "router", "nodeName": "tuv_tuv07_br01.tuv07"}, {"neighbors": {"6": 80, "38": 85, "49": 88, "40": 87, "13": 81, "77": 91, "17": 83, "59": 89}, "attribute": 4.7685416976406927, "type": "router", "nodeName": "tuv_tuv07_br02.tuv07"}, {"neighbors": {"8": 97, "11": 92, "45": 101}, "x": 737.49493191403008, "type": "metro", "nodeName": "dls", "y": 225.39966263404708}, {"neighbors": {"18": 95, "75": 102, "12": 93, "39": 98}, "nodeName": "dls_dls03", "attribute": 6.2855452717413991, "y": 231.55587659217576, "x": 750.6583097984053, "type": "pop"}, {"neighbors": {"40": 99, "42": 100, "19": 96, "77": 103, "14": 94}, "attribute": 3.2491374211929096, "type": "router", "nodeName": "dls_dls03_br02.dls03"}, {"neighbors": {"16": 108, "9": 104, "12": 106, "46": 111}, "nodeName": "dls_dls01", "attribute": 5.8078516918474046, "y": 222.78151267170099, "x": 753.79337626454787, "type": "pop"}, {"neighbors": {"17": 109, "10": 105, "47": 112, "13": 107, "41": 110}, "attribute": 9.3284558955505403, "type": "router", "nodeName": "dls_dls01_br01.dls01"}, {"neighbors": {"64": 118, "4": 113}, "x": 520.17263251832196, "type": "metro", "nodeName": "ijk", "y": 384.90163362462556}, {"neighbors": {"65": 119, "5": 114}, "nodeName": "ijk_ijk07", "attribute": 1.7056233284742377, "y": 388.33708294807093, "x": 516.57205192373362, "type": "pop"}, {"neighbors": {"91": 121, "33": 117, "66": 120, "23": 116, "7": 115}, "attribute": 1.4784899140309413, "type": "router", "nodeName": "ijk_ijk07_br01.ijk07"}, {"neighbors": {"32": 124, "67": 125, "92": 126, "22": 123, "6": 122}, "attribute": 2.3690348830570267, "type": "router", "nodeName": "ijk_ijk07_br02.ijk07"}, {"neighbors": {"0": 133, "11": 130, "60": 136, "29": 139}, "x": 693.58457137423045, "type": "metro", "nodeName": "mno", "y": 207.6700863476963}, {"neighbors": {"1": 134, "27": 127, "12": 131, "30": 140, "86": 137}, "nodeName": "mno_mno12", "attribute": 8.8891218857406464, "y": 188.06986870265055, "x": 709.71617874897584, "type": "pop"}, {"neighbors": {"69": 135, "38": 129, "88": 138, "90": 141, "59": 132, "28": 128}, "attribute": 6.0110905939830577, "type": "router", "nodeName": "mno_mno12_br04.mno12"}, {"neighbors": {"25": 142, "12": 144, "61": 146, "30": 151, "1": 148}, "nodeName": "mno_mno06", "attribute": 7.9626627039261182, "y": 208.9786222316373, "x": 675.33149193839631, "type": "pop"}, {"neighbors": {"68": 149, "70": 150, "89": 152, "26": 143, "58": 145, "63": 147}, "attribute": 3.973241255222467, "type": "router", "nodeName": "mno_mno06_br03.mno06"}, {"neighbors": {"64": 154, "24": 157}, "x": 639.30850696635582, "type": "metro", "nodeName": "grq", "y": 605.21624129325505}, {"neighbors": {"65": 155, "27": 158, "25": 174}, "nodeName": "grq_grq02", "attribute": 2.6980146890301029, "y": 614.9836717706138, "x": 628.32139790389556, "type": "pop"}, {"neighbors": {"89": 160, "34": 153, "66": 156, "70": 159}, "attribute": 1.0866337552364818, "type": "router", "nodeName": "grq_grq02_br01.grq02"}, {"neighbors": {"33": 163, "69": 165, "6": 161, "23": 162, "88": 166, "59": 164}, "attribute": 3.5595741181399987, "type": "router", "nodeName": "abc_abc03_br04.abc03"}, {"neighbors": {"32": 169, "68": 172, "7": 167, "22": 168, "58": 170, "63": 171}, "attribute": 3.5588437571515716, "type": "router", "nodeName": "abc_abc03_br03.abc03"}, {"neighbors": {"90": 177, "67": 176, "38": 175, "31": 173}, "attribute": 4.4826427678031484, "type": "router", "nodeName": "grq_grq02_br02.grq02"}, {"neighbors": {"0": 178, "8": 181, "11": 184, "52": 189}, "x": 375.61314618732939, "type": "metro", "nodeName": "cde", "y": 531.55455527780884}, {"neighbors": {"1": 179, "39": 255, "12": 185, "53": 190, "9": 182}, "nodeName": "cde_cde01", "attribute": 5.1211712456348009, "y": 529.39877742136753, "x": 365.54531070268843, "type": "pop"}, {"neighbors": {"2": 180, "10": 183, "13": 186, "49": 187, "50": 188, "54": 191}, "attribute": 4.4359571810794129, "type": "router", "nodeName": "cde_cde01_br01.cde01"}, {"neighbors": {"34": 195, "3": 192, "70": 196, "14": 193, "87": 197, "26": 194}, "attribute": 5.0248061076101926, "type": "router", "nodeName": "mno_mno12_br02.mno12"}, {"neighbors": {"36": 205, "9": 198, "12": 200, "79": 209, "16": 202, "53": 207}, "nodeName": "jkl_jkl11", "attribute": 1.1654012940892602, "y": 580.89967165513542, "x": 884.01944971376656, "type": "pop"}, {"neighbors": {"81": 210, "49": 206, "10": 199, "44": 204, "14": 201, "17": 203, "55": 208}, "attribute": 7.222261355242189, "type": "router", "nodeName": "jkl_jkl11_br02.jkl11"}, {"neighbors": {"48": 214, "43": 213, "42": 212, "19": 211, "58": 215}, "attribute": 2.9274905493690095, "type": "router", "nodeName": "dls_dls01_br03.dls01"}, {"neighbors": {"76": 220, "17": 216, "59": 219, "44": 218, "41": 217}, "attribute": 1.4273978711001769, "type": "router", "nodeName": "dls_dls03_br04.dls03"}, {"neighbors": {"41": 222, "10": 221, "44": 223, "82": 227, "50": 224, "56": 225, "58": 226}, "attribute": 1.4922106513943048, "type": "router", "nodeName": "jkl_jkl05_br03.jkl05"}, {"neighbors": {"83": 234, "40": 228, "42": 229, "43": 230, "51": 231, "57": 232, "59": 233}, "attribute": 8.834000319288446, "type": "router", "nodeName": "jkl_jkl11_br04.jkl11"}, {"neighbors": {"11": 235, "78": 244, "15": 238}, "x": 571.56285151745101, "type": "metro", "nodeName": "cbf", "y": 230.02692546420496}, {"neighbors": {"18": 239, "75": 242, "12": 236, "79": 245}, "nodeName": "cbf_cbf01", "attribute": 3.9023147421569169, "y": 225.35568751669368, "x": 583.63873241314559, "type": "pop"}, {"neighbors": {"48": 241, "80": 246, "19": 240, "13": 237, "77": 243}, "attribute": 4.360376193951863, "type": "router", "nodeName": "cbf_cbf01_br01.cbf01"}, {"neighbors": {"41": 247, "58": 249, "76": 250, "82": 251, "47": 248}, "attribute": 1.8076998133455937, "type": "router", "nodeName": "cbf_cbf01_br03.cbf01"}, {"neighbors": {"3": 252, "37": 254, "40": 256, "14": 253, "51": 257, "55": 258}, "attribute": 1.1342777671946978, "type": "router", "nodeName": "cde_cde01_br02.cde01"}, {"neighbors": {"68": 264, "37": 259, "43": 260, "51": 261, "56": 262, "58": 263}, "attribute": 8.3186368075362935, "type": "router", "nodeName": "cde_cde01_br03.cde01"}, {"neighbors": {"69": 270, "44": 265, "49": 266, "50": 267, "57": 268, "59": 269}, "attribute": 2.8000898146182993, "type": "router", "nodeName": "cde_cde01_br04.cde01"}, {"neighbors": {"0": 271, "8": 274, "35": 277}, "x": 672.59383844223487, "type": "metro", "nodeName": "chs", "y": 177.95532657820121}, {"neighbors": {"1": 272, "39": 283, "36": 278, "9": 275}, "nodeName": "chs_chs01", "attribute": 1.4307893158966805, "y": 165.24314350809229, "x": 673.22329480484245, "type": "pop"}, {"neighbors": {"56": 281, "2": 273, "55": 280, "10": 276, "37": 279}, "attribute": 4.6279024232293411, "type": "router", "nodeName": "chs_chs01_br01.chs01"}, {"neighbors": {"40": 284, "49": 285, "3": 282, "54": 286, "57": 287}, "attribute": 3.9178883919092105, "type": "router", "nodeName": "chs_chs01_br02.chs01"}, {"neighbors": {"57": 291, "50": 289, "43": 288, "68": 292, "54": 290}, "attribute": 5.4338055422495888, "type": "router", "nodeName": "chs_chs01_br03.chs01"}, {"neighbors": {"56": 296, "51": 294, "44": 293, "69": 297, "55": 295}, "attribute": 2.157025744978418, "type": "router", "nodeName": "chs_chs01_br04.chs01"}, {"neighbors": {"33": 300, "41": 301, "43": 302, "13": 298, "48": 303, "50": 304, "59": 305, "28": 299}, "attribute": 3.1128735717624236, "type": "router", "nodeName": "tuv_tuv07_br03.tuv07"}, {"neighbors": {"32": 308, "76": 313, "42": 309, "44": 310, "14": 306, "51": 311, "26": 307, "58": 312}, "attribute": 4.3544496310928436, "type": "router", "nodeName": "tuv_tuv07_br04.tuv07"}, {"neighbors": {"64": 318, "24": 321, "4": 314}, "x": 744.63075161292784, "type": "metro", "nodeName": "bru", "y": 183.08537462388784}, {"neighbors": {"65": 319, "27": 322, "5": 315, "86": 324}, "nodeName": "bru_bru01", "attribute": 5.8745788929132496, "y": 179.38236033564692, "x": 737.37266644391912, "type": "pop"}, {"neighbors": {"87": 325, "66": 320, "63": 317, "70": 323, "7": 316}, "attribute": 1.5026330422740051, "type": "router", "nodeName": "bru_bru01_br01.bru01"}, {"neighbors": {"88": 329, "33": 327, "91": 330, "28": 326, "62": 328}, "attribute": 9.2814663048804498, "type": "router", "nodeName": "bru_bru01_br03.bru01"}, {"neighbors": {"60": 337, "20": 331, "29": 334, "71": 341}, "x": 256.32378434670989, "type": "metro", "nodeName": "def", "y": 643.26922965916697}, {"neighbors": {"72": 342, "86": 349, "21": 332, "30": 335, "61": 338}, "nodeName": "def_def01", "attribute": 9.8558336823660166, "y": 636.45736666519667, "x": 238.60794513088189, "type": "pop"}, {"neighbors": {"67": 340, "73": 343, "22": 333, "91": 344, "62": 339, "31": 336}, "attribute": 3.2621000406908989, "type": "router", "nodeName": "def_def01_br01.def01"}, {"neighbors": {"34": 346, "74": 348, "23": 345, "66": 347, "87": 350, "92": 351}, "attribute": 1.5352031853426107, "type": "router", "nodeName": "def_def01_br02.def01"}, {"neighbors": {"33": 354, "2": 352, "69": 357, "50": 355, "56": 356, "28": 353}, "attribute": 7.0149210093563621, "type": "router", "nodeName": "bcd_bcd09_br03.bcd09"}, {"neighbors": {"32": 360, "3": 358, "68": 363, "51": 361, "57": 362, "26": 359}, "attribute": 6.0122941113417276, "type": "router", "nodeName": "bcd_bcd09_br04.bcd09"}, {"neighbors": {"2": 364, "38": 368, "13": 365, "28": 366, "62": 369, "31": 367}, "attribute": 4.7044085831055238, "type": "router", "nodeName": "mno_mno06_br01.mno06"}, {"neighbors": {"64": 370}, "x": 429.64742194631197, "type": "metro", "nodeName": "lpp", "y": 413.44213645802836}, {"neighbors": {"65": 371}, "nodeName": "lpp_lpp01", "attribute": 1.5602452591631821, "y": 432.15892946315603, "x": 426.16876517894656, "type": "pop"}, {"neighbors": {"66": 372, "84": 374, "74": 373}, "attribute": 7.4479225777909601, "type": "router", "nodeName": "lpp_lpp01_br01.lpp01"}, {"neighbors": {"73": 376, "67": 375, "85": 377}, "attribute": 4.6641020738356112, "type": "router", "nodeName": "lpp_lpp01_br02.lpp01"}, {"neighbors": {"16": 378, "12": 382, "46": 380, "79": 385}, "nodeName": "cbf_cbf02", "attribute": 9.9019603669358016, "y": 216.93139941309099, "x": 571.30518306176941, "type": "pop"}, {"neighbors": {"48": 381, "83": 386, "42": 379, "59": 383, "77": 384}, "attribute": 9.7219680596822808, "type": "router", "nodeName": "cbf_cbf02_br04.cbf02"}, {"neighbors": {"17": 388, "76": 390, "81": 391, "14": 387, "47": 389}, "attribute": 2.7289326947457391, "type": "router", "nodeName": "cbf_cbf02_br02.cbf02"}, {"neighbors": {"8": 392, "45": 395}, "x": 529.77707946174155, "type": "metro", "nodeName": "xyz", "y": 127.21567704872069}, {"neighbors": {"9": 393, "75": 402, "46": 396, "39": 400}, "nodeName": "xyz_xyz01", "attribute": 2.5415032612689634, "y": 128.76690054178025, "x": 512.65813260152504, "type": "pop"}, {"neighbors": {"81": 398, "10": 394, "82": 399, "47": 397}, "attribute": 5.0695127439384606, "type": "router", "nodeName": "xyz_xyz01_br01.xyz01"}, {"neighbors": {"40": 401, "80": 404, "83": 405, "77": 403}, "attribute": 7.4780129212663864, "type": "router", "nodeName": "xyz_xyz01_br02.xyz01"}, {"neighbors": {"48": 407, "80": 408, "83": 409, "43": 406}, "attribute": 7.1235414417793939, "type": "router", "nodeName": "xyz_xyz01_br03.xyz01"}, {"neighbors": {"76": 411, "82": 413, "44": 410, "81": 412}, "attribute": 6.8528587198151989, "type": "router", "nodeName": "xyz_xyz01_br04.xyz01"}, {"neighbors": {"73": 414, "91": 416, "85": 415}, "attribute": 4.4085664073725503, "type": "router", "nodeName": "lpp_lpp01_br03.lpp01"}, {"neighbors": {"92": 419, "74": 417, "84": 418}, "attribute": 4.6099800783752904, "type": "router", "nodeName": "lpp_lpp01_br04.lpp01"}, {"neighbors": {"25": 422, "5": 420, "65": 426, "61": 424}, "nodeName": "bru_bru02", "attribute": 9.9762572939439167, "y": 174.62652381984466, "x": 758.87636831182249, "type": "pop"}, {"neighbors": {"88": 428, "67": 427, "62": 425, "38": 423, "6": 421}, "attribute": 7.1094332153983775, "type": "router", "nodeName": "bru_bru02_br02.bru02"}, {"neighbors": {"32": 430, "26": 429, "87": 432, "92": 433, "63": 431}, "attribute": 8.0785842263726995, "type": "router", "nodeName": "bru_bru02_br04.bru02"}, {"neighbors": {"90": 436, "91": 437, "28": 434, "31": 435}, "attribute": 6.2640489959941164, "type": "router", "nodeName": "grq_grq02_br03.grq02"}, {"neighbors": {"89": 440, "26": 438, "92": 441, "34": 439}, "attribute": 5.2532712083500224, "type": "router", "nodeName": "grq_grq02_br04.grq02"}, {"neighbors": {"66": 444, "84": 445, "22": 442, "89": 446, "92": 447, "63": 443}, "attribute": 5.9926114063946416, "type": "router", "nodeName": "def_def01_br03.def01"}, {"neighbors": {"67": 449, "85": 450, "23": 448, "88": 451, "90": 452, "91": 453}, "attribute": 7.2544239227658283, "type": "router", "nodeName": "def_def01_br04.def01"}];
-var links_list = [{"source": 2, "capacity": 9.3276117559754628, "type": "router", "target": 3, "utilization": 5.8643755948761855}, {"source": 0, "capacity": 9.4342566807016652, "type": "metro", "target": 4, "utilization": 1.1870614417282233}, {"source": 1, "capacity": 1.1139703823248062, "type": "pop", "target": 5, "utilization": 6.3901924658205269}, {"source": 2, "capacity": 5.9116800996062961, "type": "router", "target": 7, "utilization": 9.7390490815090303}, {"source": 0, "capacity": 2.7321376824008432, "type": "metro", "target": 35, "utilization": 5.593586058151848}, {"source": 1, "capacity": 2.0700313680861648, "type": "pop", "target": 36, "utilization": 6.391093884145433}, {"source": 2, "capacity": 6.4922935482275381, "type": "router", "target": 37, "utilization": 2.4086567505412977}, {"source": 0, "capacity": 5.4785008634179437, "type": "metro", "target": 52, "utilization": 1.8633297168631584}, {"source": 1, "capacity": 3.6870004847859708, "type": "pop", "target": 53, "utilization": 2.0530747158478686}, {"source": 2, "capacity": 7.8489043338401956, "type": "router", "target": 54, "utilization": 6.4099915544039305}, {"source": 2, "capacity": 5.0457689480328236, "type": "router", "target": 68, "utilization": 5.073769662350144}, {"source": 0, "capacity": 1.5101126999547492, "type": "metro", "target": 24, "utilization": 3.0063220638262202}, {"source": 1, "capacity": 7.6467287903666517, "type": "pop", "target": 27, "utilization": 3.5032136134144336}, {"source": 2, "capacity": 3.0788577216400155, "type": "router", "target": 70, "utilization": 9.396906126204513}, {"source": 3, "capacity": 2.7183527392363738, "type": "router", "target": 2, "utilization": 6.0203535973360784}, {"source": 3, "capacity": 4.8640092381307545, "type": "router", "target": 6, "utilization": 6.3634823661669699}, {"source": 1, "capacity": 6.3774051075720353, "type": "pop", "target": 25, "utilization": 6.7594508865529814}, {"source": 3, "capacity": 9.4910040108001255, "type": "router", "target": 38, "utilization": 2.2289462558021755}, {"source": 3, "capacity": 2.5502110132677287, "type": "router", "target": 49, "utilization": 5.136251821895069}, {"source": 3, "capacity": 4.8265995468870697, "type": "router", "target": 55, "utilization": 4.9810722208460749}, {"source": 3, "capacity": 1.1501976371693825, "type": "router", "target": 69, "utilization": 9.216510658072032}, {"source": 4, "capacity": 1.2816462642182647, "type": "metro", "target": 0, "utilization": 7.440617787632462}, {"source": 5, "capacity": 6.8424544920838137, "type": "pop", "target": 1, "utilization": 4.7387442764106114}, {"source": 6, "capacity": 1.3986490045990752, "type": "router", "target": 3, "utilization": 6.0368068771791803}, {"source": 6, "capacity": 3.159389154313355, "type": "router", "target": 7, "utilization": 4.5562837712890145}, {"source": 4, "capacity": 1.4482264224191412, "type": "metro", "target": 11, "utilization": 8.1523778344648878}, {"source": 5, "capacity": 6.7130764644870347, "type": "pop", "target": 12, "utilization": 3.8470303402608819}, {"source": 6, "capacity": 2.1756679765719253, "type": "router", "target": 14, "utilization": 4.6815581027302002}, {"source": 4, "capacity": 9.2874085556103338, "type": "metro", "target": 20, "utilization": 3.4647821624006907}, {"source": 5, "capacity": 4.5066413097946061, "type": "pop", "target": 21, "utilization": 1.4258616156850359}, {"source": 6, "capacity": 1.2387403959621714, "type": "router", "target": 23, "utilization": 6.0414981623161479}, {"source": 6, "capacity": 2.845944902244685, "type": "router", "target": 32, "utilization": 7.3194876665528179}, {"source": 4, "capacity": 2.8261830583886107, "type": "metro", "target": 60, "utilization": 8.9883807013764141}, {"source": 5, "capacity": 2.0520195343904515, "type": "pop", "target": 86, "utilization": 7.5619800141442859}, {"source": 6, "capacity": 4.5709944848974313, "type": "router", "target": 87, "utilization": 7.9553879942313355}, {"source": 7, "capacity": 6.989048835464156, "type": "router", "target": 2, "utilization": 4.6072333713396763}, {"source": 7, "capacity": 9.2236631143266603, "type": "router", "target": 6, "utilization": 4.256057617228465}, {"source": 7, "capacity": 6.6218090067241215, "type": "router", "target": 13, "utilization": 6.0100052802546182}, {"source": 7, "capacity": 8.0577800180064223, "type": "router", "target": 22, "utilization": 6.9326497566789005}, {"source": 7, "capacity": 9.3492205580285095, "type": "router", "target": 33, "utilization": 4.6912266380037675}, {"source": 5, "capacity": 7.9550176742929102, "type": "pop", "target": 61, "utilization": 9.5927411993195584}, {"source": 7, "capacity": 1.0478459953655408, "type": "router", "target": 62, "utilization": 9.1546988621286314}, {"source": 8, "capacity": 6.6899476693558535, "type": "metro", "target": 11, "utilization": 4.0452845857929898}, {"source": 9, "capacity": 1.0563941834380237, "type": "pop", "target": 12, "utilization": 2.7046882444552649}, {"source": 10, "capacity": 8.1944969794394407, "type": "router", "target": 13, "utilization": 6.6339740251427841}, {"source": 8, "capacity": 1.0489540308206262, "type": "metro", "target": 15, "utilization": 7.6127663822473037}, {"source": 9, "capacity": 2.7676561366272336, "type": "pop", "target": 18, "utilization": 6.3265968861951825}, {"source": 10, "capacity": 6.1005689957689642, "type": "router", "target": 19, "utilization": 6.8862225253822267}, {"source": 8, "capacity": 8.8083540988665483, "type": "metro", "target": 35, "utilization": 8.456845876376871}, {"source": 9, "capacity": 8.1278396941327955, "type": "pop", "target": 36, "utilization": 3.6889089759526978}, {"source": 10, "capacity": 2.6095786080908043, "type": "router", "target": 37, "utilization": 3.714204301356812}, {"source": 9, "capacity": 2.2012464381306036, "type": "pop", "target": 39, "utilization": 9.3589328628170705}, {"source": 10, "capacity": 2.3928323235168989, "type": "router", "target": 40, "utilization": 9.6713018034611338}, {"source": 10, "capacity": 5.6706684921066186, "type": "router", "target": 43, "utilization": 6.5810296640216084}, {"source": 8, "capacity": 1.4747917219646469, "type": "metro", "target": 52, "utilization": 2.5160043182845224}, {"source": 9, "capacity": 7.8389547310180809, "type": "pop", "target": 53, "utilization": 6.1262295243981271}, {"source": 10, "capacity": 7.1982272232516866, "type": "router", "target": 54, "utilization": 4.0307432241347971}, {"source": 8, "capacity": 6.5738226002748483, "type": "metro", "target": 78, "utilization": 6.1164048318769568}, {"source": 9, "capacity": 2.301973550843087, "type": "pop", "target": 79, "utilization": 6.7861007715699815}, {"source": 10, "capacity": 5.0343532560285515, "type": "router", "target": 80, "utilization": 3.4991281518079038}, {"source": 11, "capacity": 5.0870195930568851, "type": "metro", "target": 4, "utilization": 5.9579400752073202}, {"source": 12, "capacity": 8.2698872432609907, "type": "pop", "target": 5, "utilization": 7.8468079948205274}, {"source": 13, "capacity": 7.5941020728278215, "type": "router", "target": 7, "utilization": 8.5826047571243169}, {"source": 11, "capacity": 4.3598991370112827, "type": "metro", "target": 8, "utilization": 9.054012204246991}, {"source": 12, "capacity": 5.3200437700946299, "type": "pop", "target": 9, "utilization": 6.3762046862272959}, {"source": 13, "capacity": 4.2492988291082767, "type": "router", "target": 10, "utilization": 7.4004167989081253}, {"source": 13, "capacity": 8.074230084315408, "type": "router", "target": 14, "utilization": 5.6548276386487926}, {"source": 11, "capacity": 4.4636486670368019, "type": "metro", "target": 15, "utilization": 3.4924458929268329}, {"source": 12, "capacity": 2.7199361812741603, "type": "pop", "target": 18, "utilization": 1.0494507696262489}, {"source": 13, "capacity": 1.6527026333695278, "type": "router", "target": 19, "utilization": 6.7490557736791477}, {"source": 11, "capacity": 3.9829849914242565, "type": "metro", "target": 35, "utilization": 3.9095729399808103}, {"source": 12, "capacity": 7.1895522959759637, "type": "pop", "target": 36, "utilization": 3.6367172138904662}, {"source": 13, "capacity": 5.1651357796752517, "type": "router", "target": 37, "utilization": 6.8137172149837539}, {"source": 11, "capacity": 9.6389460365235085, "type": "metro", "target": 45, "utilization": 5.3551111419531434}, {"source": 12, "capacity": 2.3567392509983947, "type": "pop", "target": 46, "utilization": 8.6056876253894394}, {"source": 13, "capacity": 1.1551817939094324, "type": "router", "target": 47, "utilization": 4.9999209868250905}, {"source": 13, "capacity": 5.2301439557772946, "type": "router", "target": 58, "utilization": 9.8009268734009947}, {"source": 11, "capacity": 1.7265091701750346, "type": "metro", "target": 24, "utilization": 8.2341949090510873}, {"source": 12, "capacity": 2.0187784963099031, "type": "pop", "target": 27, "utilization": 8.9023481174239336}, {"source": 13, "capacity": 6.8108859513248152, "type": "router", "target": 70, "utilization": 8.1874674827102929}, {"source": 14, "capacity": 8.9559361892593916, "type": "router", "target": 6, "utilization": 9.5420615287036714}, {"source": 14, "capacity": 4.8592395301274642, "type": "router", "target": 13, "utilization": 2.708257583321354}, {"source": 12, "capacity": 8.9346442002071189, "type": "pop", "target": 16, "utilization": 3.7930331715889869}, {"source": 14, "capacity": 3.8473294844954942, "type": "router", "target": 17, "utilization": 9.6722167889157387}, {"source": 12, "capacity": 8.5366105955409672, "type": "pop", "target": 25, "utilization": 9.5010354849026974}, {"source": 14, "capacity": 2.8881725364903015, "type": "router", "target": 38, "utilization": 4.1274925354630376}, {"source": 12, "capacity": 8.32343350587022, "type": "pop", "target": 39, "utilization": 2.6316683876401834}, {"source": 14, "capacity": 6.4272730651157337, "type": "router", "target": 40, "utilization": 3.5959665979225615}, {"source": 14, "capacity": 9.2233650522618369, "type": "router", "target": 49, "utilization": 2.9070047568479236}, {"source": 14, "capacity": 6.6514130491110368, "type": "router", "target": 59, "utilization": 5.5313410978161599}, {"source": 12, "capacity": 9.3632800014399944, "type": "pop", "target": 75, "utilization": 2.0921075132272255}, {"source": 14, "capacity": 5.9312089359252642, "type": "router", "target": 77, "utilization": 2.4051192063531266}, {"source": 15, "capacity": 1.6957637316210827, "type": "metro", "target": 11, "utilization": 5.4143776704150364}, {"source": 16, "capacity": 7.9734928136115428, "type": "pop", "target": 12, "utilization": 2.4926905243799014}, {"source": 17, "capacity": 5.9238609964367033, "type": "router", "target": 14, "utilization": 9.5296793728183964}, {"source": 16, "capacity": 5.5287812427926655, "type": "pop", "target": 18, "utilization": 1.6314373928726691}, {"source": 17, "capacity": 3.9189946325416734, "type": "router", "target": 19, "utilization": 6.9876741167198855}, {"source": 15, "capacity": 9.4005378051194128, "type": "metro", "target": 8, "utilization": 5.3790681467862349}, {"source": 16, "capacity": 4.436364348738655, "type": "pop", "target": 39, "utilization": 5.5731651614849804}, {"source": 17, "capacity": 3.0034150440857572, "type": "router", "target": 40, "utilization": 8.5576116226491159}, {"source": 17, "capacity": 4.5647085019663987, "type": "router", "target": 42, "utilization": 4.2751716082219451}, {"source": 15, "capacity": 2.8185431126136891, "type": "metro", "target": 45, "utilization": 9.398465541113131}, {"source": 16, "capacity": 4.4720140929878482, "type": "pop", "target": 75, "utilization": 1.6987968502765196}, {"source": 17, "capacity": 1.7963153434418309, "type": "router", "target": 77, "utilization": 3.795221891098155}, {"source": 18, "capacity": 5.7105417415421478, "type": "pop", "target": 9, "utilization": 5.4923929221430647}, {"source": 19, "capacity": 5.6680831005311045, "type": "router", "target": 10, "utilization": 8.0662981447828557}, {"source": 18, "capacity": 1.0644846110703783, "type": "pop", "target": 12, "utilization": 2.8578624466105849}, {"source": 19, "capacity": 2.8182822327539632, "type": "router", "target": 13, "utilization": 6.8296630577371191}, {"source": 18, "capacity": 2.1275596538135044, "type": "pop", "target": 16, "utilization": 1.0777711928352756}, {"source": 19, "capacity": 6.0892074729475993, "type": "router", "target": 17, "utilization": 5.3829304159060083}, {"source": 19, "capacity": 6.0097293959777636, "type": "router", "target": 41, "utilization": 9.6107908292545439}, {"source": 18, "capacity": 9.4722818566992935, "type": "pop", "target": 46, "utilization": 8.4378699040210172}, {"source": 19, "capacity": 6.5009492209245607, "type": "router", "target": 47, "utilization": 6.7965972285169007}, {"source": 20, "capacity": 8.6527782112002907, "type": "metro", "target": 4, "utilization": 2.0864866435976417}, {"source": 21, "capacity": 4.3769302804599572, "type": "pop", "target": 5, "utilization": 3.0664017389134184}, {"source": 22, "capacity": 6.6420958246096999, "type": "router", "target": 7, "utilization": 7.9222146756120244}, {"source": 22, "capacity": 9.5846228874604389, "type": "router", "target": 23, "utilization": 2.5668709553032127}, {"source": 22, "capacity": 8.045404884325615, "type": "router", "target": 33, "utilization": 7.4419022946423903}, {"source": 20, "capacity": 8.5041935896824903, "type": "metro", "target": 64, "utilization": 2.7144308295073323}, {"source": 21, "capacity": 9.2184586521142613, "type": "pop", "target": 65, "utilization": 7.0002045305627787}, {"source": 22, "capacity": 1.8751521703618321, "type": "router", "target": 66, "utilization": 7.0085285564964721}, {"source": 22, "capacity": 6.3549316027237541, "type": "router", "target": 91, "utilization": 5.4000873616090121}, {"source": 23, "capacity": 5.6204592137085019, "type": "router", "target": 6, "utilization": 1.0965932472111142}, {"source": 23, "capacity": 6.3231018313765066, "type": "router", "target": 22, "utilization": 8.4075455583092307}, {"source": 23, "capacity": 9.8150935320967285, "type": "router", "target": 32, "utilization": 5.058490381972427}, {"source": 23, "capacity": 4.6513981504791149, "type": "router", "target": 67, "utilization": 2.0128065725766175}, {"source": 23, "capacity": 5.5912568310326085, "type": "router", "target": 92, "utilization": 9.1133224711152838}, {"source": 25, "capacity": 9.1629866944430169, "type": "pop", "target": 27, "utilization": 1.5301375587139385}, {"source": 26, "capacity": 6.1545953428767675, "type": "router", "target": 28, "utilization": 9.528264731332019}, {"source": 26, "capacity": 2.4429417062659029, "type": "router", "target": 38, "utilization": 1.3310196095534343}, {"source": 24, "capacity": 4.3316197852205596, "type": "metro", "target": 11, "utilization": 3.0741501927323149}, {"source": 25, "capacity": 2.3006602906204474, "type": "pop", "target": 12, "utilization": 5.7559209331242966}, {"source": 26, "capacity": 2.050110883509249, "type": "router", "target": 59, "utilization": 6.1217672400449308}, {"source": 24, "capacity": 6.5874601426091832, "type": "metro", "target": 0, "utilization": 5.649671701257577}, {"source": 25, "capacity": 1.9974429886661231, "type": "pop", "target": 1, "utilization": 9.0212627948887665}, {"source": 26, "capacity": 8.3734391456206474, "type": "router", "target": 69, "utilization": 7.7358739585287255}, {"source": 24, "capacity": 7.0247823833657153, "type": "metro", "target": 60, "utilization": 6.2744405289532654}, {"source": 25, "capacity": 5.582295588496196, "type": "pop", "target": 86, "utilization": 4.0891682671707299}, {"source": 26, "capacity": 8.5623429560200996, "type": "router", "target": 88, "utilization": 5.9275004923401289}, {"source": 24, "capacity": 4.8022387864756739, "type": "metro", "target": 29, "utilization": 2.7149979665591788}, {"source": 25, "capacity": 7.0195262805558105, "type": "pop", "target": 30, "utilization": 5.5431989956575887}, {"source": 26, "capacity": 4.7175222203464715, "type": "router", "target": 90, "utilization": 1.6630460578714017}, {"source": 27, "capacity": 7.241747989846715, "type": "pop", "target": 25, "utilization": 7.261907612598689}, {"source": 28, "capacity": 4.2563457689109274, "type": "router", "target": 26, "utilization": 8.2360691435084412}, {"source": 27, "capacity": 2.8891317577074855, "type": "pop", "target": 12, "utilization": 9.8919112443500214}, {"source": 28, "capacity": 3.1630708405399579, "type": "router", "target": 58, "utilization": 1.2656128383137246}, {"source": 27, "capacity": 5.6878498847504186, "type": "pop", "target": 61, "utilization": 9.5218879374725329}, {"source": 28, "capacity": 2.2191056222118588, "type": "router", "target": 63, "utilization": 9.8245848713938209}, {"source": 27, "capacity": 6.884027359608722, "type": "pop", "target": 1, "utilization": 4.9048888729785975}, {"source": 28, "capacity": 3.0544913091702073, "type": "router", "target": 68, "utilization": 2.7185632400461581}, {"source": 28, "capacity": 8.3553312159975945, "type": "router", "target": 70, "utilization": 6.1210442140596131}, {"source": 27, "capacity": 1.2935170572724619, "type": "pop", "target": 30, "utilization": 9.9142400809827631}, {"source": 28, "capacity": 9.6829712281224527, "type": "router", "target": 89, "utilization": 7.2164424390357391}, {"source": 31, "capacity": 4.9153159005140203, "type": "router", "target": 34, "utilization": 4.6729104172460083}, {"source": 29, "capacity": 2.663630438235864, "type": "metro", "target": 64, "utilization": 5.6733001969933552}, {"source": 30, "capacity": 9.2237482590347497, "type": "pop", "target": 65, "utilization": 2.0594822360550573}, {"source": 31, "capacity": 9.363353238768827, "type": "router", "target": 66, "utilization": 6.9613733563324631}, {"source": 29, "capacity": 6.0124900072199798, "type": "metro", "target": 24, "utilization": 1.9140041825537359}, {"source": 30, "capacity": 1.6976276525222187, "type": "pop", "target": 27, "utilization": 6.9893392997701476}, {"source": 31, "capacity": 4.1470657742617325, "type": "router", "target": 70, "utilization": 9.7584331150524513}, {"source": 31, "capacity": 5.3614350432475772, "type": "router", "target": 89, "utilization": 8.9633138949366753}, {"source": 32, "capacity": 9.7437473478685082, "type": "router", "target": 6, "utilization": 1.016097072941478}, {"source": 32, "capacity": 4.628138117041539, "type": "router", "target": 23, "utilization": 4.6384418988885407}, {"source": 32, "capacity": 3.8244088157554348, "type": "router", "target": 33, "utilization": 3.5436629730296341}, {"source": 32, "capacity": 8.2765097374094214, "type": "router", "target": 59, "utilization": 9.4610218912098425}, {"source": 32, "capacity": 7.300196442076281, "type": "router", "target": 69, "utilization": 3.206366623375156}, {"source": 32, "capacity": 7.4239970415461665, "type": "router", "target": 88, "utilization": 9.9263117989272995}, {"source": 33, "capacity": 3.8456919874942086, "type": "router", "target": 7, "utilization": 4.5858274359916367}, {"source": 33, "capacity": 2.7207257360311168, "type": "router", "target": 22, "utilization": 7.1910289137159324}, {"source": 33, "capacity": 3.8237870494153983, "type": "router", "target": 32, "utilization": 4.8403830224611788}, {"source": 33, "capacity": 6.6448658713482667, "type": "router", "target": 58, "utilization": 7.4967747699703917}, {"source": 33, "capacity": 7.2928842961276272, "type": "router", "target": 63, "utilization": 7.0641600766285784}, {"source": 33, "capacity": 3.4685130287503041, "type": "router", "target": 68, "utilization": 6.4028677061867132}, {"source": 34, "capacity": 1.2787549018471447, "type": "router", "target": 31, "utilization": 4.5112296269808878}, {"source": 30, "capacity": 7.2268793739277051, "type": "pop", "target": 25, "utilization": 1.4840607508365058}, {"source": 34, "capacity": 2.3602375760473966, "type": "router", "target": 38, "utilization": 6.2146980794147337}, {"source": 34, "capacity": 1.7662860230239605, "type": "router", "target": 67, "utilization": 7.00891156202254}, {"source": 34, "capacity": 2.6138857805622693, "type": "router", "target": 90, "utilization": 7.974214969168286}, {"source": 35, "capacity": 5.2587639673219213, "type": "metro", "target": 0, "utilization": 8.3844467477467646}, {"source": 36, "capacity": 3.8777337491302899, "type": "pop", "target": 1, "utilization": 6.8758187883546045}, {"source": 37, "capacity": 5.0385957840657536, "type": "router", "target": 2, "utilization": 9.8896063399329339}, {"source": 35, "capacity": 6.3695341758635768, "type": "metro", "target": 8, "utilization": 6.6020389292768806}, {"source": 36, "capacity": 3.3892039401211882, "type": "pop", "target": 9, "utilization": 2.083254221727552}, {"source": 37, "capacity": 9.127619929651603, "type": "router", "target": 10, "utilization": 6.5691132015256262}, {"source": 35, "capacity": 8.3369715100115709, "type": "metro", "target": 11, "utilization": 5.8867197658038304}, {"source": 36, "capacity": 8.3085143283531568, "type": "pop", "target": 12, "utilization": 6.2286208626747879}, {"source": 37, "capacity": 1.2261216602187441, "type": "router", "target": 13, "utilization": 6.31368358481512}, {"source": 37, "capacity": 1.3853745263800605, "type": "router", "target": 49, "utilization": 4.9025597255522531}, {"source": 37, "capacity": 3.8331881458281938, "type": "router", "target": 50, "utilization": 2.5607599754277168}, {"source": 35, "capacity": 2.9799509476719672, "type": "metro", "target": 52, "utilization": 7.7034254828817952}, {"source": 36, "capacity": 4.1835971594812893, "type": "pop", "target": 53, "utilization": 7.6133512330154556}, {"source": 37, "capacity": 9.7547752410253334, "type": "router", "target": 54, "utilization": 8.3940646657403271}, {"source": 38, "capacity": 2.1799600870128533, "type": "router", "target": 3, "utilization": 1.6081134712141303}, {"source": 38, "capacity": 6.3117914986372803, "type": "router", "target": 14, "utilization": 4.4168946628216919}, {"source": 38, "capacity": 6.4242767730574819, "type": "router", "target": 26, "utilization": 2.5072331225819022}, {"source": 38, "capacity": 7.831293280600276, "type": "router", "target": 34, "utilization": 3.5408636262816588}, {"source": 38, "capacity": 6.989614180564967, "type": "router", "target": 70, "utilization": 8.2855161570906368}, {"source": 38, "capacity": 4.6705030688776485, "type": "router", "target": 87, "utilization": 6.5479098873297863}, {"source": 39, "capacity": 7.5979938968970853, "type": "pop", "target": 9, "utilization": 6.9366218932307362}, {"source": 40, "capacity": 6.5935122684935612, "type": "router", "target": 10, "utilization": 2.0189909414423539}, {"source": 39, "capacity": 4.2165009571687051, "type": "pop", "target": 12, "utilization": 7.8056881626492478}, {"source": 40, "capacity": 3.4607225225807996, "type": "router", "target": 14, "utilization": 2.8324082640059594}, {"source": 39, "capacity": 7.3098646740599991, "type": "pop", "target": 16, "utilization": 2.6424238838176559}, {"source": 40, "capacity": 7.7546642646686417, "type": "router", "target": 17, "utilization": 8.5622369029944636}, {"source": 40, "capacity": 7.2133903068669856, "type": "router", "target": 44, "utilization": 2.8297362837379136}, {"source": 39, "capacity": 8.6912857850437728, "type": "pop", "target": 36, "utilization": 9.0365401727194481}, {"source": 40, "capacity": 6.0815993557030126, "type": "router", "target": 49, "utilization": 6.3162802011494668}, {"source": 39, "capacity": 2.2505883879276927, "type": "pop", "target": 53, "utilization": 4.5915316321424537}, {"source": 40, "capacity": 7.5207431867887129, "type": "router", "target": 55, "utilization": 5.8708902111324921}, {"source": 39, "capacity": 3.9786978165459193, "type": "pop", "target": 79, "utilization": 2.0232590567513808}, {"source": 40, "capacity": 3.6964290784134111, "type": "router", "target": 81, "utilization": 4.8175305030007207}, {"source": 41, "capacity": 7.6653627894575118, "type": "router", "target": 19, "utilization": 3.5318759069597614}, {"source": 41, "capacity": 4.492481989335932, "type": "router", "target": 42, "utilization": 8.3462972236279604}, {"source": 41, "capacity": 3.249735944466821, "type": "router", "target": 43, "utilization": 1.5798037465715165}, {"source": 41, "capacity": 9.1607575316402237, "type": "router", "target": 48, "utilization": 2.1720043073567035}, {"source": 41, "capacity": 3.4978892622992417, "type": "router", "target": 58, "utilization": 3.1939871055147551}, {"source": 42, "capacity": 4.1511879046693316, "type": "router", "target": 17, "utilization": 1.8366116537222263}, {"source": 42, "capacity": 7.1713045846473804, "type": "router", "target": 41, "utilization": 5.1216968998013952}, {"source": 42, "capacity": 9.1505187599180271, "type": "router", "target": 44, "utilization": 9.3015212700919978}, {"source": 42, "capacity": 5.1115390763045658, "type": "router", "target": 59, "utilization": 9.6604600328358838}, {"source": 42, "capacity": 7.9452485024813351, "type": "router", "target": 76, "utilization": 8.7151363939650484}, {"source": 43, "capacity": 9.744377869977912, "type": "router", "target": 10, "utilization": 7.9942087678076135}, {"source": 43, "capacity": 3.9643551973724938, "type": "router", "target": 41, "utilization": 2.2087688048986713}, {"source": 43, "capacity": 1.3424984535199807, "type": "router", "target": 44, "utilization": 4.6102331490574677}, {"source": 43, "capacity": 5.7529070890878815, "type": "router", "target": 50, "utilization": 9.5253392275768558}, {"source": 43, "capacity": 4.0851686206330076, "type": "router", "target": 56, "utilization": 8.3826475415606794}, {"source": 43, "capacity": 5.3334827281910213, "type": "router", "target": 58, "utilization": 6.917684200876641}, {"source": 43, "capacity": 6.8078990854042774, "type": "router", "target": 82, "utilization": 4.9837206247535537}, {"source": 44, "capacity": 3.6697388357175407, "type": "router", "target": 40, "utilization": 3.0897041258590283}, {"source": 44, "capacity": 6.0441878563264062, "type": "router", "target": 42, "utilization": 8.098182207810348}, {"source": 44, "capacity": 1.5799548855596253, "type": "router", "target": 43, "utilization": 1.0438355183321897}, {"source": 44, "capacity": 7.9025763329916376, "type": "router", "target": 51, "utilization": 5.4862806138602993}, {"source": 44, "capacity": 2.0382501103509227, "type": "router", "target": 57, "utilization": 2.0390759854502152}, {"source": 44, "capacity": 4.6919533040310428, "type": "router", "target": 59, "utilization": 7.3705260947722868}, {"source": 44, "capacity": 8.8990529137552628, "type": "router", "target": 83, "utilization": 8.9666239276979454}, {"source": 45, "capacity": 6.8123561547382074, "type": "metro", "target": 11, "utilization": 9.5893258390892271}, {"source": 46, "capacity": 3.3948161987978565, "type": "pop", "target": 12, "utilization": 4.3859908716344052}, {"source": 47, "capacity": 2.2163244088667793, "type": "router", "target": 13, "utilization": 9.8358288496777977}, {"source": 45, "capacity": 9.402439705060468, "type": "metro", "target": 15, "utilization": 4.7750639894732467}, {"source": 46, "capacity": 2.2248425526547071, "type": "pop", "target": 18, "utilization": 4.1659449219240692}, {"source": 47, "capacity": 8.9095539476012604, "type": "router", "target": 19, "utilization": 3.4714281991264055}, {"source": 47, "capacity": 3.1180427719448964, "type": "router", "target": 48, "utilization": 2.2745445320047857}, {"source": 46, "capacity": 7.5371080895402347, "type": "pop", "target": 75, "utilization": 7.458844536659873}, {"source": 47, "capacity": 4.8427112234361633, "type": "router", "target": 77, "utilization": 8.107948113528705}, {"source": 45, "capacity": 9.5582691557624884, "type": "metro", "target": 78, "utilization": 2.1541647418876639}, {"source": 46, "capacity": 1.1813932006477181, "type": "pop", "target": 79, "utilization": 9.9763597642301196}, {"source": 47, "capacity": 2.0759000058839536, "type": "router", "target": 80, "utilization": 2.332843602724691}, {"source": 48, "capacity": 5.6031622793698155, "type": "router", "target": 41, "utilization": 1.0925731201686264}, {"source": 48, "capacity": 7.1393673695798201, "type": "router", "target": 47, "utilization": 2.8388050752925262}, {"source": 48, "capacity": 9.9554960352710022, "type": "router", "target": 58, "utilization": 8.6256277109548343}, {"source": 48, "capacity": 3.1400688364586458, "type": "router", "target": 76, "utilization": 9.4017880959830702}, {"source": 48, "capacity": 8.7673635018933673, "type": "router", "target": 82, "utilization": 7.5943117061008776}, {"source": 49, "capacity": 2.9327995984116808, "type": "router", "target": 3, "utilization": 1.0363336368516021}, {"source": 49, "capacity": 7.3941181974008519, "type": "router", "target": 14, "utilization": 5.1610384725883813}, {"source": 49, "capacity": 4.4676554936798389, "type": "router", "target": 37, "utilization": 5.1967642239974356}, {"source": 36, "capacity": 5.8439405272778764, "type": "pop", "target": 39, "utilization": 4.1222246474238924}, {"source": 49, "capacity": 5.3011110046700232, "type": "router", "target": 40, "utilization": 9.1567009854279817}, {"source": 49, "capacity": 9.1968769494414442, "type": "router", "target": 51, "utilization": 9.6829352335625867}, {"source": 49, "capacity": 2.1552287235460397, "type": "router", "target": 55, "utilization": 9.9708128154430984}, {"source": 50, "capacity": 9.231758900367959, "type": "router", "target": 37, "utilization": 7.7042071498095517}, {"source": 50, "capacity": 6.8304510864953487, "type": "router", "target": 43, "utilization": 1.6711736302250231}, {"source": 50, "capacity": 6.9854187056495025, "type": "router", "target": 51, "utilization": 7.4217243400130135}, {"source": 50, "capacity": 2.4321890153127872, "type": "router", "target": 56, "utilization": 1.3146925045763536}, {"source": 50, "capacity": 7.1371568033998738, "type": "router", "target": 58, "utilization": 7.2953058736418859}, {"source": 50, "capacity": 2.4262571238622024, "type": "router", "target": 68, "utilization": 2.9166140604099704}, {"source": 51, "capacity": 3.1324623409082215, "type": "router", "target": 44, "utilization": 7.6562793104336535}, {"source": 51, "capacity": 4.8012086617197429, "type": "router", "target": 49, "utilization": 6.9114924286926724}, {"source": 51, "capacity": 8.1178141724042128, "type": "router", "target": 50, "utilization": 4.481895640593029}, {"source": 51, "capacity": 9.8459233139716673, "type": "router", "target": 57, "utilization": 9.9951431254896743}, {"source": 51, "capacity": 1.9061046046815879, "type": "router", "target": 59, "utilization": 2.3763409709458498}, {"source": 51, "capacity": 6.6288172326952806, "type": "router", "target": 69, "utilization": 2.3784120132262392}, {"source": 52, "capacity": 6.3255075369439426, "type": "metro", "target": 0, "utilization": 3.9416384489286074}, {"source": 53, "capacity": 3.0847650996666864, "type": "pop", "target": 1, "utilization": 8.4316465778607466}, {"source": 54, "capacity": 8.7886705697611802, "type": "router", "target": 2, "utilization": 6.8034896111252392}, {"source": 52, "capacity": 5.84477808265021, "type": "metro", "target": 8, "utilization": 5.0060317006483785}, {"source": 53, "capacity": 2.9703269092883167, "type": "pop", "target": 9, "utilization": 9.5160101944144984}, {"source": 54, "capacity": 6.7562787357389222, "type": "router", "target": 10, "utilization": 5.4845781905692528}, {"source": 52, "capacity": 2.7910942717721303, "type": "metro", "target": 35, "utilization": 9.7751469786062088}, {"source": 53, "capacity": 1.021093034939669, "type": "pop", "target": 36, "utilization": 2.9012563615969147}, {"source": 54, "capacity": 5.2816665160110903, "type": "router", "target": 37, "utilization": 9.3067353885528039}, {"source": 54, "capacity": 6.8831167447518284, "type": "router", "target": 55, "utilization": 7.3272173401450065}, {"source": 54, "capacity": 5.5670438445397465, "type": "router", "target": 56, "utilization": 9.0910607256908502}, {"source": 55, "capacity": 3.0244264553503153, "type": "router", "target": 3, "utilization": 8.3205732968415909}, {"source": 53, "capacity": 7.279778266770828, "type": "pop", "target": 39, "utilization": 1.9289489239213853}, {"source": 55, "capacity": 4.9063646010530926, "type": "router", "target": 40, "utilization": 3.8201591773545527}, {"source": 55, "capacity": 7.3454115576491779, "type": "router", "target": 49, "utilization": 7.4028807251824462}, {"source": 55, "capacity": 4.4760858583646783, "type": "router", "target": 54, "utilization": 6.2708799222214466}, {"source": 55, "capacity": 3.5881731623727777, "type": "router", "target": 57, "utilization": 4.8048339629449135}, {"source": 56, "capacity": 8.1776012169581165, "type": "router", "target": 43, "utilization": 2.4801483709787915}, {"source": 56, "capacity": 6.7302147640013166, "type": "router", "target": 50, "utilization": 2.1071079332158797}, {"source": 56, "capacity": 5.2791433299344108, "type": "router", "target": 54, "utilization": 5.1443060834126308}, {"source": 56, "capacity": 9.9773679644908011, "type": "router", "target": 57, "utilization": 8.2515823871085452}, {"source": 56, "capacity": 9.7229354575426896, "type": "router", "target": 68, "utilization": 3.7152140932725182}, {"source": 57, "capacity": 4.6363798076687193, "type": "router", "target": 44, "utilization": 1.2024824355066288}, {"source": 57, "capacity": 9.7183648092076496, "type": "router", "target": 51, "utilization": 5.5194784802967227}, {"source": 57, "capacity": 6.4375436091167586, "type": "router", "target": 55, "utilization": 9.7130959051897641}, {"source": 57, "capacity": 6.7136377028704315, "type": "router", "target": 56, "utilization": 7.8461546216521789}, {"source": 57, "capacity": 8.5196133788998516, "type": "router", "target": 69, "utilization": 6.2378393786054138}, {"source": 58, "capacity": 4.5828748494708815, "type": "router", "target": 13, "utilization": 8.7556249097826448}, {"source": 58, "capacity": 8.5602806027644824, "type": "router", "target": 28, "utilization": 2.1807028453213166}, {"source": 58, "capacity": 3.5815993266717059, "type": "router", "target": 33, "utilization": 8.9081763647021557}, {"source": 58, "capacity": 2.4586032277179193, "type": "router", "target": 41, "utilization": 3.8144186277959871}, {"source": 58, "capacity": 4.7491781654175558, "type": "router", "target": 43, "utilization": 6.997329269660856}, {"source": 58, "capacity": 4.9338360718107594, "type": "router", "target": 48, "utilization": 3.9187393998878877}, {"source": 58, "capacity": 8.4073507580360456, "type": "router", "target": 50, "utilization": 7.2101380326721571}, {"source": 58, "capacity": 2.4748858646864376, "type": "router", "target": 59, "utilization": 7.2449731895457896}, {"source": 59, "capacity": 1.6889290758034936, "type": "router", "target": 14, "utilization": 7.0449217027628226}, {"source": 59, "capacity": 1.6587007313173914, "type": "router", "target": 26, "utilization": 9.0543072567899454}, {"source": 59, "capacity": 8.9759281901895971, "type": "router", "target": 32, "utilization": 5.7272250107994038}, {"source": 59, "capacity": 7.0261771234789894, "type": "router", "target": 42, "utilization": 4.729285661316494}, {"source": 59, "capacity": 9.2408569272059697, "type": "router", "target": 44, "utilization": 5.9803653128074021}, {"source": 59, "capacity": 4.2507220797290204, "type": "router", "target": 51, "utilization": 6.000199207445629}, {"source": 59, "capacity": 1.1294105830026178, "type": "router", "target": 58, "utilization": 5.5614186487586199}, {"source": 59, "capacity": 1.1866745450948464, "type": "router", "target": 76, "utilization": 1.1895383807398519}, {"source": 60, "capacity": 9.1200120411167376, "type": "metro", "target": 4, "utilization": 1.0869687131331551}, {"source": 61, "capacity": 4.8447510585605089, "type": "pop", "target": 5, "utilization": 4.4293694855648251}, {"source": 62, "capacity": 7.6517029446055282, "type": "router", "target": 7, "utilization": 1.3278039553461898}, {"source": 62, "capacity": 4.422104456973929, "type": "router", "target": 63, "utilization": 7.9417291942527948}, {"source": 60, "capacity": 7.8051715034255853, "type": "metro", "target": 64, "utilization": 4.1503303488072785}, {"source": 61, "capacity": 3.7041894120523731, "type": "pop", "target": 65, "utilization": 9.9114270440754417}, {"source": 62, "capacity": 7.5004978451141122, "type": "router", "target": 66, "utilization": 5.1044312007268813}, {"source": 60, "capacity": 2.5713457682466418, "type": "metro", "target": 24, "utilization": 5.2081326326087671}, {"source": 61, "capacity": 8.5638319230611799, "type": "pop", "target": 27, "utilization": 5.6129379189535245}, {"source": 62, "capacity": 9.395155962417217, "type": "router", "target": 70, "utilization": 1.2494584504324662}, {"source": 61, "capacity": 3.7185019307069052, "type": "pop", "target": 86, "utilization": 7.4191760487807024}, {"source": 62, "capacity": 5.0274639662868426, "type": "router", "target": 87, "utilization": 3.4276088479010332}, {"source": 63, "capacity": 2.3958005429656688, "type": "router", "target": 28, "utilization": 4.0755492653983163}, {"source": 63, "capacity": 5.8868250541422764, "type": "router", "target": 33, "utilization": 4.0575962069183387}, {"source": 63, "capacity": 8.0555203310393733, "type": "router", "target": 62, "utilization": 8.5402287061618338}, {"source": 63, "capacity": 7.0510830333901096, "type": "router", "target": 88, "utilization": 8.5681234955870895}, {"source": 63, "capacity": 3.7791803498545979, "type": "router", "target": 91, "utilization": 5.9738272029683701}, {"source": 64, "capacity": 1.2432553480751025, "type": "metro", "target": 20, "utilization": 4.1391811211300338}, {"source": 65, "capacity": 8.1355071649063078, "type": "pop", "target": 21, "utilization": 4.9853805008420338}, {"source": 66, "capacity": 4.1545366282831253, "type": "router", "target": 22, "utilization": 4.2880642090454799}, {"source": 64, "capacity": 5.9807220518157518, "type": "metro", "target": 29, "utilization": 7.1650001475873895}, {"source": 65, "capacity": 5.9662183550619732, "type": "pop", "target": 30, "utilization": 5.0385884034258641}, {"source": 66, "capacity": 4.5366885853961154, "type": "router", "target": 31, "utilization": 1.6303893805133332}, {"source": 64, "capacity": 9.0762648607521008, "type": "metro", "target": 60, "utilization": 4.8569471455086228}, {"source": 65, "capacity": 9.537808266871842, "type": "pop", "target": 61, "utilization": 8.9482469004415943}, {"source": 66, "capacity": 1.0045918666365554, "type": "router", "target": 62, "utilization": 3.8452031258105146}, {"source": 66, "capacity": 1.9356015234346517, "type": "router", "target": 67, "utilization": 6.7138765189098715}, {"source": 64, "capacity": 7.8325955058382881, "type": "metro", "target": 71, "utilization": 2.6241858527363622}, {"source": 65, "capacity": 3.6577666163629301, "type": "pop", "target": 72, "utilization": 3.2199439993591397}, {"source": 66, "capacity": 6.8408312709795442, "type": "router", "target": 73, "utilization": 4.6302869695215847}, {"source": 66, "capacity": 1.731076544363765, "type": "router", "target": 91, "utilization": 7.4230741095191588}, {"source": 67, "capacity": 1.8114629909634072, "type": "router", "target": 23, "utilization": 2.3365995828801136}, {"source": 67, "capacity": 4.2181281691043058, "type": "router", "target": 34, "utilization": 2.7184375482519152}, {"source": 67, "capacity": 4.1003699092526453, "type": "router", "target": 66, "utilization": 1.8455530451542166}, {"source": 67, "capacity": 5.92761242184985, "type": "router", "target": 74, "utilization": 6.1143301314826717}, {"source": 65, "capacity": 8.611695158512978, "type": "pop", "target": 86, "utilization": 2.7604946830921486}, {"source": 67, "capacity": 3.448210920041844, "type": "router", "target": 87, "utilization": 1.7796919211465547}, {"source": 67, "capacity": 9.7891152666274834, "type": "router", "target": 92, "utilization": 9.3285806040707016}, {"source": 68, "capacity": 4.5028025717270967, "type": "router", "target": 2, "utilization": 6.4108680638948377}, {"source": 68, "capacity": 8.284347316001309, "type": "router", "target": 28, "utilization": 4.711903159116325}, {"source": 68, "capacity": 6.7921803115289965, "type": "router", "target": 33, "utilization": 2.3244686587850865}, {"source": 68, "capacity": 8.2116744228954346, "type": "router", "target": 50, "utilization": 7.9578044497389735}, {"source": 68, "capacity": 5.5054940730266786, "type": "router", "target": 56, "utilization": 9.1611426104683034}, {"source": 68, "capacity": 8.8084333403844628, "type": "router", "target": 69, "utilization": 8.4304757042675487}, {"source": 69, "capacity": 9.3332987371864959, "type": "router", "target": 3, "utilization": 1.1820369178703989}, {"source": 69, "capacity": 8.6085510236351137, "type": "router", "target": 26, "utilization": 7.1165650533258207}, {"source": 69, "capacity": 4.459235858593706, "type": "router", "target": 32, "utilization": 7.3385528257706678}, {"source": 69, "capacity": 4.8053307351968257, "type": "router", "target": 51, "utilization": 4.4382521259474599}, {"source": 69, "capacity": 6.9307905024121048, "type": "router", "target": 57, "utilization": 6.862025140062153}, {"source": 69, "capacity": 1.9622169599964248, "type": "router", "target": 68, "utilization": 8.5954190327124511}, {"source": 70, "capacity": 5.4485499911705073, "type": "router", "target": 2, "utilization": 1.2850159881916841}, {"source": 70, "capacity": 7.4609149530061032, "type": "router", "target": 13, "utilization": 5.9233984943586311}, {"source": 70, "capacity": 8.5311279274943494, "type": "router", "target": 28, "utilization": 3.6485312834262773}, {"source": 70, "capacity": 3.6911840524302399, "type": "router", "target": 31, "utilization": 5.8652982406698264}, {"source": 70, "capacity": 1.3823910780899475, "type": "router", "target": 38, "utilization": 1.9863036227691104}, {"source": 70, "capacity": 2.1377286704071237, "type": "router", "target": 62, "utilization": 9.0414628042662351}, {"source": 71, "capacity": 9.971757775746859, "type": "metro", "target": 64, "utilization": 8.7548105917126957}, {"source": 72, "capacity": 9.4536943413199364, "type": "pop", "target": 65, "utilization": 8.9729967782789615}, {"source": 73, "capacity": 5.2470702310099302, "type": "router", "target": 66, "utilization": 2.958766690129194}, {"source": 73, "capacity": 1.0137027999814214, "type": "router", "target": 74, "utilization": 5.8996848904127432}, {"source": 73, "capacity": 7.5137654368238271, "type": "router", "target": 84, "utilization": 1.527624314161919}, {"source": 74, "capacity": 1.9234499977891171, "type": "router", "target": 67, "utilization": 2.0391833808082818}, {"source": 74, "capacity": 6.1287485265766044, "type": "router", "target": 73, "utilization": 4.9185671049720154}, {"source": 74, "capacity": 5.4414505901289276, "type": "router", "target": 85, "utilization": 4.184776449801701}, {"source": 75, "capacity": 3.7187532723184438, "type": "pop", "target": 16, "utilization": 8.947317422451782}, {"source": 76, "capacity": 8.3188299858899555, "type": "router", "target": 42, "utilization": 6.9427379846203916}, {"source": 75, "capacity": 5.848731310494097, "type": "pop", "target": 46, "utilization": 9.1361651382883338}, {"source": 76, "capacity": 9.0621168739286357, "type": "router", "target": 48, "utilization": 5.9159832458845782}, {"source": 75, "capacity": 3.3922605099721772, "type": "pop", "target": 12, "utilization": 1.2567974627827934}, {"source": 76, "capacity": 1.1291058245878685, "type": "router", "target": 59, "utilization": 9.9251146707236266}, {"source": 76, "capacity": 4.8924657636693913, "type": "router", "target": 77, "utilization": 3.7444736584483751}, {"source": 75, "capacity": 6.2197864514264456, "type": "pop", "target": 79, "utilization": 5.1714450847435547}, {"source": 76, "capacity": 3.9855351883192718, "type": "router", "target": 83, "utilization": 5.8303751478830028}, {"source": 77, "capacity": 2.3240442225333111, "type": "router", "target": 14, "utilization": 8.3711677567847644}, {"source": 77, "capacity": 2.0625256804022492, "type": "router", "target": 17, "utilization": 1.7952632937563557}, {"source": 77, "capacity": 1.4014460026781896, "type": "router", "target": 47, "utilization": 8.2172647200661579}, {"source": 77, "capacity": 5.8074835741116972, "type": "router", "target": 76, "utilization": 5.4811711688636295}, {"source": 77, "capacity": 5.6546682039337934, "type": "router", "target": 81, "utilization": 2.151544024450625}, {"source": 78, "capacity": 1.7520499256962885, "type": "metro", "target": 8, "utilization": 1.7964390699456394}, {"source": 79, "capacity": 6.8242448327488345, "type": "pop", "target": 9, "utilization": 5.7023233989929754}, {"source": 80, "capacity": 8.6336977778417214, "type": "router", "target": 10, "utilization": 1.3408712237856686}, {"source": 78, "capacity": 6.0737758865647962, "type": "metro", "target": 45, "utilization": 1.4164621381489555}, {"source": 79, "capacity": 9.3663262558910798, "type": "pop", "target": 46, "utilization": 5.8762431380806763}, {"source": 80, "capacity": 3.6241680413016946, "type": "router", "target": 47, "utilization": 9.9549665359900725}, {"source": 80, "capacity": 6.2691453080139716, "type": "router", "target": 81, "utilization": 9.7002055221492576}, {"source": 80, "capacity": 7.9273418372587052, "type": "router", "target": 82, "utilization": 2.7873980684474531}, {"source": 79, "capacity": 1.7552865115691878, "type": "pop", "target": 39, "utilization": 8.0935282968848501}, {"source": 81, "capacity": 3.9713885410705605, "type": "router", "target": 40, "utilization": 4.7260659605207582}, {"source": 79, "capacity": 3.7935840898871001, "type": "pop", "target": 75, "utilization": 8.1418371147146882}, {"source": 81, "capacity": 4.3550674488548804, "type": "router", "target": 77, "utilization": 1.7487009799998241}, {"source": 81, "capacity": 9.1326157828748382, "type": "router", "target": 80, "utilization": 4.7524218970079151}, {"source": 81, "capacity": 6.0260262080878855, "type": "router", "target": 83, "utilization": 8.2760915518273848}, {"source": 82, "capacity": 2.978573157853456, "type": "router", "target": 43, "utilization": 9.5522443492502784}, {"source": 82, "capacity": 5.765070968647839, "type": "router", "target": 48, "utilization": 5.8871597046253354}, {"source": 82, "capacity": 6.6285660478688113, "type": "router", "target": 80, "utilization": 8.9691431356995306}, {"source": 82, "capacity": 3.0507985163488502, "type": "router", "target": 83, "utilization": 3.5376879607236482}, {"source": 83, "capacity": 2.1495069189885316, "type": "router", "target": 44, "utilization": 6.7742731715651638}, {"source": 83, "capacity": 4.124828648187397, "type": "router", "target": 76, "utilization": 3.2881762848344072}, {"source": 83, "capacity": 2.1794976406351338, "type": "router", "target": 81, "utilization": 5.3468063769476775}, {"source": 83, "capacity": 3.9980237212968213, "type": "router", "target": 82, "utilization": 6.0898036427803026}, {"source": 84, "capacity": 1.7773486206049514, "type": "router", "target": 73, "utilization": 4.1758494132896029}, {"source": 84, "capacity": 2.1394865703828376, "type": "router", "target": 85, "utilization": 3.2195089374805916}, {"source": 84, "capacity": 9.275432910311471, "type": "router", "target": 91, "utilization": 7.2033655001362655}, {"source": 85, "capacity": 3.0871661697794885, "type": "router", "target": 74, "utilization": 3.1417766447537057}, {"source": 85, "capacity": 2.7521586278756307, "type": "router", "target": 84, "utilization": 2.3927607547258534}, {"source": 85, "capacity": 6.0831703939131989, "type": "router", "target": 92, "utilization": 3.8069814202575425}, {"source": 86, "capacity": 3.0680690204916137, "type": "pop", "target": 5, "utilization": 6.9903137986698356}, {"source": 87, "capacity": 8.2720011511553775, "type": "router", "target": 6, "utilization": 1.0772025274818331}, {"source": 86, "capacity": 4.2325662822685004, "type": "pop", "target": 25, "utilization": 9.1941354626766696}, {"source": 87, "capacity": 1.7431559788739892, "type": "router", "target": 38, "utilization": 2.4867598816645504}, {"source": 86, "capacity": 3.3482794304958596, "type": "pop", "target": 61, "utilization": 1.1281480866755254}, {"source": 87, "capacity": 7.9496972198653246, "type": "router", "target": 62, "utilization": 3.2245622878982241}, {"source": 86, "capacity": 6.5761318520502199, "type": "pop", "target": 65, "utilization": 7.0007273878308407}, {"source": 87, "capacity": 7.2717518356191322, "type": "router", "target": 67, "utilization": 7.8398938191124783}, {"source": 87, "capacity": 9.2475124884806501, "type": "router", "target": 88, "utilization": 2.1792154356940703}, {"source": 88, "capacity": 6.8709497879274331, "type": "router", "target": 26, "utilization": 8.2991478153371716}, {"source": 88, "capacity": 8.5124926195268067, "type": "router", "target": 32, "utilization": 4.6006204357526554}, {"source": 88, "capacity": 9.4372472645043697, "type": "router", "target": 63, "utilization": 5.0684613648402115}, {"source": 88, "capacity": 3.3722088787709277, "type": "router", "target": 87, "utilization": 7.5752435157469318}, {"source": 88, "capacity": 7.9991192771175008, "type": "router", "target": 92, "utilization": 1.2237561420672558}, {"source": 89, "capacity": 6.5476392655739355, "type": "router", "target": 28, "utilization": 7.5381255553046866}, {"source": 89, "capacity": 9.03702829735089, "type": "router", "target": 31, "utilization": 2.4074693092545969}, {"source": 89, "capacity": 5.7422377670756317, "type": "router", "target": 90, "utilization": 3.9840465073347047}, {"source": 89, "capacity": 3.7118136421001751, "type": "router", "target": 91, "utilization": 3.6965437368631635}, {"source": 90, "capacity": 6.5928806281254211, "type": "router", "target": 26, "utilization": 2.724962746637237}, {"source": 90, "capacity": 2.2097087636168977, "type": "router", "target": 34, "utilization": 7.4370559749996241}, {"source": 90, "capacity": 5.6059121390201332, "type": "router", "target": 89, "utilization": 6.5853488131008229}, {"source": 90, "capacity": 3.6826387643196816, "type": "router", "target": 92, "utilization": 8.4896773942777095}, {"source": 91, "capacity": 7.8171481385372079, "type": "router", "target": 22, "utilization": 8.9709850160628015}, {"source": 91, "capacity": 4.6144647094992424, "type": "router", "target": 63, "utilization": 5.4757589617672027}, {"source": 91, "capacity": 6.2924790560890571, "type": "router", "target": 66, "utilization": 2.0101508874533378}, {"source": 91, "capacity": 6.0424648812614157, "type": "router", "target": 84, "utilization": 6.9275626670550379}, {"source": 91, "capacity": 7.790926613649944, "type": "router", "target": 89, "utilization": 9.9110432800420121}, {"source": 91, "capacity": 8.4149644085089221, "type": "router", "target": 92, "utilization": 2.1258460611823784}, {"source": 92, "capacity": 2.6648803062332695, "type": "router", "target": 23, "utilization": 2.6365581484117482}, {"source": 92, "capacity": 7.6873153738281523, "type": "router", "target": 67, "utilization": 7.9371595137816566}, {"source": 92, "capacity": 2.2835414562883214, "type": "router", "target": 85, "utilization": 8.7422449303999983}, {"source": 92, "capacity": 1.9324223538441161, "type": "router", "target": 88, "utilization": 7.8355248283292793}, {"source": 92, "capacity": 9.8738526690267641, "type": "router", "target": 90, "utilization": 9.2766613818977799}, {"source": 92, "capacity": 2.5943882446190427, "type": "router", "target": 91, "utilization": 8.8534305518195104}];
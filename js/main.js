@@ -11,50 +11,204 @@
  * TODO (Andrew): Integrate event listeners into InteractionControl class
  */
 window.onload = function() {
-  nv.init();
+  var picker = document.getElementById('datasetPicker');
+  for (var name in nv.datasets) {
+    picker.options.add(new Option(name, nv.datasets[name]));
+  }
+
+  // Nodes can be sized by any rollup metric.
+  var sizePicker = document.getElementById('nodeSizePicker');
+  jQuery.each(Visual.nodeRollupLabels, function(i, label) {
+    sizePicker.options.add(new Option(label.name, label.key));
+  });
+
+  // Reopen the view a shared URL describes, if any.
+  var sharedState = InteractionControl.parseState(window.location.search);
+  if (nv.datasets.hasOwnProperty(sharedState.dataset)) {
+    picker.value = nv.datasets[sharedState.dataset];
+  }
+  nv.init(picker.value, function(errors) {
+    if (nv.intControl && window.location.search) {
+      if (!nv.intControl.loadState(sharedState)) {
+        nv.reportErrors(errors.concat([InteractionControl.getVersionProblem(
+            'Shared URL', sharedState)]));
+      }
+      nv.history.reset();
+    }
+  });
+
+  $('#datasetPicker').bind('change', function() {
+    nv.switchTopology(this.value);
+  });
+
+  $('#nodeSizePicker').bind('change', function() {
+    if (nv.visControl) {
+      nv.visControl.setNodeSizeMetric(this.value || null);
+      nv.vis.render();
+    }
+  });
+
+  // Topology files can be dropped anywhere on the page: a JSON, GraphML or
+  // GEXF file, or a nodes CSV file together with a links CSV file.
+  $(document).bind('dragover', function(event) {
+    event.preventDefault();
+    $('body').addClass('dragover');
+  });
+
+  $(document).bind('dragleave drop', function(event) {
+    event.preventDefault();
+    $('body').removeClass('dragover');
+  });
+
+  $(document).bind('drop', function(event) {
+    var files = event.originalEvent.dataTransfer.files;
+    nv.readTopologyFiles(files, function(topology, errors) {
+      if (nv.hasErrors(errors)) {
+        nv.reportErrors(errors);
+        return;
+      }
+      nv.switchTopology(topology, function(problems) {
+        nv.reportErrors(errors.concat(problems));
+        if (!nv.hasErrors(problems)) {
+          picker.selectedIndex = -1; // Not one of our datasets.
+        }
+      });
+    });
+  });
 
   $('#shareURLButton').bind('click', function() {
     var stateVectorString = nv.intControl.saveState();
+    if (nv.getCurrentDataset() != null) {
+      stateVectorString += '&dataset=' +
+                           encodeURIComponent(nv.getCurrentDataset());
+    }
     var textBox = document.getElementById('shareURLTextBox');
-    textBox.value = stateVectorString;
+    textBox.value = window.location.href.split(/[?#]/)[0] + stateVectorString;
     textBox.style.display = 'inline-block';
   });
 
-  $('#includeNeighbors_checkbox').bind('click', function() {
-    var includeNeighbors = document.getElementById('includeNeighbors_checkbox').checked
-    nv.filterGroup.getNodeFilter('router', 'nodeName').toggleIncludeNeighbors(includeNeighbors);
+  $('#exportSVGButton').bind('click', function() {
+    nv.exportSVG();
   });
 
-  $('#routerNameFilter').keypress(function(event) {
-    if (event.which == 13) { // Activates when user hits Enter.
-      event.preventDefault();
-      return nv.intControl.applyFilter('routerNameFilter');
+  $('#exportNodesCSVButton').bind('click', function() {
+    nv.exportVisibleCSV('nodes');
+  });
+
+  $('#exportLinksCSVButton').bind('click', function() {
+    nv.exportVisibleCSV('links');
+  });
+
+  $('#exportJSONButton').bind('click', function() {
+    nv.exportVisibleJSON();
+  });
+
+  // Saved views. Some browsers refuse access to local storage, in which case
+  // the views only last until the page is closed.
+  var storage = null;
+  try {
+    storage = window.localStorage;
+  } catch (e) {
+    // Keep the views in memory.
+  }
+  nv.savedViews = new SavedViews(storage);
+  nv.fillViewPicker();
+
+  $('#viewPicker').bind('change', function() {
+    var view = nv.savedViews.get(this.value);
+    if (view) {
+      nv.restoreView(view);
     }
   });
 
-  $('#utilFilter').slider( {
-    from: 0,
-    to: 10,
-    step: 1,
-    smooth: true,
-    round: 0,
-    dimension: '&nbsp;units',
-    skin: 'round_plastic',
-    callback: function() {
-      return nv.intControl.applyFilter('utilFilter')
+  $('#saveViewButton').bind('click', function() {
+    var name = window.prompt('Save the view as:',
+                             $('#viewPicker').val() || '');
+    if (name) {
+      nv.savedViews.save(nv.getCurrentView(name));
+      nv.fillViewPicker(name);
     }
   });
 
-  $('#capFilter').slider( {
-    from: 0,
-    to: 10,
-    step: 1,
-    smooth: true,
-    round: 0,
-    dimension: '&nbsp;units',
-    skin: 'round_plastic',
-    callback: function() {
-      return nv.intControl.applyFilter('capFilter')
+  $('#renameViewButton').bind('click', function() {
+    var name = $('#viewPicker').val();
+    var newName = name && window.prompt('Rename the view to:', name);
+    if (newName) {
+      nv.savedViews.rename(name, newName);
+      nv.fillViewPicker(newName);
     }
   });
+
+  $('#deleteViewButton').bind('click', function() {
+    var name = $('#viewPicker').val();
+    if (name && window.confirm('Delete the view "' + name + '"?')) {
+      nv.savedViews.remove(name);
+      nv.fillViewPicker();
+    }
+  });
+
+  $('#exportViewsButton').bind('click', function() {
+    nv.download(nv.savedViews.exportJSON(), 'views.json', 'application/json');
+  });
+
+  $('#importViewsButton').bind('click', function() {
+    $('#importViewsFile').click();
+  });
+
+  $('#importViewsFile').bind('change', function() {
+    var input = this;
+    var file = input.files[0];
+    if (!file) {
+      return;
+    }
+    var reader = new FileReader();
+    reader.onload = function() {
+      nv.reportErrors(nv.savedViews.importJSON(reader.result, file.name));
+      nv.fillViewPicker();
+      input.value = ''; // Lets the same file be picked again.
+    };
+    reader.readAsText(file);
+  });
+
+  // Undo/redo, from the buttons or with Ctrl+Z and Ctrl+Shift+Z (or Ctrl+Y).
+  // Text boxes keep their own undo.
+  $('#undoButton').bind('click', function() {
+    if (nv.history) {
+      nv.history.undo();
+    }
+  });
+
+  $('#redoButton').bind('click', function() {
+    if (nv.history) {
+      nv.history.redo();
+    }
+  });
+
+  $(document).bind('keydown', function(event) {
+    if (!nv.history || !(event.ctrlKey || event.metaKey) ||
+        $(event.target).is('input[type=text], textarea')) {
+      return;
+    }
+    var key = String.fromCharCode(event.which).toLowerCase();
+    if ((key == 'z' && event.shiftKey) || key == 'y') {
+      event.preventDefault();
+      nv.history.redo();
+    } else if (key == 'z') {
+      event.preventDefault();
+      nv.history.undo();
+    }
+  });
+
+  $('#queryInput').keypress(function(event) {
+    if (event.which == 13) { // Activates when user hits Enter.
+      event.preventDefault();
+      if (nv.intControl.applyQuery(this.value)) {
+        nv.history.record('Query: ' + (this.value || 'none'));
+      }
+    }
+  });
+
+  $('#addFilterButton').bind('click', function() {
+    $('#filtersTOC').toggle();
+  });
 }
@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Contains functions that export the current view of the
+ * Network Visualization app to files: the picture as SVG, and the nodes and
+ * links shown as CSV or JSON. Requires nv.js.
+ */
+
+
+/**
+ * Namespace of the SVG elements.
+ */
+nv.SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Fonts to fall back on in exported files, after the ones named in labels,
+ * for viewers that do not have those.
+ */
+nv.exportFontFallback = 'arial, sans-serif';
+
+
+/**
+ * Offers some text to the user as a file to save.
+ * @param {string} text The content of the file.
+ * @param {string} fileName The name to suggest for the file.
+ * @param {string} mimeType The MIME type of the file.
+ */
+nv.download = function(text, fileName, mimeType) {
+  var url = URL.createObjectURL(new Blob([text], {type: mimeType}));
+  var link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download before releasing it.
+  setTimeout(function() {
+    URL.revokeObjectURL(url);
+  }, 1000);
+};
+
+
+/**
+ * Serializes the current view as a standalone SVG document. Protovis already
+ * renders the view to SVG with the pan/zoom transform, the exploded nodes and
+ * the highlighted link applied, so we copy the rendered document, give its
+ * labels fonts that viewers without ours can fall back on, and add a legend.
+ * @return {string} The SVG document, or null if nothing is shown.
+ */
+nv.serializeSVG = function() {
+  var svg = document.getElementById('vis').getElementsByTagName('svg')[0];
+  if (!svg) {
+    return null;
+  }
+  var copy = svg.cloneNode(true);
+  copy.setAttribute('version', '1.1');
+  copy.removeAttribute('style');
+
+  var labels = copy.getElementsByTagName('text');
+  for (var i = 0; i < labels.length; i++) {
+    var style = labels[i].getAttribute('style') || '';
+    labels[i].setAttribute('style', style.replace(/font:([^;]*)/,
+        'font:$1, ' + nv.exportFontFallback));
+  }
+
+  var title = document.createElementNS(nv.SVG_NS, 'title');
+  title.appendChild(document.createTextNode(document.title));
+  copy.insertBefore(title, copy.firstChild);
+  copy.appendChild(nv.buildSVGLegend_(
+      parseFloat(svg.getAttribute('height'))));
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+         new XMLSerializer().serializeToString(copy);
+};
+
+
+/**
+ * Offers the current view to the user as an SVG file.
+ */
+nv.exportSVG = function() {
+  var text = nv.serializeSVG();
+  if (text != null) {
+    nv.download(text, 'network.svg', 'image/svg+xml');
+  }
+};
+
+
+/**
+ * Builds the legend of an exported view: the node colors of every layer and
+ * the utilization color scale of the bottom layer links, whose thickness
+ * shows their capacity. The legend sits in the bottom left corner.
+ * @param {number} height The height of the view.
+ * @return {Element} An SVG group holding the legend.
+ * @private
+ */
+nv.buildSVGLegend_ = function(height) {
+  var rowHeight = 20;
+  var scaleWidth = 150;
+  var boxHeight = rowHeight * (nv.layers.length + 3) + 20;
+
+  function create(type, attributes, opt_text) {
+    var e = document.createElementNS(nv.SVG_NS, type);
+    for (var name in attributes) {
+      e.setAttribute(name, attributes[name]);
+    }
+    if (opt_text != undefined) {
+      e.appendChild(document.createTextNode(opt_text));
+    }
+    return e;
+  };
+
+  var legend = create('g', {
+    'transform': 'translate(10,' + (height - boxHeight - 10) + ')',
+    'font-family': 'helvetica, ' + nv.exportFontFallback,
+    'font-size': '12px'
+  });
+  legend.appendChild(create('rect', {
+    'width': scaleWidth + 70,
+    'height': boxHeight,
+    'fill': 'rgb(240,240,240)',
+    'fill-opacity': 0.85,
+    'stroke': '#ccc',
+    'stroke-width': 1
+  }));
+
+  for (var i = 0; i < nv.layers.length; i++) {
+    var properties = nv.visControl.layerPropertyMap[nv.layers[i]];
+    var y = rowHeight * (i + 1);
+    legend.appendChild(create('circle', {
+      'cx': 20,
+      'cy': y - 4,
+      'r': 6,
+      'fill': properties.color,
+      'stroke': properties.border
+    }));
+    legend.appendChild(create('text', {'x': 35, 'y': y, 'fill': '#333'},
+                              nv.formatLayerName(nv.layers[i])));
+  }
+
+  /**
+   * The utilization scale, as a gradient through the stops of the tricolor
+   * scale used by Visual#getLinkColor.
+   */
+  var gradient = create('linearGradient', {'id': 'nv-utilization-scale'});
+  var scale = nv.visControl.colorscales['tricolor'];
+  jQuery.each([0, 5, 10], function(i, value) {
+    gradient.appendChild(create('stop', {
+      'offset': value * 10 + '%',
+      'stop-color': scale(value).color
+    }));
+  });
+  var defs = create('defs', {});
+  defs.appendChild(gradient);
+  legend.appendChild(defs);
+
+  var y = rowHeight * (nv.layers.length + 1);
+  var layerName = nv.formatLayerName(nv.getBottomLayer());
+  legend.appendChild(create('text', {'x': 10, 'y': y, 'fill': '#333'},
+                            layerName + ' link utilization'));
+  legend.appendChild(create('rect', {
+    'x': 10,
+    'y': y + 6,
+    'width': scaleWidth,
+    'height': 8,
+    'fill': 'url(#nv-utilization-scale)'
+  }));
+  legend.appendChild(create('text', {'x': 10, 'y': y + 28, 'fill': '#333'},
+                            '0'));
+  legend.appendChild(create('text', {
+    'x': scaleWidth + 10,
+    'y': y + 28,
+    'fill': '#333',
+    'text-anchor': 'end'
+  }, '10 units'));
+  legend.appendChild(create('text', {'x': 10, 'y': y + 48, 'fill': '#333'},
+                            'Thickness shows link capacity'));
+  return legend;
+};
+
+
+/**
+ * Collects the nodes and links that are currently shown, and only those, as
+ * flat records holding all their data attributes. Nodes are named by their
+ * short names, and their parent column holds the full name of their parent
+ * (metro_pop), or nothing for top level nodes, like the tables read by
+ * nv.importCSV. The parents themselves are left out unless they are shown,
+ * so the tables only import back once the nodes they refer to are added.
+ * Links refer to their end nodes by full name. Cross links are left out.
+ * @return {object} Dictionary holding the list of node records (nodes) and
+ * the list of link records (links).
+ */
+nv.getVisibleTopology = function() {
+  var nodes = [];
+  var links = [];
+
+  for (var i = 0; i < nv.numNodes; i++) {
+    var elt = nv.nodesList[i];
+    if (!elt.show) {
+      continue;
+    }
+    var address_array = elt.nodeName.split('_');
+    var name = address_array.pop();
+    nodes.push(nv.copyData_(elt, {name: name, type: elt.type,
+                                  parent: address_array.join('_')}));
+  }
+
+  // Cross links stand for the links of their ancestors, which are not data.
+  for (var i = 0; i < nv.numLinks; i++) {
+    var link = nv.linksList[i];
+    if (!nv.visControl.isLinkVisible(link)) {
+      continue;
+    }
+    links.push(nv.copyData_(link, {
+      source: nv.nodesList[link.source].nodeName,
+      target: nv.nodesList[link.target].nodeName,
+      capacity: link.capacity,
+      utilization: link.utilization
+    }));
+  }
+  return {nodes: nodes, links: links};
+};
+
+
+/**
+ * Copies the data attributes of a nodes list or links list element onto a
+ * record, after the ones the record already holds.
+ * @param {object} elt The element.
+ * @param {object} record The record.
+ * @return {object} The record.
+ * @private
+ */
+nv.copyData_ = function(elt, record) {
+  for (var property in elt) {
+    if (elt.hasOwnProperty(property) && !record.hasOwnProperty(property) &&
+        !nv.viewProperties.hasOwnProperty(property) &&
+        property != 'nodeName' && property != 'source' &&
+        property != 'target') {
+      record[property] = elt[property];
+    }
+  }
+  return record;
+};
+
+
+/**
+ * Formats records as a CSV table. The columns are those of all the records,
+ * in the order they first appear.
+ * @param {Array.<object>} records The records.
+ * @return {string} The CSV text, starting with a header row.
+ */
+nv.formatCSV = function(records) {
+  var columns = [];
+  var seen = {};
+  for (var i = 0; i < records.length; i++) {
+    for (var column in records[i]) {
+      if (!seen.hasOwnProperty(column)) {
+        seen[column] = true;
+        columns.push(column);
+      }
+    }
+  }
+
+  function quote(value) {
+    var text = value == undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' :
+                                   text;
+  };
+
+  var rows = [jQuery.map(columns, quote).join(',')];
+  for (var i = 0; i < records.length; i++) {
+    var fields = [];
+    for (var j = 0; j < columns.length; j++) {
+      fields.push(quote(records[i][columns[j]]));
+    }
+    rows.push(fields.join(','));
+  }
+  return rows.join('\r\n') + '\r\n';
+};
+
+
+/**
+ * Offers one of the tables of the nodes and links currently shown to the
+ * user as a CSV file, nodes.csv or links.csv, in the format nv.importCSV
+ * reads. Browsers tend to block a second download started by the same click,
+ * so each table has its own.
+ * @param {string} table Which table to offer: nodes or links.
+ * @see #getVisibleTopology
+ */
+nv.exportVisibleCSV = function(table) {
+  nv.download(nv.formatCSV(nv.getVisibleTopology()[table]), table + '.csv',
+              'text/csv');
+};
+
+
+/**
+ * Offers the nodes and links currently shown to the user as a JSON file.
+ * @see #getVisibleTopology
+ */
+nv.exportVisibleJSON = function() {
+  nv.download(JSON.stringify(nv.getVisibleTopology(), null, 2),
+              'network.json', 'application/json');
+};
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Contains the undo/redo history of the Network Visualization
+ * app. Requires nv.js.
+ */
+
+
+/**
+ * Class that keeps the history of the view, so that the user can undo and
+ * redo filtering, explosions, layer switches and node moves. Each entry of
+ * the history is a state vector string made by InteractionControl#saveState,
+ * captured after the change it is labelled with. The first entry is the
+ * view as it was when the history was started.
+ * @constructor
+ */
+function ViewHistory() {
+
+  /**
+   * The entries, oldest first. Each holds a label and a state vector string.
+   * @type {Array.<object>}
+   */
+  this.entries = [];
+
+  /**
+   * Index of the entry the view is at.
+   * @type {number}
+   */
+  this.index = -1;
+
+  this.reset();
+}
+
+
+/**
+ * Most entries the history keeps. Older ones are dropped.
+ */
+ViewHistory.MAX_ENTRIES = 100;
+
+
+/**
+ * Starts the history over from the current view.
+ */
+ViewHistory.prototype.reset = function() {
+  this.entries = [{label: 'Start', state: nv.intControl.saveState()}];
+  this.index = 0;
+  this.render();
+};
+
+
+/**
+ * Adds the current view to the history, after the entry the view is at.
+ * Entries that were undone are dropped. Nothing is added if the view did not
+ * change.
+ * @param {string} label Describes the change, e.g. 'Explode iad'.
+ */
+ViewHistory.prototype.record = function(label) {
+  var state = nv.intControl.saveState();
+  if (ViewHistory.stripZoom_(state) ==
+      ViewHistory.stripZoom_(this.entries[this.index].state)) {
+    return;
+  }
+
+  this.entries = this.entries.slice(0, this.index + 1);
+  this.entries.push({label: label, state: state});
+  if (this.entries.length > ViewHistory.MAX_ENTRIES) {
+    this.entries.shift();
+  }
+  this.index = this.entries.length - 1;
+  this.render();
+};
+
+
+/**
+ * Determines if there is a change to undo.
+ * @return {boolean} Whether or not #undo would do anything.
+ */
+ViewHistory.prototype.canUndo = function() {
+  return this.index > 0;
+};
+
+
+/**
+ * Determines if there is an undone change to redo.
+ * @return {boolean} Whether or not #redo would do anything.
+ */
+ViewHistory.prototype.canRedo = function() {
+  return this.index < this.entries.length - 1;
+};
+
+
+/**
+ * Undoes the last change.
+ */
+ViewHistory.prototype.undo = function() {
+  if (this.canUndo()) {
+    this.goTo(this.index - 1);
+  }
+};
+
+
+/**
+ * Redoes the last undone change.
+ */
+ViewHistory.prototype.redo = function() {
+  if (this.canRedo()) {
+    this.goTo(this.index + 1);
+  }
+};
+
+
+/**
+ * Takes the view to an entry of the history. The pan/zoom transform is not
+ * part of the history, so it stays as it is.
+ * @param {number} index Index of the entry.
+ */
+ViewHistory.prototype.goTo = function(index) {
+  if (index < 0 || index >= this.entries.length || index == this.index) {
+    return;
+  }
+  var stateVector = nv.intControl.readState(this.entries[index].state);
+  var currentState = nv.intControl.readState(nv.intControl.saveState());
+  stateVector.zoom = currentState.zoom;
+
+  this.index = index;
+  nv.intControl.loadState(stateVector);
+  this.render();
+};
+
+
+/**
+ * Shows the history in the history-list element, and enables the undo and
+ * redo buttons when there is something to undo or redo.
+ */
+ViewHistory.prototype.render = function() {
+  var list = document.getElementById('history-list');
+  list.innerHTML = '';
+
+  for (var i = 0; i < this.entries.length; i++) {
+    var item = document.createElement('li');
+    item.appendChild(document.createTextNode(this.entries[i].label));
+    if (i == this.index) {
+      item.className = 'current';
+    } else if (i > this.index) {
+      item.className = 'undone';
+    }
+    $(item).bind('click', {index: i}, function(event) {
+      nv.history.goTo(event.data.index);
+    });
+    list.appendChild(item);
+  }
+  list.scrollTop = list.scrollHeight;
+
+  document.getElementById('undoButton').disabled = !this.canUndo();
+  document.getElementById('redoButton').disabled = !this.canRedo();
+};
+
+
+/**
+ * Takes the pan/zoom transform out of a state vector string, so that panning
+ * and zooming alone do not count as changes.
+ * @param {string} state The state vector string.
+ * @return {string} The state vector string without the transform.
+ * @private
+ */
+ViewHistory.stripZoom_ = function(state) {
+  return state.replace(/&zoom=[^&]*/, '');
+};
@@ -0,0 +1,982 @@
+/**
+ * @fileoverview Contains importers that turn topologies from other formats
+ * (GraphML, GEXF, CSV tables) into the nodes_list / links_list / nodes_tree
+ * structures used by the Network Visualization app. Requires nv.js.
+ */
+
+
+/**
+ * Names of the attributes the importers read node and link properties from.
+ * In GraphML these are the attr.name (or id) of a key, in GEXF the title (or
+ * id) of an attribute, or an XML attribute of the node or edge element.
+ * Change these to match the files being imported, or pass different keys to
+ * the importers.
+ */
+nv.importKeys = {
+  name: 'label', // Short name of a node. Falls back to the node id.
+  type: 'type', // Layer of a node, e.g. metro.
+  parent: 'parent', // Id of the parent of a node, if not nested in it.
+  x: 'x',
+  y: 'y',
+  capacity: 'capacity',
+  utilization: 'utilization'
+};
+
+
+/**
+ * Class that builds a topology from flat node and link records, as found in
+ * graph file formats and tables. Nodes are identified by ids local to the
+ * source, and refer to their parent by id; the builder works out the node
+ * names that encode the hierarchy (metro_pop_router), the neighbors maps, the
+ * link types, and the links between parents that the source leaves out.
+ * @constructor
+ */
+function TopologyBuilder() {
+
+  /**
+   * Node records by id.
+   * @type {object}
+   */
+  this.nodes = {};
+
+  /**
+   * Node ids, in the order the nodes were added.
+   * @type {Array.<string>}
+   */
+  this.nodeIds = [];
+
+  /**
+   * Link records, in the order they were added.
+   * @type {Array.<object>}
+   */
+  this.links = [];
+
+  /**
+   * The problems found so far, like those of TopologyValidator.
+   * @type {Array.<object>}
+   */
+  this.problems = [];
+}
+
+
+/**
+ * Adds a node.
+ * @param {string} id The id of the node in the source.
+ * @param {object} record The node properties: name (its short name, without
+ * those of its parents), type, parent (the id of its parent, or null for top
+ * level nodes), x and y, and attributes, a dictionary of any other
+ * properties to copy to the nodes list.
+ * @param {string} path Where the node is in the source, for reporting.
+ */
+TopologyBuilder.prototype.addNode = function(id, record, path) {
+  if (this.nodes.hasOwnProperty(id)) {
+    this.error(path, 'Duplicate node id ' + id);
+    return;
+  }
+  record.path = path;
+  this.nodes[id] = record;
+  this.nodeIds.push(id);
+};
+
+
+/**
+ * Adds a link.
+ * @param {string} sourceId The id of the source node.
+ * @param {string} targetId The id of the target node.
+ * @param {object} record The link properties: capacity, utilization,
+ * directed (false to add the link in both directions) and attributes, a
+ * dictionary of any other properties to copy to the links list.
+ * @param {string} path Where the link is in the source, for reporting.
+ */
+TopologyBuilder.prototype.addLink = function(sourceId, targetId, record,
+                                             path) {
+  record.sourceId = sourceId;
+  record.targetId = targetId;
+  record.path = path;
+  this.links.push(record);
+};
+
+
+/**
+ * Builds the topology.
+ * @return {object} The topology, which still has to go through
+ * nv.validateTopology, and the problems found while building it.
+ */
+TopologyBuilder.prototype.build = function() {
+  var nodesList = [];
+  var linksList = [];
+  var indices = {};
+
+  for (var i = 0; i < this.nodeIds.length; i++) {
+    var id = this.nodeIds[i];
+    var record = this.nodes[id];
+    var nodeName = this.getNodeName_(id);
+    if (nodeName == null) {
+      continue;
+    }
+
+    var elt = {nodeName: nodeName, type: record.type, neighbors: {}};
+    if (!record.type) {
+      this.error(record.path, 'Node ' + id + ' has no type');
+    }
+    if (TopologyBuilder.isNumber(record.x) &&
+        TopologyBuilder.isNumber(record.y)) {
+      elt.x = parseFloat(record.x);
+      elt.y = parseFloat(record.y);
+    }
+    TopologyBuilder.copyAttributes_(record.attributes, elt);
+
+    indices[id] = nodesList.length;
+    nodesList.push(elt);
+  }
+
+  for (var i = 0; i < this.links.length; i++) {
+    var record = this.links[i];
+    var source = indices[record.sourceId];
+    var target = indices[record.targetId];
+
+    if (source == undefined || target == undefined) {
+      var missing = source == undefined ? record.sourceId : record.targetId;
+      this.error(record.path, 'Link to unknown node ' + missing);
+      continue;
+    }
+    if (source == target) {
+      this.warn(record.path, 'Skipped link from ' + record.sourceId +
+                 ' to itself');
+      continue;
+    }
+
+    var ends = record.directed === false ?
+        [[source, target], [target, source]] : [[source, target]];
+    for (var j = 0; j < ends.length; j++) {
+      var link = {
+        source: ends[j][0],
+        target: ends[j][1],
+        capacity: TopologyBuilder.toNumber(record.capacity),
+        utilization: TopologyBuilder.toNumber(record.utilization)
+      };
+      TopologyBuilder.copyAttributes_(record.attributes, link);
+      this.addToLinksList_(link, nodesList, linksList, record.path);
+    }
+  }
+  this.addParentLinks_(nodesList, linksList);
+
+  var topology = {nodes_list: nodesList, links_list: linksList};
+  if (!nv.hasErrors(this.problems)) {
+    topology.nodes_tree = NodesTree.buildTreeObject(nodesList).tree;
+  }
+  return {topology: topology, errors: this.problems};
+};
+
+
+/**
+ * Works out the full name of a node by walking up its parents.
+ * @param {string} id The id of the node.
+ * @return {string} The name, e.g. metro_pop_router, or null if the node or
+ * one of its parents can not be named.
+ * @private
+ */
+TopologyBuilder.prototype.getNodeName_ = function(id) {
+  var names = [];
+  var seen = {};
+  var record = this.nodes[id];
+
+  while (true) {
+    var name = String(record.name);
+    if (name == '' || name.indexOf('_') != -1) {
+      this.error(record.path, 'Node names can not be empty or hold ' +
+                  'underscores: ' + name);
+      return null;
+    }
+    names.unshift(name);
+    seen[id] = true;
+
+    if (record.parent == null || record.parent === '') {
+      return names.join('_');
+    }
+    if (!this.nodes.hasOwnProperty(record.parent)) {
+      this.error(record.path, 'Unknown parent ' + record.parent);
+      return null;
+    }
+    if (seen[record.parent]) {
+      this.error(record.path, 'Node ' + record.parent + ' is its own ' +
+                  'ancestor');
+      return null;
+    }
+    id = record.parent;
+    record = this.nodes[id];
+  }
+};
+
+
+/**
+ * Adds a link to the links list and the neighbors map of its source, typing
+ * it after its end nodes.
+ * @param {object} link The link.
+ * @param {Array.<object>} nodesList The nodes list being built.
+ * @param {Array.<object>} linksList The links list being built.
+ * @param {string} path Where the link is in the source, for reporting.
+ * @private
+ */
+TopologyBuilder.prototype.addToLinksList_ = function(link, nodesList,
+                                                     linksList, path) {
+  var sourceElt = nodesList[link.source];
+  var targetElt = nodesList[link.target];
+
+  if (sourceElt.neighbors.hasOwnProperty(link.target)) {
+    this.warn(path, 'Skipped second link from ' + sourceElt.nodeName +
+               ' to ' + targetElt.nodeName);
+    return;
+  }
+  link.type = sourceElt.type == targetElt.type ?
+      sourceElt.type : sourceElt.type + '_' + targetElt.type;
+  sourceElt.neighbors[link.target] = linksList.length;
+  linksList.push(link);
+};
+
+
+/**
+ * Adds the links between parents that the source leaves out. For every link
+ * between two nodes of the same layer with different parents, the parents
+ * get linked too, and so on up the hierarchy. Such a parent link gets the
+ * summed capacity of its children, and their capacity-weighted utilization.
+ * @param {Array.<object>} nodesList The nodes list being built.
+ * @param {Array.<object>} linksList The links list being built.
+ * @private
+ */
+TopologyBuilder.prototype.addParentLinks_ = function(nodesList, linksList) {
+  var indices = {};
+  for (var i = 0; i < nodesList.length; i++) {
+    indices[nodesList[i].nodeName] = i;
+  }
+
+  function parentIndex(index) {
+    var address_array = nodesList[index].nodeName.split('_');
+    address_array.pop();
+    return address_array.length ? indices[address_array.join('_')] : undefined;
+  };
+
+  var parentLinks = {};
+  var keys = [];
+  for (var i = 0; i < linksList.length; i++) {
+    var link = linksList[i];
+    var source = parentIndex(link.source);
+    var target = parentIndex(link.target);
+
+    while (source != undefined && target != undefined && source != target &&
+           nodesList[source].type == nodesList[target].type) {
+      var key = source + '_' + target;
+      if (!parentLinks.hasOwnProperty(key)) {
+        parentLinks[key] = {source: source, target: target, capacity: 0,
+                            traffic: 0};
+        keys.push(key);
+      }
+      parentLinks[key].capacity += link.capacity || 0;
+      parentLinks[key].traffic += (link.capacity || 0) *
+                                  (link.utilization || 0);
+      source = parentIndex(source);
+      target = parentIndex(target);
+    }
+  }
+
+  for (var i = 0; i < keys.length; i++) {
+    var parentLink = parentLinks[keys[i]];
+    if (nodesList[parentLink.source].neighbors.hasOwnProperty(
+        parentLink.target)) {
+      continue; // The source has its own link between the parents.
+    }
+    this.addToLinksList_({
+      source: parentLink.source,
+      target: parentLink.target,
+      capacity: parentLink.capacity,
+      utilization: parentLink.capacity ?
+          parentLink.traffic / parentLink.capacity : 0
+    }, nodesList, linksList, '');
+  }
+};
+
+
+/**
+ * Records an error. Importers report what they find wrong with the source
+ * through it, next to the problems the builder finds itself.
+ * @param {string} path Where the offending value is in the source.
+ * @param {string} message What is wrong with the value.
+ */
+TopologyBuilder.prototype.error = function(path, message) {
+  this.problems.push({path: path, message: message,
+                      severity: nv.Severity.ERROR});
+};
+
+
+/**
+ * Records a warning.
+ * @see #error
+ */
+TopologyBuilder.prototype.warn = function(path, message) {
+  this.problems.push({path: path, message: message,
+                      severity: nv.Severity.WARNING});
+};
+
+
+/**
+ * Copies attributes onto a nodes list or links list element, turning the
+ * numeric ones into numbers.
+ * @param {object} attributes Dictionary of attribute names and values.
+ * @param {object} elt The element to copy them onto.
+ * @private
+ */
+TopologyBuilder.copyAttributes_ = function(attributes, elt) {
+  for (var name in attributes) {
+    if (!elt.hasOwnProperty(name)) {
+      elt[name] = TopologyBuilder.isNumber(attributes[name]) ?
+          parseFloat(attributes[name]) : attributes[name];
+    }
+  }
+};
+
+
+/**
+ * Determines if a value is a number or a string holding one.
+ * @param {number|string} value The value.
+ * @return {boolean} Whether or not the value is numeric.
+ */
+TopologyBuilder.isNumber = function(value) {
+  return value !== null && value !== '' && !isNaN(value) &&
+         isFinite(value) && typeof value != 'boolean';
+};
+
+
+/**
+ * Turns a numeric value into a number, leaving anything else as it is so
+ * that TopologyValidator can report it.
+ * @param {number|string} value The value.
+ * @return {number|string} The number, or the value itself.
+ */
+TopologyBuilder.toNumber = function(value) {
+  return TopologyBuilder.isNumber(value) ? parseFloat(value) : value;
+};
+
+
+/**
+ * Parses an XML document.
+ * @param {string} text The XML text.
+ * @return {Document} The document, or null if the text is not valid XML.
+ */
+TopologyBuilder.parseXML = function(text) {
+  var doc;
+  try {
+    doc = new DOMParser().parseFromString(text, 'application/xml');
+  } catch (e) {
+    return null;
+  }
+  if (!doc || !doc.documentElement ||
+      doc.getElementsByTagName('parsererror').length) {
+    return null;
+  }
+  return doc;
+};
+
+
+/**
+ * Gets the child elements of an element that have a given local name.
+ * @param {Element} parent The element.
+ * @param {string} localName The local name of the children we want.
+ * @return {Array.<Element>} The matching children.
+ */
+TopologyBuilder.getChildElements = function(parent, localName) {
+  var children = [];
+  for (var child = parent.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType == 1 &&
+        (child.localName || child.nodeName) == localName) {
+      children.push(child);
+    }
+  }
+  return children;
+};
+
+
+/**
+ * Imports a GraphML document. Node and edge properties come from data
+ * elements whose key has the attr.name (or id) given in keys. The hierarchy
+ * comes from nested graphs (a node holding a graph of its children), or from
+ * the parent key.
+ * @param {string} text The GraphML text.
+ * @param {object=} opt_keys Attribute keys to use instead of nv.importKeys.
+ * @return {object} The topology and the problems found, like
+ * TopologyBuilder#build.
+ */
+nv.importGraphML = function(text, opt_keys) {
+  var keys = opt_keys || nv.importKeys;
+  var builder = new TopologyBuilder();
+  var doc = TopologyBuilder.parseXML(text);
+
+  if (!doc || doc.documentElement.localName != 'graphml') {
+    builder.error('', 'Not a GraphML document');
+    return {topology: null, errors: builder.problems};
+  }
+
+  /**
+   * Map key ids to attribute names, and remember the numeric ones.
+   */
+  var keyNames = {};
+  var defaults = {node: {}, edge: {}};
+  var keyElements = TopologyBuilder.getChildElements(doc.documentElement,
+                                                     'key');
+  for (var i = 0; i < keyElements.length; i++) {
+    var key = keyElements[i];
+    var name = key.getAttribute('attr.name') || key.getAttribute('id');
+    keyNames[key.getAttribute('id')] = name;
+
+    var defaultElements = TopologyBuilder.getChildElements(key, 'default');
+    var forElement = key.getAttribute('for') || 'all';
+    if (defaultElements.length) {
+      for (var element in defaults) {
+        if (forElement == element || forElement == 'all') {
+          defaults[element][name] = defaultElements[0].textContent;
+        }
+      }
+    }
+  }
+
+  function getData(element, kind) {
+    var data = jQuery.extend({}, defaults[kind]);
+    var dataElements = TopologyBuilder.getChildElements(element, 'data');
+    for (var i = 0; i < dataElements.length; i++) {
+      var id = dataElements[i].getAttribute('key');
+      data[keyNames[id] || id] = dataElements[i].textContent;
+    }
+    return data;
+  };
+
+  function readGraph(graph, parentId, path) {
+    var directed = graph.getAttribute('edgedefault') != 'undirected';
+    var nodes = TopologyBuilder.getChildElements(graph, 'node');
+    var edges = TopologyBuilder.getChildElements(graph, 'edge');
+
+    for (var i = 0; i < nodes.length; i++) {
+      var id = nodes[i].getAttribute('id');
+      var nodePath = path + ' > node ' + id;
+      var data = getData(nodes[i], 'node');
+      builder.addNode(id,
+          TopologyBuilder.takeNodeRecord_(data, keys, id, parentId), nodePath);
+
+      var subgraphs = TopologyBuilder.getChildElements(nodes[i], 'graph');
+      for (var j = 0; j < subgraphs.length; j++) {
+        readGraph(subgraphs[j], id, nodePath);
+      }
+    }
+
+    for (var i = 0; i < edges.length; i++) {
+      var edge = edges[i];
+      var isDirected = edge.hasAttribute('directed') ?
+          edge.getAttribute('directed') == 'true' : directed;
+      var record = TopologyBuilder.takeLinkRecord_(getData(edge, 'edge'),
+                                                   keys);
+      record.directed = isDirected;
+      builder.addLink(edge.getAttribute('source'), edge.getAttribute('target'),
+          record, path + ' > edge ' + (edge.getAttribute('id') || i));
+    }
+  };
+
+  var graphs = TopologyBuilder.getChildElements(doc.documentElement, 'graph');
+  for (var i = 0; i < graphs.length; i++) {
+    readGraph(graphs[i], null, 'graph ' + (graphs[i].getAttribute('id') || i));
+  }
+  return builder.build();
+};
+
+
+/**
+ * Imports a GEXF document. Node and edge properties come from attvalues
+ * whose attribute has the title (or id) given in keys, or from XML attributes
+ * of the node and edge elements. Node positions also come from viz:position.
+ * The hierarchy comes from nested nodes, or from the pid attribute or the
+ * parent key.
+ * @param {string} text The GEXF text.
+ * @param {object=} opt_keys Attribute keys to use instead of nv.importKeys.
+ * @return {object} The topology and the problems found, like
+ * TopologyBuilder#build.
+ */
+nv.importGEXF = function(text, opt_keys) {
+  var keys = opt_keys || nv.importKeys;
+  var builder = new TopologyBuilder();
+  var doc = TopologyBuilder.parseXML(text);
+
+  if (!doc || doc.documentElement.localName != 'gexf') {
+    builder.error('', 'Not a GEXF document');
+    return {topology: null, errors: builder.problems};
+  }
+
+  var graph = TopologyBuilder.getChildElements(doc.documentElement,
+                                               'graph')[0];
+  if (!graph) {
+    builder.error('', 'GEXF document has no graph');
+    return {topology: null, errors: builder.problems};
+  }
+  var directed = graph.getAttribute('defaultedgetype') != 'undirected';
+
+  /**
+   * Map attribute ids to titles, for nodes and edges separately.
+   */
+  var titles = {node: {}, edge: {}};
+  var defaults = {node: {}, edge: {}};
+  var attributeGroups = TopologyBuilder.getChildElements(graph, 'attributes');
+  for (var i = 0; i < attributeGroups.length; i++) {
+    var kind = attributeGroups[i].getAttribute('class');
+    var attributes =
+        TopologyBuilder.getChildElements(attributeGroups[i], 'attribute');
+    for (var j = 0; j < attributes.length && titles[kind]; j++) {
+      var title = attributes[j].getAttribute('title') ||
+                  attributes[j].getAttribute('id');
+      titles[kind][attributes[j].getAttribute('id')] = title;
+
+      var defaultElements =
+          TopologyBuilder.getChildElements(attributes[j], 'default');
+      if (defaultElements.length) {
+        defaults[kind][title] = defaultElements[0].textContent;
+      }
+    }
+  }
+
+  function getData(element, kind) {
+    var data = jQuery.extend({}, defaults[kind]);
+    for (var i = 0; i < element.attributes.length; i++) {
+      data[element.attributes[i].name] = element.attributes[i].value;
+    }
+
+    var attvalueGroups = TopologyBuilder.getChildElements(element, 'attvalues');
+    for (var i = 0; i < attvalueGroups.length; i++) {
+      var attvalues =
+          TopologyBuilder.getChildElements(attvalueGroups[i], 'attvalue');
+      for (var j = 0; j < attvalues.length; j++) {
+        var id = attvalues[j].getAttribute('for') ||
+                 attvalues[j].getAttribute('id');
+        data[titles[kind][id] || id] = attvalues[j].getAttribute('value');
+      }
+    }
+
+    var positions = TopologyBuilder.getChildElements(element, 'position');
+    if (positions.length) {
+      data[keys.x] = positions[0].getAttribute('x');
+      data[keys.y] = positions[0].getAttribute('y');
+    }
+    return data;
+  };
+
+  function readNodes(container, parentId, path) {
+    var nodeGroups = TopologyBuilder.getChildElements(container, 'nodes');
+    for (var i = 0; i < nodeGroups.length; i++) {
+      var nodes = TopologyBuilder.getChildElements(nodeGroups[i], 'node');
+      for (var j = 0; j < nodes.length; j++) {
+        var id = nodes[j].getAttribute('id');
+        var nodePath = path + ' > node ' + id;
+        var data = getData(nodes[j], 'node');
+        var nodeParentId = data.hasOwnProperty('pid') ? data.pid : parentId;
+        delete data.id;
+        delete data.pid;
+        builder.addNode(id, TopologyBuilder.takeNodeRecord_(data, keys, id,
+                                                            nodeParentId),
+                        nodePath);
+        readNodes(nodes[j], id, nodePath);
+      }
+    }
+  };
+  readNodes(graph, null, 'graph');
+
+  var edgeGroups = TopologyBuilder.getChildElements(graph, 'edges');
+  for (var i = 0; i < edgeGroups.length; i++) {
+    var edges = TopologyBuilder.getChildElements(edgeGroups[i], 'edge');
+    for (var j = 0; j < edges.length; j++) {
+      var data = getData(edges[j], 'edge');
+      var isDirected = data.hasOwnProperty('type') ?
+          data.type != 'undirected' : directed;
+      var path = 'graph > edge ' + (data.id || j);
+      var source = data.source;
+      var target = data.target;
+      jQuery.each(['id', 'source', 'target', 'type'], function(k, name) {
+        delete data[name];
+      });
+
+      var record = TopologyBuilder.takeLinkRecord_(data, keys);
+      record.directed = isDirected;
+      builder.addLink(source, target, record, path);
+    }
+  }
+  return builder.build();
+};
+
+
+/**
+ * Parses CSV text. Fields may be quoted with double quotes, in which case they
+ * can hold commas, line breaks and doubled double quotes.
+ * @param {string} text The CSV text.
+ * @return {Array.<object>} The non-blank rows, each holding its fields and the
+ * line number it starts on.
+ */
+TopologyBuilder.parseCSV = function(text) {
+  var rows = [];
+  var fields = [];
+  var field = '';
+  var quoted = false;
+  var line = 1;
+  var rowLine = 1;
+
+  function endRow() {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] != '') {
+      rows.push({fields: fields, line: rowLine});
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (var i = 0; i < text.length; i++) {
+    var c = text.charAt(i);
+
+    if (quoted) {
+      if (c == '"' && text.charAt(i + 1) == '"') {
+        field += '"';
+        i++;
+      } else if (c == '"') {
+        quoted = false;
+      } else {
+        if (c == '\n') {
+          line++;
+        }
+        field += c;
+      }
+    } else if (c == '"') {
+      quoted = true;
+    } else if (c == ',') {
+      fields.push(field);
+      field = '';
+    } else if (c == '\n' || c == '\r') {
+      if (c == '\r' && text.charAt(i + 1) == '\n') {
+        i++;
+      }
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += c;
+    }
+  }
+  endRow();
+  return rows;
+};
+
+
+/**
+ * Imports a topology from two CSV tables, one of nodes and one of links.
+ * Both start with a header row naming their columns.
+ *
+ * The nodes table has name and type columns, and optional parent, x and y
+ * columns. The parent column holds the full name of the parent node, which
+ * is made of its own name and those of its ancestors (metro_pop), and is
+ * left empty for top level nodes; alternatively, it can be left out and the
+ * names can encode the hierarchy as in nodes_list (metro_pop_router). Either
+ * way, nodes are told apart by their full names, so nodes under different
+ * parents can share a name. Any other column is copied to the nodes list as
+ * a node attribute.
+ *
+ * The links table has source and target columns holding full node names, and
+ * capacity and utilization columns. Any other column is copied to the links
+ * list. A link is added in both directions unless the table also has a row
+ * for the reverse direction.
+ * @param {string} nodesText The nodes CSV text.
+ * @param {string} linksText The links CSV text.
+ * @param {string=} opt_nodesFileName Name of the nodes file, for reporting.
+ * @param {string=} opt_linksFileName Name of the links file, for reporting.
+ * @return {object} The topology and the problems found, like
+ * TopologyBuilder#build. Problems found in the tables give their line.
+ */
+nv.importCSV = function(nodesText, linksText, opt_nodesFileName,
+                        opt_linksFileName) {
+  var nodesFileName = opt_nodesFileName || 'nodes';
+  var linksFileName = opt_linksFileName || 'links';
+  var builder = new TopologyBuilder();
+  var nodeRows = TopologyBuilder.readCSVTable_(nodesText, nodesFileName,
+      ['name', 'type'], builder);
+  var linkRows = TopologyBuilder.readCSVTable_(linksText, linksFileName,
+      ['source', 'target', 'capacity', 'utilization'], builder);
+
+  if (nodeRows == null || linkRows == null) {
+    return {topology: null, errors: builder.problems};
+  }
+
+  for (var i = 0; i < nodeRows.length; i++) {
+    var data = nodeRows[i].data;
+    var path = nodeRows[i].path;
+    var name = data.name;
+    var parent = data.parent;
+
+    if (name == '') {
+      builder.error(path, 'Node has no name');
+      continue;
+    }
+    if (!parent && name.indexOf('_') != -1) {
+      parent = name.slice(0, name.lastIndexOf('_'));
+      name = name.slice(name.lastIndexOf('_') + 1);
+    }
+    var id = parent ? parent + '_' + name : name;
+    if ((data.x && !TopologyBuilder.isNumber(data.x)) ||
+        (data.y && !TopologyBuilder.isNumber(data.y))) {
+      builder.error(path, 'Position is not a number: ' + data.x + ', ' +
+                     data.y);
+    }
+
+    var record = {name: name, type: data.type, parent: parent || null,
+                  x: data.x, y: data.y};
+    jQuery.each(['name', 'type', 'parent', 'x', 'y'], function(j, column) {
+      delete data[column];
+    });
+    record.attributes = TopologyBuilder.dropEmptyValues_(data);
+    builder.addNode(id, record, path);
+  }
+
+  var pairs = {};
+  for (var i = 0; i < linkRows.length; i++) {
+    pairs[linkRows[i].data.source + ',' + linkRows[i].data.target] = true;
+  }
+
+  for (var i = 0; i < linkRows.length; i++) {
+    var data = linkRows[i].data;
+    var path = linkRows[i].path;
+    var isValid = true;
+
+    jQuery.each(['capacity', 'utilization'], function(j, column) {
+      if (!TopologyBuilder.isNumber(data[column])) {
+        builder.error(path, column + ' is not a number: ' + data[column]);
+        isValid = false;
+      }
+    });
+    if (!isValid) {
+      continue;
+    }
+
+    var record = {capacity: data.capacity, utilization: data.utilization,
+                  directed: pairs.hasOwnProperty(data.target + ',' +
+                                                 data.source)};
+    var source = data.source;
+    var target = data.target;
+    jQuery.each(['source', 'target', 'capacity', 'utilization'],
+        function(j, column) {
+          delete data[column];
+        });
+    record.attributes = TopologyBuilder.dropEmptyValues_(data);
+    builder.addLink(source, target, record, path);
+  }
+  return builder.build();
+};
+
+
+/**
+ * Reads a CSV table with a header row into a dictionary per row.
+ * @param {string} text The CSV text.
+ * @param {string} fileName Name of the file, for reporting.
+ * @param {Array.<string>} required Columns the table must have.
+ * @param {TopologyBuilder} builder The builder to report problems to.
+ * @return {Array.<object>} The rows, each holding a dictionary of values by
+ * column name and the path of the row, or null if the header is unusable.
+ * Rows with the wrong number of fields are reported and left out.
+ * @private
+ */
+TopologyBuilder.readCSVTable_ = function(text, fileName, required, builder) {
+  var rows = TopologyBuilder.parseCSV(text);
+  if (!rows.length) {
+    builder.error(fileName, 'Table is empty');
+    return null;
+  }
+
+  var header = jQuery.map(rows[0].fields, function(column) {
+    return jQuery.trim(column).toLowerCase();
+  });
+  var missing = jQuery.grep(required, function(column) {
+    return jQuery.inArray(column, header) == -1;
+  });
+  if (missing.length) {
+    builder.error(fileName + ' line ' + rows[0].line,
+                   'Missing column: ' + missing.join(', '));
+    return null;
+  }
+
+  var table = [];
+  for (var i = 1; i < rows.length; i++) {
+    var path = fileName + ' line ' + rows[i].line;
+    var fields = rows[i].fields;
+    if (fields.length != header.length) {
+      builder.error(path, 'Expected ' + header.length + ' fields, found ' +
+                     fields.length);
+      continue;
+    }
+
+    var data = {};
+    for (var j = 0; j < header.length; j++) {
+      data[header[j]] = jQuery.trim(fields[j]);
+    }
+    table.push({data: data, path: path});
+  }
+  return table;
+};
+
+
+/**
+ * Removes the empty values from a dictionary, so that empty cells do not turn
+ * into attributes.
+ * @param {object} data Dictionary of column names and values.
+ * @return {object} The same dictionary.
+ * @private
+ */
+TopologyBuilder.dropEmptyValues_ = function(data) {
+  for (var column in data) {
+    if (data[column] === '') {
+      delete data[column];
+    }
+  }
+  return data;
+};
+
+
+/**
+ * Reads topology files picked or dropped by the user: either a single JSON,
+ * GraphML or GEXF document, or a pair of CSV tables, told apart by their
+ * headers (the links table has source and target columns).
+ * @param {FileList|Array.<File>} files The files.
+ * @param {function(object, Array.<object>)} callback Called once with the
+ * topology, or null if it could not be read, and the problems found.
+ */
+nv.readTopologyFiles = function(files, callback) {
+  var texts = [];
+  var remaining = files.length;
+  var isFinished = false;
+
+  function finish(topology, problems) {
+    if (!isFinished) {
+      isFinished = true;
+      callback(topology, problems);
+    }
+  };
+
+  function fail(message) {
+    finish(null, [{path: '', message: message, severity: nv.Severity.ERROR}]);
+  };
+
+  function done() {
+    if (texts.length == 1 && !/\.csv$/i.test(texts[0].name)) {
+      var parsed = nv.parseTopology(texts[0].text, texts[0].name);
+      finish(parsed.topology, parsed.errors);
+      return;
+    }
+
+    var nodes, links;
+    for (var i = 0; i < texts.length; i++) {
+      var header = (TopologyBuilder.parseCSV(texts[i].text)[0] ||
+                    {fields: []}).fields.join(',').toLowerCase();
+      if (/(^|,)\s*source\s*(,|$)/.test(header) &&
+          /(^|,)\s*target\s*(,|$)/.test(header)) {
+        links = texts[i];
+      } else {
+        nodes = texts[i];
+      }
+    }
+    if (texts.length != 2 || !nodes || !links) {
+      fail('Drop a JSON, GraphML or GEXF file, or a nodes CSV file ' +
+           'together with a links CSV file');
+      return;
+    }
+    var imported = nv.importCSV(nodes.text, links.text, nodes.name,
+                                links.name);
+    finish(imported.topology, imported.errors);
+  };
+
+  if (!remaining) {
+    fail('No files to read');
+  }
+  jQuery.each(files, function(i, file) {
+    var reader = new FileReader();
+    reader.onload = function() {
+      texts.push({name: file.name, text: reader.result});
+      if (--remaining == 0) {
+        done();
+      }
+    };
+    reader.onerror = function() {
+      fail('Could not read ' + file.name);
+    };
+    reader.readAsText(file);
+  });
+};
+
+
+/**
+ * Parses a topology document in any of the formats we know: JSON, GraphML or
+ * GEXF. The format is picked from the file name extension, or sniffed from the
+ * text if the extension is not one we know.
+ * @param {string} text The text of the document.
+ * @param {string} fileName The name or URL of the document.
+ * @return {object} The topology, or null if it could not be parsed, and the
+ * problems found.
+ */
+nv.parseTopology = function(text, fileName) {
+  var extension = fileName.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  var start = text.replace(/^\s+/, '').slice(0, 512);
+
+  if (extension == 'graphml' ||
+      (extension != 'gexf' && /<graphml[\s>]/.test(start))) {
+    return nv.importGraphML(text);
+  }
+  if (extension == 'gexf' || /<gexf[\s>]/.test(start)) {
+    return nv.importGEXF(text);
+  }
+
+  try {
+    return {topology: JSON.parse(text), errors: []};
+  } catch (e) {
+    return {topology: null, errors: [{path: fileName,
+        message: 'Not a JSON, GraphML or GEXF document (' + e.message + ')',
+        severity: nv.Severity.ERROR}]};
+  }
+};
+
+
+/**
+ * Makes a node record out of the properties read for a node, taking out the
+ * ones named by keys and leaving the rest as attributes.
+ * @param {object} data Dictionary of property names and values.
+ * @param {object} keys Attribute keys, like nv.importKeys.
+ * @param {string} id The id of the node.
+ * @param {string} parentId The id of the node the node is nested in, if any.
+ * @return {object} The node record, as taken by TopologyBuilder#addNode.
+ * @private
+ */
+TopologyBuilder.takeNodeRecord_ = function(data, keys, id, parentId) {
+  var record = {
+    name: data.hasOwnProperty(keys.name) ? data[keys.name] : id,
+    type: data[keys.type],
+    parent: data.hasOwnProperty(keys.parent) ? data[keys.parent] : parentId,
+    x: data[keys.x],
+    y: data[keys.y]
+  };
+  jQuery.each(['name', 'type', 'parent', 'x', 'y'], function(i, key) {
+    delete data[keys[key]];
+  });
+  record.attributes = data;
+  return record;
+};
+
+
+/**
+ * Makes a link record out of the properties read for a link.
+ * @see #takeNodeRecord_
+ * @private
+ */
+TopologyBuilder.takeLinkRecord_ = function(data, keys) {
+  var record = {
+    capacity: data[keys.capacity],
+    utilization: data[keys.utilization]
+  };
+  delete data[keys.capacity];
+  delete data[keys.utilization];
+  record.attributes = data;
+  return record;
+};
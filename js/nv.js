@@ -11,8 +11,17 @@
  */
 window.nv = window.nv || {};
 
+/**
+ * The network layers, from the top of the hierarchy down. Node names hold one
+ * segment per layer, e.g. metro_pop_router. Set by #setTopology_ from the
+ * layers found in the topology.
+ */
+nv.layers = ['metro', 'pop', 'router'];
+
 /**
  * Dictionary representing the order hierarchy of network layers.
+ * Set by #setTopology_.
+ * @see #buildLayerOrder
  */
 nv.layerOrder = {
   'router': 0,
@@ -26,44 +35,372 @@ nv.layerOrder = {
   'metro': 4,
 };
 
+/**
+ * Builds the layer order dictionary for a list of layers. The bottom layer
+ * comes first with order 0, and each layer up adds 2 to the order. Cross
+ * links between two layers (typed layer1_layer2) fall halfway between them.
+ * @param {Array.<string>} layers The layers, from the top of the hierarchy
+ * down.
+ * @return {object} The layer order dictionary.
+ */
+nv.buildLayerOrder = function(layers) {
+  var layerOrder = {};
+  var bottom = layers.length - 1;
+
+  for (var i = 0; i < layers.length; i++) {
+    layerOrder[layers[i]] = 2 * (bottom - i);
+    for (var j = 0; j < i; j++) {
+      var crossOrder = bottom - i + bottom - j;
+      layerOrder[layers[i] + '_' + layers[j]] = crossOrder;
+      layerOrder[layers[j] + '_' + layers[i]] = crossOrder;
+    }
+  }
+  return layerOrder;
+};
+
+/**
+ * Gets the bottom layer of the hierarchy, e.g. router.
+ * @return {string} The name of the bottom layer.
+ */
+nv.getBottomLayer = function() {
+  return nv.layers[nv.layers.length - 1];
+};
+
+/**
+ * Gets the layer filters act on unless told otherwise: the router layer, or
+ * the bottom layer if the topology has no router layer.
+ * @return {string} The name of the layer.
+ */
+nv.getFilterLayer = function() {
+  return nv.layerOrder.hasOwnProperty('router') ?
+      'router' : nv.getBottomLayer();
+};
+
+/**
+ * Formats the name of a layer for labels, e.g. metro as Metro.
+ * @param {string} layer The name of the layer.
+ * @return {string} The formatted name.
+ */
+nv.formatLayerName = function(layer) {
+  return layer.charAt(0).toUpperCase() + layer.slice(1);
+};
+
+/**
+ * Utilization at which a link carries as much traffic as its capacity. Link
+ * utilizations run from 0 to this.
+ */
+nv.fullUtilization = 10;
+
+/**
+ * Units of link capacities, and of the traffic links carry.
+ */
+nv.capacityUnits = 'bps';
+
+/**
+ * Gets the traffic a link carries.
+ * @param {object} link A JS object within nv.linksList, or any object holding
+ * a capacity and a utilization.
+ * @return {number} The traffic, in nv.capacityUnits.
+ */
+nv.getTraffic = function(link) {
+  return link.capacity * link.utilization / nv.fullUtilization;
+};
+
+/**
+ * Datasets that can be picked from the control bar. Key is the name shown in
+ * the dataset picker and value is the URL of the topology JSON document.
+ */
+nv.datasets = {
+  'testData': 'data/testData.json',
+  'b3': 'data/b3.json'
+};
+
 /**
  * An instance of NodesTree. Holds hierarchy information about the nodes.
+ * Set by #setTopology_.
  */
-nv.nodesTree = new NodesTree(new Node(nodes_tree, null));
+nv.nodesTree = null;
 
 /**
  * An array of JS objects, each holding information about the
  * properties of a node in the network.
  */
-nv.nodesList = nodes_list;
+nv.nodesList = [];
 
 /**
  * Total number of nodes.
  */
-nv.numNodes = nodes_list.length;
+nv.numNodes = 0;
 
 /**
  * An array of JS objects, each holding information about the
  * properties of a link in the network.
  */
-nv.linksList = links_list;
+nv.linksList = [];
 
 /**
- * Total number of links, including cross-links which get added dynamically.
+ * Number of links of the topology. Cross links follow them in nv.linksList.
  */
-nv.numLinks = links_list.length;
+nv.numLinks = 0;
 
 /**
  * A set of JS objects, each holding information about a crosslink,
- * links between nodes from differing layers.
+ * links between nodes from differing layers, keyed by the indices of their
+ * source and target nodes. Holds only the cross links the view needs.
+ * @see Visual#updateCrosslinks
  */
 nv.crossLinksDict = {};
 
+/**
+ * Properties the app keeps on nodes list and links list elements to track
+ * their state in the view. They are not data, so filters, the inspector and
+ * exports leave them out.
+ */
+nv.viewProperties = {
+  'neighbors': true,
+  'index': true,
+  'linkDegree': true,
+  'linkValue': true,
+  'sourceNode': true,
+  'targetNode': true,
+  'show': true,
+  'exploded': true,
+  'dim': true,
+  'hover': true,
+  'filtered': true,
+  'excludedBy': true,
+  'rollup': true
+};
+
+/** @enum {string}
+ * Severity of a problem found in a topology. Errors keep the topology from
+ * being loaded, warnings are only reported.
+ */
+nv.Severity = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+/**
+ * Loads a topology and builds the visualization from it.
+ * A topology is a JS object holding the three structures the data files
+ * used to declare as globals: nodes_tree, nodes_list and links_list. The
+ * nodes_tree is optional, since the hierarchy can be derived from the node
+ * names in nodes_list. The topology is validated first; any problems are
+ * shown in the error bar, and nothing gets built if one of them is an error.
+ * @param {object|string} source A topology object, or the URL of a JSON
+ * document holding one.
+ * @param {function(Array.<object>)=} opt_callback Called once the topology has
+ * been loaded, with the list of problems found.
+ */
+nv.init = function(source, opt_callback) {
+  var callback = opt_callback || function() {};
+
+  if (typeof source == 'string') {
+    nv.fetchTopology(source, function(topology, errors) {
+      if (nv.hasErrors(errors)) {
+        nv.reportErrors(errors);
+        callback(errors);
+      } else {
+        nv.init(topology, function(problems) {
+          nv.reportErrors(errors.concat(problems));
+          callback(errors.concat(problems));
+        });
+      }
+    });
+    return;
+  }
+
+  var errors = nv.validateTopology(source);
+  nv.reportErrors(errors);
+  if (!nv.hasErrors(errors)) {
+    nv.setTopology_(source);
+    nv.build_();
+  }
+  callback(errors);
+};
+
+/**
+ * Fetches a topology document, in JSON or any format nv.parseTopology knows.
+ * Browsers such as Chrome do not let pages opened from disk (file://) fetch
+ * other files, so the app has to be served over HTTP to load topologies by
+ * URL; topology files can still be dropped on a page opened from disk.
+ * @param {string} url The URL of the document.
+ * @param {function(object, Array.<object>)} callback Called with the parsed
+ * topology and a list of problems found while fetching and parsing it.
+ */
+nv.fetchTopology = function(url, callback) {
+  jQuery.ajax({
+    url: url,
+    dataType: 'text',
+    success: function(text) {
+      var parsed = nv.parseTopology(text, url);
+      callback(parsed.topology, parsed.errors);
+    },
+    error: function(xhr, status, error) {
+      var message = 'Could not load topology (' + (error || status) + ')';
+      if (window.location.protocol == 'file:') {
+        message += '. Pages opened from disk may not load files: serve ' +
+                   'the app over HTTP, e.g. with python -m http.server';
+      }
+      callback(null, [{
+        path: url,
+        message: message,
+        severity: nv.Severity.ERROR
+      }]);
+    }
+  });
+};
+
+/**
+ * Checks a topology for problems before it gets loaded.
+ * @param {object} topology The topology to check.
+ * @return {Array.<object>} The problems found, each holding the path of the
+ * offending value, a message and a severity. Empty if the topology is valid.
+ * @see TopologyValidator
+ */
+nv.validateTopology = function(topology) {
+  return new TopologyValidator(topology).validate();
+};
+
+/**
+ * Determines if a list of problems holds at least one error.
+ * @param {Array.<object>} problems Problems as returned by #validateTopology.
+ * @return {boolean} Whether or not one of the problems is an error.
+ */
+nv.hasErrors = function(problems) {
+  for (var i = 0; i < problems.length; i++) {
+    if (problems[i].severity != nv.Severity.WARNING) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Shows a list of problems in the error-bar div, or hides the error bar if the
+ * list is empty.
+ * @param {Array.<object>} errors Problems as returned by #validateTopology.
+ */
+nv.reportErrors = function(errors) {
+  var errorBar = document.getElementById('error-bar');
+  var errorList = document.getElementById('error-list');
+  errorBar.style.display = errors.length ? 'block' : 'none';
+  errorList.innerHTML = '';
+
+  for (var i = 0; i < errors.length; i++) {
+    var item = document.createElement('li');
+    item.className = errors[i].severity;
+    item.appendChild(
+        document.createTextNode(TopologyValidator.format(errors[i])));
+    errorList.appendChild(item);
+  }
+};
+
+/**
+ * Replaces the current topology with another one without reloading the page.
+ * The new topology is loaded and validated first, so the current view stays
+ * up if it turns out to be invalid. Otherwise the current view is torn down
+ * and rebuilt for the new topology, carrying over the current layer and the
+ * filters that still make sense for it, and the history starts over. A state
+ * made for the new topology can be shown instead, in which case the history
+ * starts from the new topology's default view.
+ * @param {object|string} source A topology object, or the URL of a JSON
+ * document holding one.
+ * @param {function(Array.<object>)=} opt_callback See #init.
+ * @param {object=} opt_stateVector The state to show, as returned by
+ * InteractionControl#readState.
+ */
+nv.switchTopology = function(source, opt_callback, opt_stateVector) {
+  var callback = opt_callback || function() {};
+
+  if (typeof source == 'string') {
+    nv.fetchTopology(source, function(topology, errors) {
+      if (nv.hasErrors(errors)) {
+        nv.reportErrors(errors);
+        callback(errors);
+      } else {
+        nv.switchTopology(topology, function(problems) {
+          nv.reportErrors(errors.concat(problems));
+          callback(errors.concat(problems));
+        }, opt_stateVector);
+      }
+    });
+    return;
+  }
+
+  var errors = nv.validateTopology(source);
+  if (nv.hasErrors(errors)) {
+    nv.reportErrors(errors);
+    callback(errors);
+    return;
+  }
+
+  var stateVector = nv.intControl ?
+      nv.intControl.readState(nv.intControl.saveState()) : null;
+  nv.teardown();
+  nv.init(source, function(errors) {
+    if (opt_stateVector) {
+      nv.intControl.syncIncludeNeighbors();
+      nv.intControl.loadState(opt_stateVector);
+    } else if (stateVector) {
+      nv.intControl.syncIncludeNeighbors();
+      nv.intControl.loadState(nv.intControl.getApplicableState(stateVector));
+      nv.history.reset();
+    }
+    callback(errors);
+  });
+};
+
+/**
+ * Tears down the current view: removes the Protovis panel, empties the
+ * display bar, removes the filter controls and the filter catalog of the
+ * current topology and drops the controllers, filters and cross links built
+ * for it.
+ */
+nv.teardown = function() {
+  var canvas = document.getElementById('vis');
+  while (canvas.lastChild) {
+    canvas.removeChild(canvas.lastChild);
+  }
+  document.getElementById('display-bar').style.display = 'none';
+  $('#interaction-container .generated').remove();
+  $('#filtersTOC').empty().hide();
+
+  nv.vis = null;
+  nv.network = null;
+  nv.filterGroup = null;
+  nv.visControl = null;
+  nv.intControl = null;
+  nv.history = null;
+  nv.crossLinksDict = {};
+};
+
+/**
+ * Makes a topology the current one. The node tree is always derived from the
+ * nodes list, so a nodes_tree that is out of sync with it does no harm.
+ * @param {object} topology A topology that passed #validateTopology.
+ * @private
+ */
+nv.setTopology_ = function(topology) {
+  nv.layers = NodesTree.getLayers(topology.nodes_list).layers;
+  nv.layerOrder = nv.buildLayerOrder(nv.layers);
+
+  var treeObject = NodesTree.buildTreeObject(topology.nodes_list).tree;
+  nv.nodesTree = new NodesTree(new Node(treeObject, null));
+  nv.nodesList = topology.nodes_list;
+  nv.numNodes = topology.nodes_list.length;
+  nv.linksList = topology.links_list;
+  nv.numLinks = topology.links_list.length;
+  nv.crossLinksDict = {};
+};
+
 /**
  * Function to initialize Protovis objects (i.e. links, nodes)
  * necessary for network viz to work. Also initializes filters.
+ * @private
  */
-nv.init = function() {
+nv.build_ = function() {
   /**
    * An instance of FilterGroup. Acts as a controller for the filters.
    */
@@ -82,6 +419,7 @@ nv.init = function() {
    * Initialize the Protovis parent panel.
    */
   nv.vis = new pv.Panel()
+                 .canvas('vis')
                  .width(document.body.clientWidth)
                  .height(document.body.clientHeight)
                  .fillStyle('#dcdcdc')
@@ -101,23 +439,76 @@ nv.init = function() {
                  .links(nv.linksList);
 
   /**
-   * Initialize our filters.
+   * Users can add filters on the attributes of the nodes and links of every
+   * layer from the filter catalog. They start out inactive.
    */
-  nv.filterGroup.addLinkFilter(new qFilter('utilFilter',
-      'utilization', 'router',
-      0, 10, 'bps', Filter.FilterElements.LINK, 'Router Link Utilization' ));
-  nv.filterGroup.addLinkFilter(new qFilter('capFilter',
-      'capacity', 'router',
-      0, 10, 'bps', Filter.FilterElements.LINK, 'Router Link Capacity'));
-  nv.filterGroup.addNodeFilter(new rFilter('routerNameFilter',
-      'nodeName', 'router', Filter.FilterElements.NODE, 'Router Hostname'));
+  var catalog =
+      FilterGroup.makeNodeFilters().concat(FilterGroup.makeLinkFilters());
+
+  /**
+   * Initialize our filters. They act on routers, or on the bottom layer if
+   * the topology has no router layer, and their sliders span the values of
+   * its links, as those of the filter catalog do.
+   */
+  var filterLayer = nv.getFilterLayer();
+  var layerName = nv.formatLayerName(filterLayer);
+
+  function getLinkRange(attribute) {
+    return jQuery.grep(catalog, function(catalogFilter) {
+      return catalogFilter.filterElement == Filter.FilterElements.LINK &&
+             catalogFilter.filterType == Filter.FilterTypes.QUANT &&
+             catalogFilter.layer == filterLayer &&
+             catalogFilter.attribute == attribute;
+    })[0] || {min: 0, max: 10}; // The layer has no links.
+  };
+
+  var utilRange = getLinkRange('utilization');
+  var capRange = getLinkRange('capacity');
+  var filters = [
+    new qFilter('utilFilter', 'utilization', filterLayer, utilRange.min,
+        utilRange.max, 'bps', Filter.FilterElements.LINK,
+        layerName + ' Link Utilization'),
+    new qFilter('capFilter', 'capacity', filterLayer, capRange.min,
+        capRange.max, nv.capacityUnits, Filter.FilterElements.LINK,
+        layerName + ' Link Capacity'),
+    new rFilter('routerNameFilter', 'nodeName', filterLayer,
+        Filter.FilterElements.NODE, layerName + ' Hostname')
+  ];
+
+  for (var i = 0; i < filters.length; i++) {
+    nv.filterGroup.addFilter(filters[i]);
+    nv.filterGroup.setFilterActivity(filters[i], true);
+    nv.intControl.registerFilter(filters[i], true);
+    nv.intControl.addFilterControl(filters[i]);
+  }
+  nv.intControl.addIncludeNeighborsControl('routerNameFilter');
+
+  jQuery.each(catalog, function(i, catalogFilter) {
+    var taken = jQuery.grep(filters, function(filter) {
+      return filter.filterElement == catalogFilter.filterElement &&
+             filter.layer == catalogFilter.layer &&
+             filter.attribute == catalogFilter.attribute;
+    });
+    if (!taken.length) {
+      nv.filterGroup.addFilter(catalogFilter);
+      nv.intControl.registerFilter(catalogFilter);
+    }
+  });
+  nv.intControl.buildFilterCatalog();
+  nv.intControl.buildLayerButtons();
 
   nv.initLinks(); // initialize links
   nv.initNodes(); // initialize nodes
+  nv.visControl.setNodeSizeMetric($('#nodeSizePicker').val() || null);
 
-  nv.visControl.setCurrentLayer('metro'); // show only the metro layer nodes
+  nv.visControl.setCurrentLayer(nv.layers[0]); // show only the top layer nodes
   nv.visControl.renderLinks(); // show only links whose end nodes are visible
   nv.vis.render(); // render the display
+
+  /**
+   * An instance of ViewHistory. Keeps the changes to the view for undo/redo.
+   */
+  nv.history = new ViewHistory();
 };
 
 /**
@@ -134,22 +525,47 @@ nv.initNodes = function() {
       .lineWidth(function(d) {return d.hover ? 4 : 1})
       .visible(function(d) {return d.show})
       .event('mousedown', pv.Behavior.drag())
-      .event('mouseup', function(d) {return nv.visControl.setNodePosition(d)})
+      .event('dragstart', function(d) {
+        nv.visControl.hideTooltip();
+        return nv.visControl.startNodeMove(d);
+      })
+      .event('mouseup', function(d) {return nv.visControl.endNodeMove(d)})
       .event('drag', nv.network)
       .event('mouseover',
       function(d) {
         document.body.style.cursor = 'pointer';
         d.hover = true;
+        nv.visControl.showTooltip(d, false);
         nv.vis.render();
       })
+      .event('mousemove', function() {nv.visControl.moveTooltip()})
       .event('mouseout',
       function(d) {
         document.body.style.cursor = 'default';
         d.hover = false;
+        nv.visControl.hideTooltip();
         nv.vis.render();
       })
       .event('click', function(d) {return nv.visControl.displayNodeInfo(d)})
-      .event('dblclick', function(d) {return nv.visControl.explodeNode(d)})
+      .event('dblclick',
+      function(d) {
+        /**
+         * Double-clicking explodes a node. Shift-double-clicking a node, or
+         * double-clicking a node that has no children, collapses the node
+         * its parent was exploded into back into the parent.
+         */
+        var parentElt = nv.visControl.getExplodedParent(d);
+        var hasChildren = nv.nodesTree.getNodeByName(d.nodeName).hasChildren();
+        if (parentElt && (pv.event.shiftKey || !hasChildren)) {
+          nv.visControl.implodeNode(parentElt);
+          nv.history.record('Collapse ' +
+                            nv.visControl.formatNodeName(parentElt.nodeName));
+        } else {
+          nv.visControl.explodeNode(d);
+          nv.history.record('Explode ' +
+                            nv.visControl.formatNodeName(d.nodeName));
+        }
+      })
       .anchor('right')
       .add(pv.Label)
       .textStyle('#333')
@@ -175,16 +591,20 @@ nv.initLinks = function() {
         function(d,p) {
           document.body.style.cursor = 'pointer';
           p.hover = true;
+          nv.visControl.showTooltip(p, true);
           nv.vis.render();
       })
+      .event('mousemove', function() {nv.visControl.moveTooltip()})
       .event('mouseout',
         function(d,p) {
           document.body.style.cursor = 'default';
           p.hover = false;
+          nv.visControl.hideTooltip();
           nv.vis.render();
       })
       .event('click',
       function(d,p) {
+        nv.visControl.displayLinkInfo(p);
         return nv.visControl.linkHighlightOn(p);
       })
       .add(pv.Dot)
@@ -215,7 +635,7 @@ nv.initLinks = function() {
             l.targetNode.x - l.sourceNode.x) - Math.PI / 2;
       })
       .shape('triangle')
-      .fillStyle('#eee')
+      .fillStyle(function(n, l) {return nv.visControl.getArrowColor(l)})
       .size(8);
 };
 
@@ -249,11 +669,11 @@ function Node(obj, parent) {
     this.filtered = obj.filtered;
 
     /**
-     * The filter that filtered out the node. Labeled by
-     * filterLayer_filterAttribute. Null otherwise.
-     * @type {string}
+     * The ids of the filters that exclude the node, as a set.
+     * @type {object}
+     * @see FilterGroup#updateExclusions
      */
-    this.filteredBy = obj.filteredBy;
+    this.excludedBy = {};
 
     /**
      * The parent of this node.
@@ -261,6 +681,14 @@ function Node(obj, parent) {
      */
     this.parent = parent;
 
+    /**
+     * The metrics rolled up from the routers at or below this node, once
+     * they have been computed.
+     * @type {object}
+     * @see NodesTree#getNodeRollup
+     */
+    this.rollup = null;
+
     /**
      * Dictionary of node's children. Key is the shortened node name (without
      * names of parent nodes) and value is the associated Node instance.
@@ -287,21 +715,6 @@ function Node(obj, parent) {
 }
 
 
-/**
- * Determines if tree node's children are all filtered out.
- * @return {boolean} Whether or not the node has at least one child
- * that isn't filtered out.
-*/
-Node.prototype.areChildrenFilteredOut = function() {
-  for (var each in this.children) {
-    if (!this.children[each].filtered) {
-      return false;
-    }
-  }
-  return true;
-};
-
-
 /**
  * Marks a tree node as filtered.
 */
@@ -334,14 +747,21 @@ Node.prototype.getListElt = function() {
 
 
 /**
- * Gets a specific node property.
+ * Gets a specific node property. Properties the node does not have in
+ * nv.nodesList are looked up in its rollup, so that filters can act on the
+ * rolled up metrics of pops and metros.
  * @param {string} property A string specificying the node property.
  * @return {number|string} The value of the requested property.
+ * @see NodesTree#getNodeRollup
 */
 Node.prototype.getProperty = function(property) {
   if (this.index >= 0 && this.getListElt().hasOwnProperty(property)) {
     return this.getListElt()[property];
   }
+  var rollup = nv.nodesTree.getNodeRollup(this);
+  if (rollup.hasOwnProperty(property)) {
+    return rollup[property];
+  }
 };
 
 
@@ -351,7 +771,8 @@ Node.prototype.getProperty = function(property) {
  * @return {boolean} Whether or not the node has the property.
 */
 Node.prototype.hasProperty = function(property) {
-  return this.getListElt().hasOwnProperty(property);
+  return this.getListElt().hasOwnProperty(property) ||
+         nv.nodesTree.getNodeRollup(this).hasOwnProperty(property);
 };
 
 
@@ -364,23 +785,6 @@ Node.prototype.hasChildren = function() {
 };
 
 
-/**
- * Labels the node with the filter that filtered it.
- * @param {Filter} filter Instance of Filter class.
-*/
-Node.prototype.markNode = function(filter) {
-  this.filteredBy = filter.label;
-};
-
-
-/**
- * Unlabels the node, allowing any filter to act on it.
-*/
-Node.prototype.unmarkNode = function() {
-  this.filteredBy = null;
-};
-
-
 /**
  * Node tree class that encapsulates hierarchical information about nodes
  * and their aggregation layers, as well as methods to perform filtering.
@@ -399,58 +803,171 @@ function NodesTree(root) {
 
 
 /**
- * Determines if a link's children are filtered out.
- * @param {object} link A JS object within nv.linksList holding link
- * information.
- * @return {bool} Whether or not a link has at least one child link not filtered
- * out.
-*/
-NodesTree.prototype.areLinkChildrenFilteredOut = function(link) {
-  var linkChildren = this.getLinkChildren(link);
+ * Builds the JSON object representation of the node tree (the nodes_tree of a
+ * topology) from a nodes list. Node names encode the hierarchy: the name of a
+ * node is the name of its parent followed by an underscore and the node's own
+ * short name, e.g. metro_pop_router. Top-level nodes have no underscore.
+ * @param {Array.<object>} nodesList A list of JS objects holding node
+ * information, such as the nodes_list of a topology.
+ * @return {object} The tree object, and the errors found while building it
+ * (duplicate names, and orphans whose parent is not in the list). Nodes with
+ * errors are left out of the tree.
+ */
+NodesTree.buildTreeObject = function(nodesList) {
+  var root = {filtered: false, nodeName: 'master', children: {}};
+  var treeObjects = {};
+  var errors = [];
 
-  for (var i = 0; i < linkChildren.length; i++) {
-    if (!linkChildren[i].filtered) {
-      return false
+  function depth(i) {
+    return nodesList[i].nodeName.split('_').length;
+  };
+
+  /**
+   * Visit nodes in order of depth so that parents are in the tree before
+   * their children.
+   */
+  var indices = [];
+  for (var i = 0; i < nodesList.length; i++) {
+    indices.push(i);
+  }
+  indices.sort(function(a, b) {return depth(a) - depth(b) || a - b});
+
+  for (var i = 0; i < indices.length; i++) {
+    var index = indices[i];
+    var nodeName = nodesList[index].nodeName;
+    var path = 'nodes_list[' + index + '].nodeName';
+    var address_array = nodeName.split('_');
+    var parentName = address_array.slice(0, -1).join('_');
+    var parent = parentName ? treeObjects[parentName] : root;
+
+    if (treeObjects.hasOwnProperty(nodeName)) {
+      errors.push({path: path,
+          message: 'Duplicate node name ' + nodeName + ', also used by ' +
+                   'nodes_list[' + treeObjects[nodeName].index + ']',
+          severity: nv.Severity.ERROR});
+    } else if (parent == undefined) {
+      errors.push({path: path,
+          message: 'Orphan node ' + nodeName + ', there is no node named ' +
+                   parentName,
+          severity: nv.Severity.ERROR});
+    } else {
+      var treeObject = {index: index, nodeName: nodeName};
+      parent.children = parent.children || {};
+      parent.children[address_array.pop()] = treeObject;
+      treeObjects[nodeName] = treeObject;
     }
   }
-
-  return true;
+  return {tree: root, errors: errors};
 };
 
 
 /**
- * Filters in a node and its children.
- * @param {Node} node The node being filtered on.
- * @param {Filter} filter The filter being used to filter the node.
- * @see Filter#filterNodes
-*/
-NodesTree.prototype.filterInRecursive = function(node, filter) {
-  if (node.hasChildren()) {
-    for (var each in node.children) {
-      if (node.children[each].filteredBy == filter.label) {
-        node.children[each].filterIn();
-        node.children[each].unmarkNode();
-        this.filterInRecursive(node.children[each], filter);
-      }
+ * Finds the layers of the hierarchy in a nodes list. The layer of a node is
+ * its type, and its depth in the hierarchy is the number of segments in its
+ * name; every node at a given depth must be of the same layer.
+ * @param {Array.<object>} nodesList A list of JS objects holding node
+ * information.
+ * @return {object} The layers, from the top of the hierarchy down, and the
+ * errors found (nodes whose type does not match their depth).
+ */
+NodesTree.getLayers = function(nodesList) {
+  var layersByDepth = [];
+  var depthsByLayer = {};
+  var errors = [];
+
+  for (var i = 0; i < nodesList.length; i++) {
+    var elt = nodesList[i];
+    if (elt == null || typeof elt.nodeName != 'string' ||
+        typeof elt.type != 'string') {
+      continue; // Reported by TopologyValidator.
+    }
+
+    var depth = elt.nodeName.split('_').length - 1;
+    var path = 'nodes_list[' + i + '].type';
+
+    if (elt.type.indexOf('_') != -1) {
+      errors.push({path: path,
+          message: 'Layer names can not hold underscores: ' + elt.type,
+          severity: nv.Severity.ERROR});
+    } else if (layersByDepth[depth] == undefined &&
+               !depthsByLayer.hasOwnProperty(elt.type)) {
+      layersByDepth[depth] = elt.type;
+      depthsByLayer[elt.type] = depth;
+    } else if (layersByDepth[depth] == undefined) {
+      errors.push({path: path,
+          message: elt.nodeName + ' is ' + (depth + 1) + ' levels deep, ' +
+                   'but other nodes of type ' + elt.type + ' are ' +
+                   (depthsByLayer[elt.type] + 1) + ' levels deep',
+          severity: nv.Severity.ERROR});
+    } else if (layersByDepth[depth] != elt.type) {
+      errors.push({path: path,
+          message: elt.nodeName + ' is ' + (depth + 1) + ' levels deep, ' +
+                   'so its type should be ' + layersByDepth[depth] +
+                   ', not ' + elt.type,
+          severity: nv.Severity.ERROR});
     }
   }
+
+  var layers = [];
+  for (var depth = 0; depth < layersByDepth.length; depth++) {
+    if (layersByDepth[depth] != undefined) {
+      layers.push(layersByDepth[depth]);
+    }
+  }
+  return {layers: layers, errors: errors};
 };
 
 
 /**
- * Filters out a node and its children.
- * @see #filterInRecursive
-*/
-NodesTree.prototype.filterOutRecursive = function(node, filter) {
-  if (node.hasChildren()) {
-    for (var each in node.children) {
-      if (node.children[each].filteredBy == null) {
-        node.children[each].filterOut();
-        node.children[each].markNode(filter);
-        this.filterOutRecursive(node.children[each], filter);
-      }
+ * Compares a node tree object with a nodes list, reporting every tree node
+ * that points at a list element with a different name, or that sits under the
+ * wrong key, and every list element that is missing from the tree.
+ * @param {object} treeObject A JSON object representing the node tree, such
+ * as the nodes_tree of a topology.
+ * @param {Array.<object>} nodesList A list of JS objects holding node
+ * information.
+ * @return {Array.<object>} The mismatches found, as warnings.
+ */
+NodesTree.compareTreeObject = function(treeObject, nodesList) {
+  var warnings = [];
+  var seen = {};
+
+  function warn(path, message) {
+    warnings.push({path: path, message: message,
+                   severity: nv.Severity.WARNING});
+  };
+
+  function compare(obj, key, path) {
+    var elt = nodesList[obj.index];
+    if (elt == undefined) {
+      warn(path + '.index', 'Not a node index: ' + obj.index);
+    } else if (elt.nodeName != obj.nodeName) {
+      warn(path + '.index', 'Points at nodes_list[' + obj.index + '] (' +
+           elt.nodeName + ') instead of ' + obj.nodeName);
+    } else {
+      seen[obj.index] = true;
+    }
+    if (typeof obj.nodeName != 'string' ||
+        obj.nodeName.split('_').pop() != key) {
+      warn(path, 'Key does not match node name ' + obj.nodeName);
+    }
+    compareChildren(obj, path);
+  };
+
+  function compareChildren(obj, path) {
+    for (var key in obj.children) {
+      compare(obj.children[key], key, path + '.children.' + key);
+    }
+  };
+
+  compareChildren(treeObject, 'nodes_tree');
+  for (var i = 0; i < nodesList.length; i++) {
+    if (!seen[i]) {
+      warn('nodes_list[' + i + ']',
+           nodesList[i].nodeName + ' is missing from nodes_tree');
     }
   }
+  return warnings;
 };
 
 
@@ -504,6 +1021,159 @@ NodesTree.prototype.getLinkChildren = function(link) {
 };
 
 
+/**
+ * Gets the links of the bottom layer that a link stands for: the links of the
+ * topology between nodes of the bottom layer at or below its source node and
+ * nodes of the bottom layer at or below its target node. A link of the bottom
+ * layer stands for itself.
+ * @param {object} link A link within nv.linksList.
+ * @return {array} The bottom layer links, within nv.linksList.
+ */
+NodesTree.prototype.getBottomLinks = function(link) {
+  var targets = {};
+  var targetIndices = this.getBottomDescendants_(
+      this.getNodeByIndex(link.target));
+  for (var i = 0; i < targetIndices.length; i++) {
+    targets[targetIndices[i]] = true;
+  }
+
+  var bottomLinks = [];
+  var sources = this.getBottomDescendants_(this.getNodeByIndex(link.source));
+  for (var i = 0; i < sources.length; i++) {
+    var neighbors = nv.nodesList[sources[i]].neighbors;
+    for (var target in neighbors) {
+      if (targets.hasOwnProperty(target) && neighbors[target] < nv.numLinks) {
+        bottomLinks.push(nv.linksList[neighbors[target]]);
+      }
+    }
+  }
+  return bottomLinks;
+};
+
+
+/**
+ * Gets the nodes of the bottom layer at or below a node.
+ * @param {Node} node A tree node.
+ * @return {Array.<number>} The indices of the nodes in nv.nodesList.
+ * @private
+ */
+NodesTree.prototype.getBottomDescendants_ = function(node) {
+  if (node.index != undefined &&
+      node.getListElt().type == nv.getBottomLayer()) {
+    return [node.index];
+  }
+  var indices = [];
+  for (var each in node.children) {
+    indices = indices.concat(this.getBottomDescendants_(node.children[each]));
+  }
+  return indices;
+};
+
+
+/**
+ * Rolls up the capacity and utilization of the bottom layer links a link
+ * stands for, so that links between metros, between pops and cross links
+ * can be drawn by what they carry: the summed capacity of the member links,
+ * the utilization of that capacity by their summed traffic, and the highest
+ * utilization of a member. The rollup is kept on the link, as the members
+ * never change.
+ * @param {object} link A link within nv.linksList.
+ * @return {object} Dictionary holding the number of member links (count), the
+ * summed capacity (capacity), the traffic-weighted utilization (utilization)
+ * and the highest member utilization (maxUtilization). The utilizations are
+ * 0 if the link has no members.
+ * @see #getBottomLinks
+ */
+NodesTree.prototype.getLinkRollup = function(link) {
+  if (!link.rollup) {
+    var members = this.getBottomLinks(link);
+    var capacity = 0;
+    var traffic = 0;
+    var maxUtilization = 0;
+
+    for (var i = 0; i < members.length; i++) {
+      capacity += members[i].capacity;
+      traffic += nv.getTraffic(members[i]);
+      maxUtilization = Math.max(maxUtilization, members[i].utilization);
+    }
+    link.rollup = {
+      count: members.length,
+      capacity: capacity,
+      utilization: capacity ? traffic / capacity * nv.fullUtilization : 0,
+      maxUtilization: maxUtilization
+    };
+  }
+  return link.rollup;
+};
+
+
+/**
+ * Rolls up metrics for a node from the routers, the nodes of the bottom layer,
+ * at or below it: how many there are, the summed capacity of their uplinks
+ * (the bottom layer links that leave the node, i.e. end at a router outside
+ * of it), the summed traffic on those uplinks, the highest utilization among
+ * them, and the mean of the routers' attribute values. These never change,
+ * so they are kept on the node.
+ * @param {Node} node A tree node.
+ * @return {object} Dictionary holding routerCount, uplinkCapacity, traffic,
+ * maxUtilization and meanAttribute. The mean attribute is undefined if no
+ * router has an attribute.
+ * @see #countFilteredDescendants
+ */
+NodesTree.prototype.getNodeRollup = function(node) {
+  if (!node.rollup) {
+    var routers = this.getBottomDescendants_(node);
+    var isInside = {};
+    for (var i = 0; i < routers.length; i++) {
+      isInside[routers[i]] = true;
+    }
+
+    var rollup = {routerCount: routers.length, uplinkCapacity: 0, traffic: 0,
+                  maxUtilization: 0, meanAttribute: undefined};
+    var attributeSum = 0;
+    var attributeCount = 0;
+    for (var i = 0; i < routers.length; i++) {
+      var elt = nv.nodesList[routers[i]];
+      for (var target in elt.neighbors) {
+        var linkIndex = elt.neighbors[target];
+        if (linkIndex < nv.numLinks && !isInside.hasOwnProperty(target)) {
+          var link = nv.linksList[linkIndex];
+          rollup.uplinkCapacity += link.capacity;
+          rollup.traffic += nv.getTraffic(link);
+          rollup.maxUtilization = Math.max(rollup.maxUtilization,
+                                           link.utilization);
+        }
+      }
+      if (typeof elt.attribute == 'number') {
+        attributeSum += elt.attribute;
+        attributeCount++;
+      }
+    }
+    if (attributeCount) {
+      rollup.meanAttribute = attributeSum / attributeCount;
+    }
+    node.rollup = rollup;
+  }
+  return node.rollup;
+};
+
+
+/**
+ * Counts the descendants of a node that are filtered out. Unlike the rollup,
+ * the count changes with the filters, so it is counted anew on every call.
+ * @param {Node} node A tree node.
+ * @return {number} The number of filtered out descendants.
+ */
+NodesTree.prototype.countFilteredDescendants = function(node) {
+  var count = 0;
+  for (var each in node.children) {
+    var child = node.children[each];
+    count += (child.filtered ? 1 : 0) + this.countFilteredDescendants(child);
+  }
+  return count;
+};
+
+
 /**
  * Gets a tree node by its corresponding index in the nodes list.
  * @param {number} nodeIndex The index of the desired node in the nodes list.
@@ -517,29 +1187,20 @@ NodesTree.prototype.getNodeByIndex = function(nodeIndex) {
 /**
  * Gets a tree node by node name.
  * @param {string} nodeName The node name of the desired node.
- * @return {Node} The corresponding tree node.
+ * @return {Node} The corresponding tree node, or null if there is none.
 */
 NodesTree.prototype.getNodeByName = function(nodeName) {
   var address_array = nodeName.split('_');
+  var node = this.root;
 
-  switch (address_array.length)
-  {
-    case 1:
-      return this.root.children[address_array[0]];
-
-    case 2:
-      return this.root.children[address_array[0]]
-                      .children[address_array[1]];
-
-    case 3:
-      return this.root.children[address_array[0]]
-                      .children[address_array[1]]
-                      .children[address_array[2]];
-
-    default:
-      alert('Incorrect nodeName');
-      break;
+  for (var i = 0; i < address_array.length; i++) {
+    if (!node.hasChildren() ||
+        !node.children.hasOwnProperty(address_array[i])) {
+      return null;
+    }
+    node = node.children[address_array[i]];
   }
+  return node;
 };
 
 
@@ -576,7 +1237,8 @@ NodesTree.prototype.printOutNodes_ = function(node) {
 
 
 /**
- * Filter class that handles the filtering algorithm for nodes and links
+ * Filter class that tests nodes or links of one layer against some metric.
+ * Filters are combined into a FilterExpression, which FilterGroup evaluates.
  * @constructor
  * @extends {NetworkViz} inherits data structures
  */
@@ -602,75 +1264,6 @@ function Filter() {
 }
 
 
-/**
- * Filtering algorithm for nodes. First sorts the nodes list elements in order
- * of ascending layer hierarchy, and produces a sub-array of the nodes list
- * elements by removing nodes whose layer order is lower than that of the
- * layer we want to filter on.
- *
- * Iterating over this sub-array, for each node that belongs to the layer we
- * want to filter on, check if that node is valid. We use a labeling system
- * to avoid filter concurrency issues. Invalid, unlabeled nodes and their
- * children get filtered out and labeled with the filter that filtered it out.
- * From there, these nodes can not get filtered out again unless we use the
- * same filter (the labels match). Likewise, we can only filter in nodes using
- * the same filter that filtered them out, and when we do so, we set the
- * labels back to null (unlabeling the nodes) so that other filters may
- * operate on them.
- *
- * The scheme described above maintains the condition that at least one child
- * must be filtered in in order for its parent to be filtered in. We make sure
- * this condition also holds for nodes whose layer order is higher than that of
- * the layer we want to filter on, filtering out and labeling nodes whose
- * children are all filtered out, and filtering in and unlabeling nodes whose
- * children are not all filtered out.
- */
-Filter.prototype.filterNodes = function() {
-  var filter_layer = this.layer;
-  var sub_array = nv.filterGroup.getSubArrayOfSortedNodes(filter_layer);
-  var l = sub_array.length;
-
-  for (var i = 0; i < l; i++) {
-    var node = nv.nodesTree.getNodeByName(sub_array[i].nodeName);
-
-    if (sub_array[i].type == filter_layer) {
-      if (!node.filtered && !this.isNodeInbound(node) &&
-          node.filteredBy == null) {
-
-        node.filterOut();
-        node.markNode(this);
-
-        if (node.hasChildren()) {
-          nv.nodesTree.filterOutRecursive(node, this);
-        }
-
-      } else if (node.filtered && this.isNodeInbound(node) &&
-                 node.filteredBy == this.label) {
-
-        node.filterIn();
-        node.unmarkNode();
-
-        if (node.hasChildren()) {
-          nv.nodesTree.filterInRecursive(node, this);
-        }
-      }
-    } else {
-
-      if (!node.filtered && node.areChildrenFilteredOut()) {
-
-        node.filterOut();
-        node.markNode(this);
-
-      } else if (node.filtered && !node.areChildrenFilteredOut()) {
-
-        node.filterIn();
-        node.unmarkNode();
-
-      }
-    }
-  }
-};
-
 /** @enum {string}
  * Types of filters. Quant means filter that uses a quantitative metric
  * Regex means filter that uses a regex pattern.
@@ -689,42 +1282,6 @@ Filter.FilterElements = {
 };
 
 
-/**
- * Filters links using the same algorithm for filtering nodes.
- * Currently filters only router links.
- */
-Filter.prototype.filterLinks = function() {
-  var filter_layer = this.layer;
-  var sub_array = nv.filterGroup.getSubArrayOfSortedLinks(filter_layer);
-  var l = sub_array.length;
-
-  for (var i = 0; i < l; i++) {
-    var link = sub_array[i];
-
-    if (link.type == filter_layer) {
-      if (!link.filtered && !this.isLinkInbound(link) &&
-          link.filteredBy == null) {
-        link.filtered = true;
-        link.filteredBy = this.label;
-      } else if (link.filtered && this.isLinkInbound(link) &&
-               link.filteredBy == this.label) {
-        link.filtered = false;
-        link.filteredBy = null;
-      }
-    } else {
-      if (!link.filtered && nv.nodesTree.areLinkChildrenFilteredOut(link)) {
-        link.filtered = true;
-        link.filteredBy = this.label;
-      } else if (link.filtered &&
-                 !nv.nodesTree.areLinkChildrenFilteredOut(link)) {
-        link.filtered = false;
-        link.filteredBy = null;
-      }
-    }
-  }
-};
-
-
 /**
  * Determines if a node is valid according to some metric.
  * @param {Node} node A tree node.
@@ -775,6 +1332,8 @@ function qFilter(id, attribute, layer, lower, upper,
   this.layer = layer;
   this.lower = lower; // Lower bound of the filtering range.
   this.upper = upper; // Upper bound of the filtering range.
+  this.min = lower; // Lowest lower bound, where the control's range starts.
+  this.max = upper; // Highest upper bound, where the control's range ends.
   this.units = units;
   this.filterElement = filterElement;
   this.displayName = displayName;
@@ -812,6 +1371,15 @@ qFilter.prototype.updateBounds = function(new_lower, new_upper) {
 };
 
 
+/**
+ * Widens the bounds of the qFilter back to its whole range, so that it no
+ * longer filters anything out.
+ */
+qFilter.prototype.reset = function() {
+  this.updateBounds(this.min, this.max);
+};
+
+
 /**
  * Subclass of Filter class for filtering using regex metric.
  * @extends {Filter}
@@ -829,6 +1397,7 @@ function rFilter(id, attribute, layer, filterElement, displayName) {
   this.attribute = attribute;
   this.layer = layer;
   this.pattern = ''; // The regex pattern we're matching against.
+  this.regex_ = new RegExp(this.pattern); // The pattern, compiled.
   this.filterElement = filterElement;
   this.displayName = displayName;
 
@@ -845,13 +1414,22 @@ function rFilter(id, attribute, layer, filterElement, displayName) {
  * @return {boolean} Whether or not value is valid according to regex pattern.
  */
 rFilter.prototype.isInbound = function(attribute) {
-  var re;
+  return this.regex_.test(attribute);
+};
+
+
+/**
+ * Determines if a string is a valid regex pattern.
+ * @param {string} pattern The string.
+ * @return {boolean} Whether or not the string is a valid pattern.
+ */
+rFilter.isValidPattern = function(pattern) {
   try {
-    re = new RegExp(this.pattern);
+    new RegExp(pattern);
   } catch (e) {
-    console.log(e);
+    return false;
   }
-  return re.test(attribute);
+  return true;
 };
 
 
@@ -883,6 +1461,19 @@ rFilter.prototype.isNodeInboundIncludeNeighbors = function(node) {
 };
 
 
+/**
+ * Alternate method for determining if node is valid under rFilter, used when
+ * matching node names. Matches the pattern against the node's own name,
+ * without the names of its ancestors, so that ^br01 finds the br01 routers.
+ * @param {Node} node A tree node.
+ * @return {boolean} Whether or not the node's own name is valid according to
+ * the regex pattern.
+ */
+rFilter.prototype.isNodeShortNameInbound = function(node) {
+  return this.isInbound(node.nodeName);
+};
+
+
 /**
  * Toggles between the two methods for determining if node is valid under
  * rFilter. Users can call this function using "Include neighbors" checkbox.
@@ -900,941 +1491,3034 @@ rFilter.prototype.toggleIncludeNeighbors = function(bool) {
 
 /**
  * Updates the regex pattern of the rFilter. User interacts with text input
- * to use this method.
+ * to use this method. An invalid pattern is ignored, and the rFilter keeps
+ * the pattern it had.
  * @param {string} new_pattern The regex pattern being matched against.
+ * @return {boolean} Whether or not the pattern was valid.
  */
 rFilter.prototype.updatePattern = function(new_pattern) {
+  if (!rFilter.isValidPattern(new_pattern)) {
+    return false;
+  }
   this.pattern = new_pattern;
+  this.regex_ = new RegExp(new_pattern);
+  return true;
 };
 
 
 /**
- * Class that organizes filters and allows user to control filtering.
- * @constructor
- * @extends {NetworkViz}
+ * Empties the regex pattern of the rFilter, so that it no longer filters
+ * anything out.
  */
-function FilterGroup() {
-  this.node_filters = {'metro' : {}, 'pop': {}, 'router': {}};
-  this.link_filters = {'metro' : {}, 'pop': {}, 'router': {}};
-  this.layer_sorted_nodes =
-      nv.nodesList
-        .concat().sort(FilterGroup.sortByLayerFunction); //router -> metro
-  this.layer_sorted_links =
-      nv.linksList
-        .concat().sort(FilterGroup.sortByLayerFunction); //router -> metro
-  this.layerSortedLinksLength = this.layer_sorted_links.length;
-};
-
-
-/**
-* @private Helper function to be used in ascending layer-order sorting.
-* @param {object} a A JS Object within nv.nodesList holding node
-* information.
-* @param {object} b Another JS Object within nv.nodesList holding node
-* information.
-* @return {number} Below zero, sort a before b. Above 0, sort a after b.
-* Equal zero, do not change surrent sort order.
-*/
-FilterGroup.sortByLayerFunction = function(a, b) {
-    return (nv.layerOrder[a.type] - nv.layerOrder[b.type]);
+rFilter.prototype.reset = function() {
+  this.updatePattern('');
 };
 
 
 /**
- * Inserts a new node filter into the filter group.
- * @param {Filter} filter Instance of Filter to be added to node filter set.
+ * Class that groups filters with AND, OR and NOT, e.g. (utilization OR
+ * capacity) AND NOT hostname. Its operands are filters or other expressions.
+ *
+ * A filter only speaks for the elements it applies to: a node filter applies
+ * to the nodes of its layer and, through their ancestors, to the nodes below
+ * that layer, and a link filter applies to the links of its layer. For other
+ * elements a filter's result is unknown, and the operators carry unknown
+ * results through as three-valued logic does: AND is false if any operand is
+ * false, OR is true if any operand is true, and NOT of unknown is unknown.
+ * Elements whose result is unknown are not filtered out by the expression.
+ * @param {string} operator One of FilterExpression.Operators.
+ * @param {Array.<Filter|FilterExpression>} operands The operands. NOT takes
+ * exactly one.
+ * @constructor
  */
-FilterGroup.prototype.addNodeFilter = function(filter) {
-  this.node_filters[filter.layer][filter.attribute] =
-      {filter: filter, active: false};
-};
+function FilterExpression(operator, operands) {
+  this.operator = operator;
+  this.operands = operands;
+}
 
 
-/**
- * Inserts a new link filter into the filter group.
- * @param {Filter} filter Instance of Filter to be added to link filter set.
+/** @enum {string}
+ * Operators that group filters.
  */
-FilterGroup.prototype.addLinkFilter = function(filter) {
-  this.link_filters[filter.layer][filter.attribute] =
-      {filter: filter, active: false};
+FilterExpression.Operators = {
+  AND: 'and',
+  OR: 'or',
+  NOT: 'not'
 };
 
 
 /**
- * Calls node filtering method to filter on a layer / attribute.
- * @param {string} layer Name of layer to be filtered on.
- * @param {string} attribute Name of attribute to be filtered on.
- * @param {string} input What the filter is comparing against to check for
- * validity.
- * or regex pattern.
+ * Makes an expression that passes elements that pass all of its operands.
+ * @param {...Filter|FilterExpression} var_args The operands.
+ * @return {FilterExpression} The expression.
  */
-FilterGroup.prototype.filterNodes = function(layer, attribute, input) {
-  var cur_filter = this.getNodeFilter(layer,attribute);
-  var isActive = this.isNodeFilterActive(layer,attribute);
-
-  if (cur_filter.filterType == Filter.FilterTypes.QUANT) {
-    var vals = input.split(';');
-    var lower = vals[0];
-    var upper = vals[1];
-    cur_filter.updateBounds(lower, upper);
-  } else {
-    cur_filter.updatePattern(input);
-  }
-
-  //if (isActive) {
-    cur_filter.filterNodes();
-  //}
+FilterExpression.and = function(var_args) {
+  return new FilterExpression(FilterExpression.Operators.AND,
+                              Array.prototype.slice.call(arguments));
 };
 
 
 /**
- * Calls link filtering method to filter on a layer / attribute.
- * @see #filterNodes
+ * Makes an expression that passes elements that pass any of its operands.
+ * @param {...Filter|FilterExpression} var_args The operands.
+ * @return {FilterExpression} The expression.
  */
-FilterGroup.prototype.filterLinks = function(layer, attribute, input) {
-  var cur_filter = this.getLinkFilter(layer,attribute);
-  var isActive = this.isLinkFilterActive(layer,attribute);
-
-  if (cur_filter.filterType == Filter.FilterTypes.QUANT) {
-    var vals = input.split(';');
-    var lower = vals[0];
-    var upper = vals[1];
-    cur_filter.updateBounds(lower, upper);
-  }
-  else {
-    cur_filter.updatePattern(input);
-  }
-
-  //if (isActive) {
-    cur_filter.filterLinks();
-  //}
+FilterExpression.or = function(var_args) {
+  return new FilterExpression(FilterExpression.Operators.OR,
+                              Array.prototype.slice.call(arguments));
 };
 
 
 /**
- * Gets a node filter from node filter dictionary.
- * @param {string} layer Layer that filter acts on.
- * @param {string} attribute Attribute/property that filter acts on.
- * @return {Filter} The desired filter.
+ * Makes an expression that passes elements that fail its operand.
+ * @param {Filter|FilterExpression} operand The operand.
+ * @return {FilterExpression} The expression.
  */
-FilterGroup.prototype.getNodeFilter = function(layer, attribute) {
-  return this.node_filters[layer][attribute].filter;
+FilterExpression.not = function(operand) {
+  return new FilterExpression(FilterExpression.Operators.NOT, [operand]);
 };
 
 
 /**
- * Gets a link filter from link filter dictionary.
- * @see #getNodeFilter
- * @return {Filter} The desired filter.
-*/
-FilterGroup.prototype.getLinkFilter = function(layer, attribute) {
-  return this.link_filters[layer][attribute].filter;
-};
-
+ * Evaluates the expression for an element.
+ * @param {function(Filter): ?boolean} test Tells whether the element passes
+ * a filter, or null if the filter does not apply to the element.
+ * @return {?boolean} Whether the element passes the expression, or null if
+ * that is unknown.
+ */
+FilterExpression.prototype.evaluate = function(test) {
+  var Operators = FilterExpression.Operators;
+  if (this.operator == Operators.NOT) {
+    var value = this.evaluateOperand_(this.operands[0], test);
+    return value == null ? null : !value;
+  }
 
-/**
- * Gets sub-array of a layer-sorted list, removing elements whose layer-order
- * is lower than that of desired layer. To be used in conjunction
- * with filtering algorithm.
- * @param {array} array The nodes or links list array.
- * @param {string} layer The layer of the first element in the
- * resulting sub-array.
- * @return {array} The resulting sub-array.
- * @see Filter.filterNodes
-*/
-FilterGroup.prototype.getSubArray = function(array, layer) {
-  var l = array.length;
-  for (var i = 0; i < l; i++) {
-    if (array[i].type == layer) {
-      return array.slice(i);
+  // AND stops at the first false operand, OR at the first true one.
+  var decisive = this.operator == Operators.OR;
+  var result = !decisive;
+  for (var i = 0; i < this.operands.length; i++) {
+    var value = this.evaluateOperand_(this.operands[i], test);
+    if (value === decisive) {
+      return decisive;
+    } else if (value == null) {
+      result = null;
     }
   }
+  return result;
 };
 
 
 /**
- * Indicates whether a node filter is active.
- * @param {string} layer Layer the filter acts on.
- * @param {string} attribute Attribute/property the filter acts on.
- * @return {boolean} Whether the filter is active.
+ * Evaluates an operand of the expression for an element.
+ * @param {Filter|FilterExpression} operand The operand.
+ * @param {function(Filter): ?boolean} test See #evaluate.
+ * @return {?boolean} Whether the element passes the operand, or null.
+ * @private
  */
-FilterGroup.prototype.isNodeFilterActive = function(layer,attribute) {
-  return this.node_filters[layer][attribute].active;
+FilterExpression.prototype.evaluateOperand_ = function(operand, test) {
+  return operand instanceof FilterExpression ?
+      operand.evaluate(test) : test(operand);
 };
 
 
 /**
- * Indicates whether a link filter is active.
- * @param {string} layer Layer the filter acts on.
- * @param {string} attribute Attribute/property the filter acts on.
- * @return {boolean} Whether the filter is active.
+ * Gets the filters the expression is made of.
+ * @return {Array.<Filter>} The filters, in the order they appear.
  */
-FilterGroup.prototype.isLinkFilterActive = function(layer,attribute) {
-  return this.link_filters[layer][attribute].active;
-}
+FilterExpression.prototype.getFilters = function() {
+  var filters = [];
+  for (var i = 0; i < this.operands.length; i++) {
+    var operand = this.operands[i];
+    filters = filters.concat(operand instanceof FilterExpression ?
+        operand.getFilters() : [operand]);
+  }
+  return filters;
+};
 
 
 /**
- * Gets sub-array of layer-sorted nodes list.
- * @param {string} layer The layer of the first node in the resulting sub-array.
- * @return {array} The resulting sub-array.
- * @see #getSubArray
-*/
-FilterGroup.prototype.getSubArrayOfSortedNodes = function(layer) {
-  return this.getSubArray(this.layer_sorted_nodes, layer);
+ * Gets the filters that count against an element: the filters it fails, and
+ * the filters under a NOT that it passes.
+ * @param {function(Filter): ?boolean} test See #evaluate.
+ * @param {boolean=} opt_negated Whether the expression is under a NOT.
+ * @return {Array.<Filter>} The filters, in the order they appear.
+ */
+FilterExpression.prototype.getBlockingFilters = function(test, opt_negated) {
+  var negated = !!opt_negated != (this.operator ==
+                                   FilterExpression.Operators.NOT);
+  var filters = [];
+  for (var i = 0; i < this.operands.length; i++) {
+    var operand = this.operands[i];
+    if (operand instanceof FilterExpression) {
+      filters = filters.concat(operand.getBlockingFilters(test, negated));
+    } else if (test(operand) === negated) {
+      filters.push(operand);
+    }
+  }
+  return filters;
 };
 
 
 /**
- * Gets sub-array of layer-sorted links list.
- * @param {string} layer The layer of the first link in the resulting sub-array.
- * @return {array} The resulting sub-array.
- * @see #getSubArray
-*/
-FilterGroup.prototype.getSubArrayOfSortedLinks = function(layer) {
+ * Class that organizes filters and allows user to control filtering.
+ * @constructor
+ * @extends {NetworkViz}
+ */
+function FilterGroup() {
+  this.node_filters = {};
+  this.link_filters = {};
+  for (var i = 0; i < nv.layers.length; i++) {
+    this.node_filters[nv.layers[i]] = {};
+    this.link_filters[nv.layers[i]] = {};
+  }
+
   /**
-   * We resort the layer-sorted list of links every time we add new
-   * cross links.
+   * How the filters combine, or null to pass only the elements that pass all
+   * of the filters and the query.
+   * @type {FilterExpression}
    */
-  if (nv.numLinks > this.layerSortedLinksLength) {
-    this.layer_sorted_links =
-        nv.linksList.concat().sort(FilterGroup.sortByLayerFunction);
-    this.layerSortedLinksLength = nv.numLinks;
-  }
+  this.expression = null;
 
-  return this.getSubArray(this.layer_sorted_links, layer);
+  /**
+   * The expression compiled from the query typed by the user, or null if
+   * there is none.
+   * @type {FilterExpression}
+   * @see FilterQuery
+   */
+  this.queryExpression = null;
 };
 
 
 /**
- * Sets a node filter to be active.
- * @param {string} layer Layer that filter acts on.
- * @param {string} attribute Attribute/property that filter acts on.
- * @param {boolean} active Whether we want the filter to be active.
+ * Attributes that are not worth filtering on: the layer, which the filters
+ * are organized by, the position of nodes and the end nodes of links.
  */
-FilterGroup.prototype.setNodeFilterActivity = function(layer,
-                                                       attribute, active) {
-  this.node_filters[layer][attribute].active = active;
+FilterGroup.UNFILTERED_ATTRIBUTES = {
+  'type': true,
+  'x': true,
+  'y': true,
+  'source': true,
+  'target': true
 };
 
 
 /**
- * Sets a link filter to be active.
- * @param {string} layer Layer that filter acts on.
- * @param {string} attribute Attribute/property that filter acts on.
- * @param {boolean} active Whether we want the filter to be active.
+ * Makes a filter for each attribute the nodes of each layer carry: a qFilter
+ * whose bounds are the range of the values if they are all numbers, and an
+ * rFilter otherwise. Name filters match the nodes' own names, without the
+ * names of their ancestors. The filters pass every node until they are
+ * changed.
+ * @return {Array.<Filter>} The filters, layer by layer from the top.
  */
-FilterGroup.prototype.setLinkFilterActivity = function(layer,
-                                                       attribute, active) {
-  this.link_filters[layer][attribute].active = active;
+FilterGroup.makeNodeFilters = function() {
+  var filters = FilterGroup.makeFilters_(nv.nodesList,
+                                         Filter.FilterElements.NODE);
+  for (var i = 0; i < filters.length; i++) {
+    if (filters[i].attribute == 'nodeName') {
+      filters[i].displayName = nv.formatLayerName(filters[i].layer) + ' Name';
+      filters[i].isNodeInbound = filters[i].isNodeShortNameInbound;
+    }
+  }
+  return filters;
 };
 
 
 /**
- * Class that controls everything that is visually displayed to the user.
- * @constructor
- * @extends {NetworkViz} inherits data structures
+ * Makes a filter for each attribute the links of each layer carry, the way
+ * #makeNodeFilters does for nodes.
+ * @return {Array.<Filter>} The filters, layer by layer from the top.
  */
-function Visual() {
-  this.currentLayer; // The current layer that is being displayed.
-  this.newCrossLinks = []; // Holds new cross links as nodes are exploded.
-  this.layerPropertyMap = {
-    'metro': {
-      color: '#E33422',
-      dimColor:'#D1C4C2',
-      border: '#962216',
-      dimBorder: '#C4B1AF',
-      size: 400,
-      fontsize: '16px'},
-    'pop': {
-      color: '#FFEC9E',
-      dimColor: '#EBE6D3',
-      border: '#F0AD41',
-      dimBorder: '#DED5B4',
-      size: 100,
-      fontsize: '14px'},
-    'router': {
-      color: '#5B88B5',
-      dimColor: '#C7CCD1',
-      border: '#164B80',
-      dimBorder: '#A3AEB8',
-      size: 10,
-      fontsize: '14px'
-    }
-  };
-  this.colorscales = {
-    '#E33422': pv.Scale.linear(0, 10).range('white', '#E33422'),
-    '#FFEC9E': pv.Scale.linear(0, 10).range('white', '#FFEC9E'),
-    '#5B88B5': pv.Scale.linear(0, 10).range('white', '#5B88B5'),
-    'tricolor': pv.Scale.linear(0, 5, 10).range('red', 'yellow', 'green')
-  };
-}
+FilterGroup.makeLinkFilters = function() {
+  return FilterGroup.makeFilters_(nv.linksList, Filter.FilterElements.LINK);
+};
 
 
 /**
- * Helper function for building cross links between two nodes of different
- * layer hierarchy. Hashes cross links into nv.crossLinksDict. Called by
- * #buildUpCrosslinks and #buildDownCrosslinks.
- * @param {number} mainIndex Index of node element in node list (the one
- * that was clicked).
- * @param {number} neighborIndex Index of node element in node list
- * (one of the neighboring nodes).
+ * Makes a filter for each attribute the elements of each layer carry.
+ * @param {Array.<object>} elements Elements of nv.nodesList or nv.linksList.
+ * @param {Filter.FilterElements} filterElement Whether the elements are
+ * nodes or links.
+ * @return {Array.<Filter>} The filters, layer by layer from the top.
  * @private
-*/
-Visual.prototype.buildCrosslinks_ = function(mainIndex, neighborIndex) {
-  var crossLink1 = {};
-  crossLink1.source = mainIndex;
-  crossLink1.target = parseInt(neighborIndex);
-
-  var type1 = nv.nodesList[crossLink1.source].type;
-  var type2 = nv.nodesList[crossLink1.target].type;
-  crossLink1.type = type1 + '_' + type2;
-  crossLink1.filtered = false;
-  crossLink1.filteredBy = null;
-  crossLink1.dim = false;
-  crossLink1.hover = false;
-  nv.nodesList[crossLink1.source].neighbors[crossLink1.target] = nv.numLinks;
-  nv.numLinks++; // Update the links count.
-
-  var crossLink2 = jQuery.extend(true, {}, crossLink1);
-  crossLink2.source = parseInt(neighborIndex);
-  crossLink2.target = mainIndex;
-  nv.nodesList[crossLink2.source].neighbors[crossLink2.target] = nv.numLinks;
-  nv.numLinks++;
-  /**
-   * Insert new cross links.
-   */
-  this.newCrossLinks.push(crossLink1);
-  this.newCrossLinks.push(crossLink2);
+ */
+FilterGroup.makeFilters_ = function(elements, filterElement) {
+  var attributes = {};
+  for (var i = 0; i < elements.length; i++) {
+    var elt = elements[i];
+    if (!nv.layerOrder.hasOwnProperty(elt.type)) {
+      continue; // Cross links, which come and go with explosions.
+    }
+    attributes[elt.type] = attributes[elt.type] || {};
+    for (var attribute in elt) {
+      if (!elt.hasOwnProperty(attribute) ||
+          nv.viewProperties.hasOwnProperty(attribute) ||
+          FilterGroup.UNFILTERED_ATTRIBUTES.hasOwnProperty(attribute)) {
+        continue;
+      }
+      var range = attributes[elt.type][attribute] ||
+                  {numeric: true, min: Infinity, max: -Infinity};
+      var value = elt[attribute];
+      if (typeof value == 'number' && isFinite(value)) {
+        range.min = Math.min(range.min, value);
+        range.max = Math.max(range.max, value);
+      } else if (value != null) {
+        range.numeric = false;
+      }
+      attributes[elt.type][attribute] = range;
+    }
+  }
 
-  /**
-   * Keep track of cross links we've inserted.
-   */
-  var cl_key1 = mainIndex + '_' + neighborIndex;
-  var cl_key2 = neighborIndex + '_' + mainIndex;
-  nv.crossLinksDict[cl_key1] = crossLink1;
-  nv.crossLinksDict[cl_key2] = crossLink2;
+  var element = filterElement == Filter.FilterElements.LINK ? ' Link ' : ' ';
+  var filters = [];
+  for (var i = 0; i < nv.layers.length; i++) {
+    var layer = nv.layers[i];
+    for (var attribute in attributes[layer]) {
+      var range = attributes[layer][attribute];
+      var displayName = nv.formatLayerName(layer) + element +
+                        nv.formatLayerName(attribute);
+      var id = (layer + element + nv.formatLayerName(attribute) + 'Filter')
+          .replace(/\W/g, '');
+
+      if (range.numeric && range.min <= range.max) {
+        var upper = Math.ceil(range.max);
+        filters.push(new qFilter(id, attribute, layer, Math.floor(range.min),
+            upper > range.min ? upper : upper + 1, '', filterElement,
+            displayName));
+      } else if (!range.numeric) {
+        filters.push(new rFilter(id, attribute, layer, filterElement,
+                                 displayName));
+      }
+    }
+  }
+  return filters;
 };
 
 
 /**
- * Recursively builds cross links from nodes of lower layer hierarchy
- * to nodes of higher.
- * @param {number} mainIndex Index of node element in node list (the one
- * that was clicked).
- * @param {number} neighborIndex Index of node element in node list (one of
- * the neighboring nodes).
- * @see #explodeNode
-*/
-Visual.prototype.buildUpCrosslinks = function(mainIndex, neighborIndex) {
-  var testkey = mainIndex + '_' + neighborIndex;
-  var isSameType = (nv.nodesList[mainIndex].type ==
-                    nv.nodesList[neighborIndex].type);
-  if (!(testkey in nv.crossLinksDict) && !isSameType) {
-    this.buildCrosslinks_(mainIndex, neighborIndex);
-    var neighbor_node =
-        nv.nodesTree.getNodeByName(nv.nodesList[neighborIndex].nodeName);
+ * Inserts a new node filter into the filter group.
+ * @param {Filter} filter Instance of Filter to be added to node filter set.
+ */
+FilterGroup.prototype.addNodeFilter = function(filter) {
+  this.node_filters[filter.layer][filter.attribute] =
+      {filter: filter, active: false};
+};
 
-    if (neighbor_node.parent.index != undefined) {
-      var new_neighborIndex = neighbor_node.parent.index;
-      this.buildUpCrosslinks(mainIndex, new_neighborIndex);
-    }
-  }
+
+/**
+ * Inserts a new link filter into the filter group.
+ * @param {Filter} filter Instance of Filter to be added to link filter set.
+ */
+FilterGroup.prototype.addLinkFilter = function(filter) {
+  this.link_filters[filter.layer][filter.attribute] =
+      {filter: filter, active: false};
 };
 
 
 /**
- * Recursively builds cross links from nodes of higher layer hierarchy
- * to nodes of lower.
- * @param {number} mainIndex Index of node element in node list (the one
- * that was clicked).
- * @param {number} neighborIndex Index of node element in node list (one
- * of the neighboring nodes).
- * @see #explodeNode
-*/
-Visual.prototype.buildDownCrosslinks = function(mainIndex, neighborIndex) {
-  var testkey = mainIndex + '_' + neighborIndex;
-  var isSameType = (nv.nodesList[mainIndex].type ==
-                    nv.nodesList[neighborIndex].type);
-
-  if (nv.nodesList[neighborIndex].show &&
-      !(testkey in nv.crossLinksDict) && !isSameType) {
-    this.buildCrosslinks_(mainIndex, neighborIndex);
-  } else if (!nv.nodesList[neighborIndex].show) {
-    var neighbor_node =
-        nv.nodesTree.getNodeByName(nv.nodesList[neighborIndex].nodeName);
-
-    if (neighbor_node.children != null) {
-      for (var each in neighbor_node.children) {
-        var new_neighborIndex = neighbor_node.children[each].index;
-        this.buildDownCrosslinks(mainIndex, new_neighborIndex);
-      }
-    }
+ * Inserts a new filter into the filter group, among the node or the link
+ * filters depending on what it filters. The filter is inactive.
+ * @param {Filter} filter The filter.
+ */
+FilterGroup.prototype.addFilter = function(filter) {
+  if (filter.filterElement == Filter.FilterElements.LINK) {
+    this.addLinkFilter(filter);
+  } else {
+    this.addNodeFilter(filter);
   }
 };
 
 
 /**
- * Pushes node information onto the display-bar div whenever
- * user clicks on a node.
- * @param {object} elt A JS object within nv.nodesList holding node information.
-*/
-Visual.prototype.displayNodeInfo = function(elt) {
-  var displayBar = document.getElementById('display-bar');
-  displayBar.style.display = 'block';
-
-  var displayName = document.getElementById('display-name');
-  displayName.innerHTML = this.formatNodeName(elt.nodeName) + ' (node)';
+ * Sets what a node filter compares against, and filters the nodes anew.
+ * @param {string} layer Name of layer to be filtered on.
+ * @param {string} attribute Name of attribute to be filtered on.
+ * @param {string} input What the filter is comparing against to check for
+ * validity: lower and upper bounds separated by a semicolon, or a regex
+ * pattern.
+ */
+FilterGroup.prototype.filterNodes = function(layer, attribute, input) {
+  var filter = this.getNodeFilter(layer, attribute);
+  this.setFilterInput(filter, input);
+  this.updateExclusions(filter);
+  this.applyNodeFilters();
+};
 
-  var properties = ['type']; // The properties we want to print out.
-  var displayInfo = document.getElementById('display-info');
-  displayInfo.innerHTML = '';
 
-  for (var i = 0; i < properties.length; i++) {
-    var prop = properties[i];
-    var s = document.createElement('div');
-    s.innerHTML = '<b>' + prop + '</b>: ' + elt[prop];
-    displayInfo.appendChild(s);
-  }
+/**
+ * Sets what a link filter compares against, and filters the links anew.
+ * @see #filterNodes
+ */
+FilterGroup.prototype.filterLinks = function(layer, attribute, input) {
+  var filter = this.getLinkFilter(layer, attribute);
+  this.setFilterInput(filter, input);
+  this.updateExclusions(filter);
+  this.applyLinkFilters();
 };
 
 
 /**
- * Explodes a node to reveal underlying layer. Crosslinks are built
- * between nodes of differing layers, and exploded nodes are marked so
- * that #renderNodes handles them correctly.
- * @param {object} elt A JS object within nv.nodesList holding node information.
-*/
-Visual.prototype.explodeNode = function(elt) {
-  var node = nv.nodesTree.getNodeByName(elt.nodeName);
-  elt.hover = false;
+ * Sets what a filter compares against.
+ * @param {Filter} filter The filter.
+ * @param {string} input Lower and upper bounds separated by a semicolon for
+ * a qFilter, or a regex pattern for an rFilter.
+ */
+FilterGroup.prototype.setFilterInput = function(filter, input) {
+  if (filter.filterType == Filter.FilterTypes.QUANT) {
+    var vals = input.split(';');
+    filter.updateBounds(vals[0], vals[1]);
+  } else {
+    filter.updatePattern(input);
+  }
+};
 
-  if (node.hasChildren()) {
-    elt.show = false;
-    elt.exploded = true; // prevents #renderNodes from showing exploded node
-    var children = node.children;
 
-    for (var obj in children) {
-      var child_index = children[obj].index;
-      nv.nodesList[child_index].show = true;
-      nv.nodesList[child_index].exploded = true; // prevents #renderNodes
-                                                 // from hiding exploded node
-      for (var neighbor in elt.neighbors) {
-        this.buildUpCrosslinks(child_index, neighbor);
-        this.buildDownCrosslinks(child_index, neighbor);
+/**
+ * Gets the active filters of the group, node filters first. Inactive filters
+ * take no part in filtering.
+ * @return {Array.<Filter>} The filters.
+ */
+FilterGroup.prototype.getFilters = function() {
+  var filters = [];
+  jQuery.each([this.node_filters, this.link_filters], function(i, filterSet) {
+    for (var layer in filterSet) {
+      for (var attribute in filterSet[layer]) {
+        if (filterSet[layer][attribute].active) {
+          filters.push(filterSet[layer][attribute].filter);
+        }
       }
     }
-  }
-  nv.visControl.renderLinks();
-  nv.vis.render();
+  });
+  return filters;
 };
 
 
 /**
- * Formats the label for a node.
- * nv.nodesTree and nv.nodesList label metros as X, pops as X_X# and routers as
- * X_X#_br#.X#. This function formats metro labels as X, pop labels as X#, and
- * router labels as br#.X#.
- * @param {string} nodeName Name of node as they appear on nv.nodesTree nodes
- * and nv.nodesList nodes.
- * @return {string} The formatted name of the node.
+ * Sets how the filters combine. Call #applyFilters to filter by it. Inactive
+ * filters of the group within the expression apply to no element until they
+ * are activated again.
+ * @param {FilterExpression} expression The expression, or null to pass only
+ * the elements that pass all of the filters and the query.
  */
-Visual.prototype.formatNodeName = function(nodeName) {
-  return nodeName.split('_').slice(-1);
+FilterGroup.prototype.setExpression = function(expression) {
+  this.expression = expression;
 };
 
 
 /**
- * Gives the corresponding Protovis object the correct color of the link.
- * @param {object} link A JS object within nv.linksList.
- * @return {string|pv.Color} The color we'd like the link to be.
+ * Sets the query the elements must pass on top of the filters. Call
+ * #applyFilters to filter by it.
+ * @param {FilterExpression} expression The expression compiled from the
+ * query, or null for no query.
  */
-Visual.prototype.getLinkColor = function(link) {
-  var color;
-  if (link.type == 'router' && !link.dim) {
-    var scale = this.colorscales['tricolor'];
-    color = scale(link.utilization);
-  } else {
-    color = '#aaa';
-  }
-  return new pv.color(color).alpha(0.3+0.7*(1-link.dim));
+FilterGroup.prototype.setQueryExpression = function(expression) {
+  this.queryExpression = expression;
 };
 
 
 /**
- * Gives the corresponding Protovis object the correct thickness of the link.
+ * Gets the expression the nodes and links are filtered by.
+ * @return {FilterExpression} The expression set by #setExpression, or else
+ * the AND of the active filters and the query.
+ */
+FilterGroup.prototype.getExpression = function() {
+  if (this.expression) {
+    return this.expression;
+  }
+  var operands = this.getFilters();
+  if (this.queryExpression) {
+    operands.push(this.queryExpression);
+  }
+  return new FilterExpression(FilterExpression.Operators.AND, operands);
+};
+
+
+/**
+ * Brings the exclusions of every filter of the expression up to date, then
+ * filters the nodes and links by the expression.
+ * @see #updateExclusions
+ * @see #applyNodeFilters
+ * @see #applyLinkFilters
+ */
+FilterGroup.prototype.applyFilters = function() {
+  var filters = this.getExpression().getFilters();
+  for (var i = 0; i < filters.length; i++) {
+    if (!this.isInactive_(filters[i])) {
+      this.updateExclusions(filters[i]);
+    }
+  }
+  this.applyNodeFilters();
+  this.applyLinkFilters();
+};
+
+
+/**
+ * Records which elements a filter excludes. Each node and link keeps the ids
+ * of the filters that exclude it in its excludedBy set, whatever other
+ * filters make of it. A node filter excludes the nodes of its layer that are
+ * not valid under it and the nodes below them, and a link filter excludes
+ * the links of its layer that are not valid under it. Only the filter's own
+ * entries change, so filters can be updated one at a time and in any order.
+ * @param {Filter} filter The filter.
+ */
+FilterGroup.prototype.updateExclusions = function(filter) {
+  function exclude(element, excluded) {
+    if (excluded) {
+      element.excludedBy[filter.id] = true;
+    } else {
+      delete element.excludedBy[filter.id];
+    }
+  };
+
+  if (filter.filterElement == Filter.FilterElements.LINK) {
+    for (var i = 0; i < nv.numLinks; i++) {
+      var link = nv.linksList[i];
+      exclude(link, link.type == filter.layer && !filter.isLinkInbound(link));
+    }
+    return;
+  }
+
+  function excludeNode(node, excluded) {
+    if (!excluded && node.getListElt().type == filter.layer) {
+      excluded = !filter.isNodeInbound(node);
+    }
+    exclude(node, excluded);
+    for (var each in node.children) {
+      excludeNode(node.children[each], excluded);
+    }
+  };
+
+  for (var each in nv.nodesTree.root.children) {
+    excludeNode(nv.nodesTree.root.children[each], false);
+  }
+};
+
+
+/**
+ * Filters the nodes by the expression, evaluated over the filters that
+ * exclude each node. A node is filtered out if it fails the expression, or
+ * if it has children and all of them are filtered out: a parent is shown as
+ * long as one of its children is. The result depends only on the exclusions,
+ * not on the order the filters were updated in.
+ */
+FilterGroup.prototype.applyNodeFilters = function() {
+  var group = this;
+  var expression = this.getExpression();
+
+  /**
+   * Filters a node and the nodes below it.
+   * @return {boolean} Whether the node is shown.
+   */
+  function filterNode(node) {
+    var shown = expression.evaluate(function(filter) {
+      return group.testNode_(node, filter);
+    }) !== false;
+
+    if (node.numChildren > 0) {
+      var shownChild = false;
+      for (var each in node.children) {
+        shownChild = filterNode(node.children[each]) || shownChild;
+      }
+      shown = shown && shownChild;
+    }
+
+    if (shown) {
+      node.filterIn();
+    } else {
+      node.filterOut();
+    }
+    return shown;
+  };
+
+  for (var each in nv.nodesTree.root.children) {
+    filterNode(nv.nodesTree.root.children[each]);
+  }
+};
+
+
+/**
+ * Filters the links by the expression, just as #applyNodeFilters filters the
+ * nodes: a link is filtered out if it fails the expression, or if it has
+ * child links and all of them are filtered out. Cross links are included.
+ */
+FilterGroup.prototype.applyLinkFilters = function() {
+  var group = this;
+  var expression = this.getExpression();
+  var done = {};
+
+  /**
+   * Filters a link and the links below it, each only once.
+   * @return {boolean} Whether the link is shown.
+   */
+  function filterLink(link) {
+    var key = link.source + '_' + link.target;
+    if (done.hasOwnProperty(key)) {
+      return !link.filtered;
+    }
+    done[key] = true;
+
+    var shown = expression.evaluate(function(filter) {
+      return group.testLink_(link, filter);
+    }) !== false;
+
+    var linkChildren = nv.nodesTree.getLinkChildren(link);
+    if (linkChildren.length) {
+      var shownChild = false;
+      for (var i = 0; i < linkChildren.length; i++) {
+        shownChild = filterLink(linkChildren[i]) || shownChild;
+      }
+      shown = shown && shownChild;
+    }
+
+    link.filtered = !shown;
+    return shown;
+  };
+
+  for (var i = 0; i < nv.linksList.length; i++) {
+    if (!nv.linksList[i].retired) {
+      filterLink(nv.linksList[i]);
+    }
+  }
+};
+
+
+/**
+ * Gets the filters that count against a node under the expression: those
+ * that exclude it, and those under a NOT that do not. A node that is
+ * filtered out only because all of its children are has none.
+ * @param {Node} node A tree node.
+ * @return {Array.<Filter>} The filters.
+ */
+FilterGroup.prototype.getBlockingNodeFilters = function(node) {
+  var group = this;
+  return this.getExpression().getBlockingFilters(function(filter) {
+    return group.testNode_(node, filter);
+  });
+};
+
+
+/**
+ * Indicates whether a filter is one of the group's and inactive. Filters that
+ * are not the group's, such as those of the query, are never inactive.
+ * @param {Filter} filter The filter.
+ * @return {boolean} Whether the filter is inactive.
+ * @private
+ */
+FilterGroup.prototype.isInactive_ = function(filter) {
+  var filterSet = filter.filterElement == Filter.FilterElements.LINK ?
+      this.link_filters : this.node_filters;
+  var entry = filterSet[filter.layer] &&
+      filterSet[filter.layer][filter.attribute];
+  return !!entry && entry.filter === filter && !entry.active;
+};
+
+
+/**
+ * Tells whether a node passes a filter, as recorded by #updateExclusions.
+ * Node filters apply to the nodes of their layer and the nodes below it, as
+ * long as they are active.
+ * @param {Node} node A tree node.
+ * @param {Filter} filter The filter.
+ * @return {?boolean} Whether the node passes the filter, or null if the
+ * filter does not apply to the node.
+ * @private
+ */
+FilterGroup.prototype.testNode_ = function(node, filter) {
+  if (filter.filterElement != Filter.FilterElements.NODE ||
+      this.isInactive_(filter)) {
+    return null;
+  }
+  for (var ancestor = node; ancestor.parent != null;
+       ancestor = ancestor.parent) {
+    if (ancestor.getListElt().type == filter.layer) {
+      return !node.excludedBy.hasOwnProperty(filter.id);
+    }
+  }
+  return null;
+};
+
+
+/**
+ * Tells whether a link passes a filter, as recorded by #updateExclusions.
+ * Link filters apply to the links of their layer, as long as they are active.
+ * @param {object} link A JS object within nv.linksList.
+ * @param {Filter} filter The filter.
+ * @return {?boolean} Whether the link passes the filter, or null if the
+ * filter does not apply to the link.
+ * @private
+ */
+FilterGroup.prototype.testLink_ = function(link, filter) {
+  if (filter.filterElement != Filter.FilterElements.LINK ||
+      link.type != filter.layer || this.isInactive_(filter)) {
+    return null;
+  }
+  return !link.excludedBy.hasOwnProperty(filter.id);
+};
+
+
+/**
+ * Gets a node filter from node filter dictionary.
+ * @param {string} layer Layer that filter acts on.
+ * @param {string} attribute Attribute/property that filter acts on.
+ * @return {Filter} The desired filter.
+ */
+FilterGroup.prototype.getNodeFilter = function(layer, attribute) {
+  return this.node_filters[layer][attribute].filter;
+};
+
+
+/**
+ * Gets a link filter from link filter dictionary.
+ * @see #getNodeFilter
+ * @return {Filter} The desired filter.
+*/
+FilterGroup.prototype.getLinkFilter = function(layer, attribute) {
+  return this.link_filters[layer][attribute].filter;
+};
+
+
+/**
+ * Indicates whether a node filter is active.
+ * @param {string} layer Layer the filter acts on.
+ * @param {string} attribute Attribute/property the filter acts on.
+ * @return {boolean} Whether the filter is active.
+ */
+FilterGroup.prototype.isNodeFilterActive = function(layer,attribute) {
+  return this.node_filters[layer][attribute].active;
+};
+
+
+/**
+ * Indicates whether a link filter is active.
+ * @param {string} layer Layer the filter acts on.
+ * @param {string} attribute Attribute/property the filter acts on.
+ * @return {boolean} Whether the filter is active.
+ */
+FilterGroup.prototype.isLinkFilterActive = function(layer,attribute) {
+  return this.link_filters[layer][attribute].active;
+}
+
+
+/**
+ * Indicates whether a filter of the group is active.
+ * @param {Filter} filter The filter.
+ * @return {boolean} Whether the filter is active.
+ */
+FilterGroup.prototype.isFilterActive = function(filter) {
+  if (filter.filterElement == Filter.FilterElements.LINK) {
+    return this.isLinkFilterActive(filter.layer, filter.attribute);
+  } else {
+    return this.isNodeFilterActive(filter.layer, filter.attribute);
+  }
+};
+
+
+/**
+ * Sets a node filter to be active.
+ * @param {string} layer Layer that filter acts on.
+ * @param {string} attribute Attribute/property that filter acts on.
+ * @param {boolean} active Whether we want the filter to be active.
+ */
+FilterGroup.prototype.setNodeFilterActivity = function(layer,
+                                                       attribute, active) {
+  this.node_filters[layer][attribute].active = active;
+};
+
+
+/**
+ * Sets a link filter to be active.
+ * @param {string} layer Layer that filter acts on.
+ * @param {string} attribute Attribute/property that filter acts on.
+ * @param {boolean} active Whether we want the filter to be active.
+ */
+FilterGroup.prototype.setLinkFilterActivity = function(layer,
+                                                       attribute, active) {
+  this.link_filters[layer][attribute].active = active;
+};
+
+
+/**
+ * Sets a filter of the group to be active or not.
+ * @param {Filter} filter The filter.
+ * @param {boolean} active Whether we want the filter to be active.
+ */
+FilterGroup.prototype.setFilterActivity = function(filter, active) {
+  if (filter.filterElement == Filter.FilterElements.LINK) {
+    this.setLinkFilterActivity(filter.layer, filter.attribute, active);
+  } else {
+    this.setNodeFilterActivity(filter.layer, filter.attribute, active);
+  }
+};
+
+
+/**
+ * Class that controls everything that is visually displayed to the user.
+ * @constructor
+ * @extends {NetworkViz} inherits data structures
+ */
+function Visual() {
+  this.currentLayer; // The current layer that is being displayed.
+  this.freeCrossLinkSlots_ = []; // Slots of retired cross links.
+  this.layerPropertyMap = {};
+  this.explodedNodes = []; // Indices of exploded nodes, in explosion order.
+  this.movedNodes = []; // Indices of moved nodes, in the order last moved.
+  this.highlightedLink = null; // The link highlighted by #linkHighlightOn.
+  this.moveOrigin_ = null; // Where the node being dragged started.
+  this.layoutPositions_ = []; // Node positions before any node was moved.
+  this.nodeSizeMetric = null; // The rollup metric sizing the nodes, if any.
+  this.nodeSizes_ = {}; // Node sizes by node name, set by #setNodeSizeMetric.
+
+  /**
+   * Layers we know get their own colors, the others take colors from
+   * Visual.extraLayerColors in turn. Node sizes shrink down the hierarchy.
+   */
+  var extraColors = 0;
+  for (var i = 0; i < nv.layers.length; i++) {
+    var layer = nv.layers[i];
+    var colors = Visual.layerColors[layer] || Visual.extraLayerColors[
+        extraColors++ % Visual.extraLayerColors.length];
+    var levelsUp = nv.layers.length - 1 - i;
+
+    this.layerPropertyMap[layer] = {
+      color: colors.color,
+      dimColor: colors.dimColor,
+      border: colors.border,
+      dimBorder: colors.dimBorder,
+      size: levelsUp ? Math.min(100 * levelsUp * levelsUp, 900) : 10,
+      fontsize: i ? '14px' : '16px'
+    };
+  }
+  this.colorscales = {
+    '#E33422': pv.Scale.linear(0, 10).range('white', '#E33422'),
+    '#FFEC9E': pv.Scale.linear(0, 10).range('white', '#FFEC9E'),
+    '#5B88B5': pv.Scale.linear(0, 10).range('white', '#5B88B5'),
+    'tricolor': pv.Scale.linear(0, 5, 10).range('red', 'yellow', 'green')
+  };
+}
+
+
+/**
+ * The node rollup metrics shown by #displayNodeInfo, in order, with their
+ * labels and, for link metrics, their kind.
+ * @see NodesTree#getNodeRollup
+ * @see #formatValue_
+ */
+Visual.nodeRollupLabels = [
+  {key: 'routerCount', name: 'routers'},
+  {key: 'uplinkCapacity', name: 'uplink capacity', type: 'capacity'},
+  {key: 'traffic', name: 'traffic', type: 'capacity'},
+  {key: 'maxUtilization', name: 'max utilization', type: 'utilization'},
+  {key: 'meanAttribute', name: 'mean attribute'}
+];
+
+
+/**
+ * What the tooltips of the nodes and links of each layer show, in order.
+ * Cross links use the fields of the layer of their source node, and layers
+ * not listed use Visual.defaultTooltipFields. An empty list turns the
+ * tooltips of a layer off. Fields are name, layer, capacity (the uplink
+ * capacity of a node), utilization, maxUtilization, degree (the number of
+ * neighbors of a node, or of member links of a link), routers, or any data
+ * attribute. Set the fields of a layer with Visual.setTooltipFields.
+ * @see #getTooltipRows_
+ */
+Visual.tooltipFields = {
+  'metro': {
+    node: ['name', 'layer', 'routers', 'capacity', 'utilization', 'degree'],
+    link: ['name', 'layer', 'capacity', 'utilization', 'maxUtilization']
+  },
+  'pop': {
+    node: ['name', 'layer', 'routers', 'capacity', 'utilization', 'degree'],
+    link: ['name', 'layer', 'capacity', 'utilization', 'maxUtilization']
+  },
+  'router': {
+    node: ['name', 'capacity', 'utilization', 'degree'],
+    link: ['name', 'capacity', 'utilization']
+  }
+};
+
+
+/**
+ * What the tooltips of layers missing from Visual.tooltipFields show.
+ */
+Visual.defaultTooltipFields = {
+  node: ['name', 'layer', 'capacity', 'utilization', 'degree'],
+  link: ['name', 'layer', 'capacity', 'utilization']
+};
+
+
+/**
+ * Sets what the tooltips of the nodes and links of a layer show, in any
+ * topology that has the layer. Tooltips shown from then on use the fields.
+ * @param {string} layer The layer, e.g. pop.
+ * @param {object} fields Dictionary holding the fields of the node tooltips
+ * (node) and of the link tooltips (link), see Visual.tooltipFields. Either
+ * can be left out to keep what the layer's tooltips show now.
+ */
+Visual.setTooltipFields = function(layer, fields) {
+  var current = Visual.tooltipFields[layer] || Visual.defaultTooltipFields;
+  Visual.tooltipFields[layer] = {
+    node: fields.node || current.node,
+    link: fields.link || current.link
+  };
+};
+
+
+/**
+ * Node colors for the layers we know.
+ */
+Visual.layerColors = {
+  'metro': {
+    color: '#E33422',
+    dimColor:'#D1C4C2',
+    border: '#962216',
+    dimBorder: '#C4B1AF'},
+  'pop': {
+    color: '#FFEC9E',
+    dimColor: '#EBE6D3',
+    border: '#F0AD41',
+    dimBorder: '#DED5B4'},
+  'router': {
+    color: '#5B88B5',
+    dimColor: '#C7CCD1',
+    border: '#164B80',
+    dimBorder: '#A3AEB8'}
+};
+
+
+/**
+ * Node colors for any other layers.
+ */
+Visual.extraLayerColors = [
+  {
+    color: '#6BAF5B',
+    dimColor: '#C9D1C7',
+    border: '#3D7A30',
+    dimBorder: '#AFBBAC'},
+  {
+    color: '#9A6BB5',
+    dimColor: '#CDC7D1',
+    border: '#5E3580',
+    dimBorder: '#B4AAB8'},
+  {
+    color: '#4FB3B0',
+    dimColor: '#C2D1D0',
+    border: '#237A77',
+    dimBorder: '#A8BAB9'},
+  {
+    color: '#B58A5B',
+    dimColor: '#D1CBC4',
+    border: '#805A2E',
+    dimBorder: '#BAB0A5'}
+];
+
+
+/**
+ * Brings the cross links, links between nodes from differing layers, in line
+ * with the current layer and explosions. A laid out node that an explosion
+ * revealed gets a cross link in each direction to the laid out nodes at,
+ * above or below the ends of the links of the node exploded to reveal it,
+ * and of the exploded nodes above that one. Nodes of the current layer were
+ * not revealed by an explosion, so the links of their ancestors make no
+ * cross links. Cross links that are still wanted are kept as they are, and
+ * the others are retired: they are taken out of nv.crossLinksDict and of the
+ * neighbors of their source node, and their slots in nv.linksList are taken
+ * by the next new cross links. So a cross link keeps its index for as long
+ * as it exists, and nv.linksList never holds more cross links than the view
+ * has needed at once. Cross links are child links of the links above them,
+ * so when any come or go the links are filtered anew. Called by
+ * #renderLinks.
+ */
+Visual.prototype.updateCrosslinks = function() {
+  var laidOut = this.getLaidOutNodes_();
+  var exploded = {};
+  for (var i = 0; i < this.explodedNodes.length; i++) {
+    exploded[this.explodedNodes[i]] = true;
+  }
+
+  /**
+   * Hash every laid out node under its own index and the indices of its
+   * ancestors, so that we can find the laid out nodes at or below each end of
+   * a link of the topology.
+   */
+  var below = {};
+  var isLaidOut = {};
+  for (var i = 0; i < laidOut.length; i++) {
+    var node = nv.nodesTree.getNodeByIndex(laidOut[i]);
+    for (; node.index != undefined; node = node.parent) {
+      below[node.index] = below[node.index] || [];
+      below[node.index].push(laidOut[i]);
+    }
+    isLaidOut[laidOut[i]] = true;
+  }
+
+  /**
+   * Gets the laid out nodes at, above or below a node.
+   */
+  function getRelatedLaidOutNodes(index) {
+    var related = below[index] || [];
+    var node = nv.nodesTree.getNodeByIndex(index).parent;
+    for (; node.index != undefined; node = node.parent) {
+      if (isLaidOut[node.index]) {
+        related = related.concat([node.index]);
+      }
+    }
+    return related;
+  };
+
+  var wanted = {};
+  for (var i = 0; i < laidOut.length; i++) {
+    var source = laidOut[i];
+    var node = nv.nodesTree.getNodeByIndex(source).parent;
+    for (; exploded[node.index]; node = node.parent) {
+      var neighbors = nv.nodesList[node.index].neighbors;
+      for (var neighbor in neighbors) {
+        if (neighbors[neighbor] >= nv.numLinks) {
+          continue; // Cross links do not make more cross links.
+        }
+        var targets = getRelatedLaidOutNodes(neighbor);
+        for (var j = 0; j < targets.length; j++) {
+          if (this.needsCrosslink_(source, targets[j])) {
+            wanted[source + '_' + targets[j]] = true;
+            wanted[targets[j] + '_' + source] = true;
+          }
+        }
+      }
+    }
+  }
+
+  var changed = false;
+  for (var key in nv.crossLinksDict) {
+    if (!wanted.hasOwnProperty(key)) {
+      this.retireCrosslink_(key);
+      changed = true;
+    }
+  }
+  // New cross links take the lowest free slots first.
+  this.freeCrossLinkSlots_.sort(function(a, b) {
+    return b - a;
+  });
+  for (var key in wanted) {
+    if (!nv.crossLinksDict.hasOwnProperty(key)) {
+      var ends = key.split('_');
+      this.buildCrosslink_(parseInt(ends[0]), parseInt(ends[1]));
+      changed = true;
+    }
+  }
+
+  /**
+   * Free slots at the end of nv.linksList can go, the others stay until a
+   * new cross link takes them.
+   */
+  while (nv.linksList.length > nv.numLinks &&
+         nv.linksList[nv.linksList.length - 1].retired) {
+    nv.linksList.pop();
+  }
+  this.freeCrossLinkSlots_ = jQuery.grep(this.freeCrossLinkSlots_,
+      function(slot) {
+        return slot < nv.linksList.length;
+      });
+
+  if (changed) {
+    nv.filterGroup.applyLinkFilters();
+  }
+};
+
+
+/**
+ * Gets the nodes the current layer and explosions lay out, whether or not a
+ * filter hides them: the nodes of the current layer and the children of
+ * exploded nodes, leaving out the exploded nodes themselves.
+ * @return {Array.<number>} The indices of the nodes in nv.nodesList.
+ * @private
+ */
+Visual.prototype.getLaidOutNodes_ = function() {
+  var exploded = {};
+  for (var i = 0; i < this.explodedNodes.length; i++) {
+    exploded[this.explodedNodes[i]] = true;
+  }
+
+  var laidOut = [];
+  for (var i = 0; i < nv.numNodes; i++) {
+    var elt = nv.nodesList[i];
+    if (!exploded[i] && (elt.type == this.currentLayer ||
+        exploded[nv.nodesTree.getNodeByIndex(i).parent.index])) {
+      laidOut.push(i);
+    }
+  }
+  return laidOut;
+};
+
+
+/**
+ * Determines if two laid out nodes whose ancestries are linked need a cross
+ * link: they are of different layers and the topology does not already link
+ * them.
+ * @param {number} source Index of a node in nv.nodesList.
+ * @param {number} target Index of another node in nv.nodesList.
+ * @return {boolean} Whether or not the nodes need a cross link.
+ * @private
+ */
+Visual.prototype.needsCrosslink_ = function(source, target) {
+  var linkIndex = nv.nodesList[source].neighbors[target];
+  return nv.nodesList[source].type != nv.nodesList[target].type &&
+         !(linkIndex < nv.numLinks);
+};
+
+
+/**
+ * Builds a cross link and puts it in the lowest free slot of nv.linksList, or
+ * at the end of the list if no slot is free. Hashes the cross link into
+ * nv.crossLinksDict and into the neighbors of its source node.
+ * @param {number} source Index of the source node in nv.nodesList.
+ * @param {number} target Index of the target node in nv.nodesList.
+ * @private
+ */
+Visual.prototype.buildCrosslink_ = function(source, target) {
+  var crossLink = {
+    source: source,
+    target: target,
+    type: nv.nodesList[source].type + '_' + nv.nodesList[target].type,
+    filtered: false,
+    excludedBy: {},
+    dim: false,
+    hover: false
+  };
+  var slot = this.freeCrossLinkSlots_.length ?
+      this.freeCrossLinkSlots_.pop() : nv.linksList.length;
+
+  nv.linksList[slot] = crossLink;
+  nv.nodesList[source].neighbors[target] = slot;
+  nv.crossLinksDict[source + '_' + target] = crossLink;
+};
+
+
+/**
+ * Retires a cross link that is no longer wanted, freeing its slot in
+ * nv.linksList. The link stays in its slot, marked as retired, until a new
+ * cross link takes the slot, so it is never drawn or filtered.
+ * @param {string} key The key of the cross link in nv.crossLinksDict.
+ * @private
+ */
+Visual.prototype.retireCrosslink_ = function(key) {
+  var crossLink = nv.crossLinksDict[key];
+  var neighbors = nv.nodesList[crossLink.source].neighbors;
+
+  this.freeCrossLinkSlots_.push(neighbors[crossLink.target]);
+  delete neighbors[crossLink.target];
+  delete nv.crossLinksDict[key];
+  crossLink.retired = true;
+};
+
+
+/**
+ * Pushes node information onto the display-bar div whenever
+ * user clicks on a node: its full name and data attributes, whether and why
+ * it is filtered out, its rolled up metrics, its parent and children, and
+ * the links of the topology it has to its neighbors. The parent, children
+ * and neighbors can be clicked to select them.
+ * @param {object} elt A JS object within nv.nodesList holding node information.
+ * @see #selectNode
+*/
+Visual.prototype.displayNodeInfo = function(elt) {
+  var displayBar = document.getElementById('display-bar');
+  displayBar.style.display = 'block';
+
+  var displayName = document.getElementById('display-name');
+  displayName.innerHTML = '';
+  displayName.appendChild(document.createTextNode(
+      this.formatNodeName(elt.nodeName) + ' (node)'));
+
+  var displayInfo = document.getElementById('display-info');
+  displayInfo.innerHTML = '';
+  var node = nv.nodesTree.getNodeByName(elt.nodeName);
+
+  this.addInfoRow_(displayInfo, 'name', elt.nodeName);
+  this.addInfoRow_(displayInfo, 'type', elt.type);
+  for (var prop in elt) {
+    if (elt.hasOwnProperty(prop) && prop != 'nodeName' && prop != 'type' &&
+        !nv.viewProperties.hasOwnProperty(prop)) {
+      this.addInfoRow_(displayInfo, prop, elt[prop]);
+    }
+  }
+  this.addInfoRow_(displayInfo, 'status', this.describeFilterStatus_(node));
+
+  if (node.hasChildren()) {
+    var rollup = nv.nodesTree.getNodeRollup(node);
+    for (var i = 0; i < Visual.nodeRollupLabels.length; i++) {
+      var label = Visual.nodeRollupLabels[i];
+      this.addInfoRow_(displayInfo, label.name,
+                       this.formatValue_(rollup[label.key], label.type));
+    }
+    this.addInfoRow_(displayInfo, 'filtered out',
+                     nv.nodesTree.countFilteredDescendants(node));
+  }
+
+  if (node.parent.index != undefined) {
+    this.addInfoRow_(displayInfo, 'parent',
+                     this.buildNodeLink_(node.parent.getListElt()));
+  }
+  if (node.hasChildren()) {
+    var children = document.createElement('span');
+    for (var each in node.children) {
+      if (children.firstChild) {
+        children.appendChild(document.createTextNode(', '));
+      }
+      children.appendChild(
+          this.buildNodeLink_(node.children[each].getListElt()));
+    }
+    this.addInfoRow_(displayInfo, 'children', children);
+  }
+  var rows = [];
+  for (var target in elt.neighbors) {
+    if (elt.neighbors[target] < nv.numLinks) { // Leave out cross links.
+      rows.push({label: this.buildNodeLink_(nv.nodesList[target]),
+                 link: nv.linksList[elt.neighbors[target]]});
+    }
+  }
+  displayInfo.appendChild(this.buildLinkTable_('neighbor', rows));
+
+  var parentElt = this.getExplodedParent(elt);
+  if (parentElt) {
+    var button = document.createElement('button');
+    button.appendChild(document.createTextNode(
+        'Collapse into ' + this.formatNodeName(parentElt.nodeName)));
+    $(button).bind('click', function() {
+      nv.visControl.implodeNode(parentElt);
+      nv.history.record('Collapse ' +
+                        nv.visControl.formatNodeName(parentElt.nodeName));
+      nv.visControl.displayNodeInfo(parentElt);
+    });
+    displayInfo.appendChild(button);
+  }
+};
+
+
+/**
+ * Adds a labeled row to the display bar. Numbers are rounded to two decimals.
+ * @param {Element} container The element to add the row to.
+ * @param {string} label The label of the row.
+ * @param {*} value The value of the row: text, a number, or an element.
+ * Undefined values are shown as n/a.
+ * @private
+ */
+Visual.prototype.addInfoRow_ = function(container, label, value) {
+  var row = document.createElement('div');
+  var b = document.createElement('b');
+  b.appendChild(document.createTextNode(label));
+  row.appendChild(b);
+  row.appendChild(document.createTextNode(': '));
+
+  if (value == undefined) {
+    value = 'n/a';
+  } else if (typeof value == 'number') {
+    value = Math.round(value * 100) / 100;
+  }
+  row.appendChild(value.nodeType ? value :
+                  document.createTextNode(String(value)));
+  container.appendChild(row);
+};
+
+
+/**
+ * Builds a link to a node for the display bar, which selects the node when
+ * clicked.
+ * @param {object} elt A JS object within nv.nodesList holding node information.
+ * @return {Element} The link.
+ * @private
+ */
+Visual.prototype.buildNodeLink_ = function(elt) {
+  var link = document.createElement('a');
+  link.className = 'nodeLink';
+  link.title = elt.nodeName;
+  link.appendChild(document.createTextNode(this.formatNodeName(elt.nodeName)));
+  $(link).bind('click', function() {
+    nv.visControl.selectNode(elt);
+  });
+  return link;
+};
+
+
+/**
+ * Builds a table of links for the display bar, with their capacity and
+ * utilization. Links that stand for several bottom layer links show the
+ * capacity and utilization rolled up from them.
+ * @param {string} heading The heading of the first column.
+ * @param {Array.<object>} rows The rows, each holding the element to show in
+ * the first column (label) and the link (link).
+ * @return {Element} The table.
+ * @see NodesTree#getLinkRollup
+ * @private
+ */
+Visual.prototype.buildLinkTable_ = function(heading, rows) {
+  var table = document.createElement('table');
+  table.className = 'linkTable';
+  var header = table.insertRow(-1);
+  jQuery.each([heading, 'capacity', 'utilization'], function(i, name) {
+    var th = document.createElement('th');
+    th.appendChild(document.createTextNode(name));
+    header.appendChild(th);
+  });
+
+  for (var i = 0; i < rows.length; i++) {
+    var rollup = nv.nodesTree.getLinkRollup(rows[i].link);
+    var row = table.insertRow(-1);
+    row.insertCell(-1).appendChild(rows[i].label);
+    row.insertCell(-1).appendChild(document.createTextNode(
+        this.formatValue_(rollup.capacity, 'capacity')));
+    row.insertCell(-1).appendChild(document.createTextNode(
+        this.formatValue_(rollup.utilization, 'utilization')));
+  }
+  return table;
+};
+
+
+/**
+ * Formats a link metric for the display bar: capacities and traffic in
+ * nv.capacityUnits, and utilizations as a percentage of full utilization.
+ * @param {number} value The value.
+ * @param {string=} opt_type The kind of value: capacity or utilization. Other
+ * values are only rounded.
+ * @return {string} The formatted value, or n/a if the value is undefined.
+ * @private
+ */
+Visual.prototype.formatValue_ = function(value, opt_type) {
+  if (value == undefined) {
+    return 'n/a';
+  } else if (opt_type == 'capacity') {
+    return Math.round(value * 100) / 100 + ' ' + nv.capacityUnits;
+  } else if (opt_type == 'utilization') {
+    return Math.round(value / nv.fullUtilization * 1000) / 10 + '%';
+  }
+  return String(Math.round(value * 100) / 100);
+};
+
+
+/**
+ * Describes whether a node is filtered out, and by which filters: those that
+ * exclude the node under the filter expression, whether they act on its own
+ * layer or on the layer of one of its ancestors. A node can also be filtered
+ * out because all of its children are.
+ * @param {Node} node A tree node.
+ * @return {string} The description.
+ * @private
+ */
+Visual.prototype.describeFilterStatus_ = function(node) {
+  if (!node.filtered) {
+    return 'not filtered';
+  }
+  var layer = node.getListElt().type;
+  var names = jQuery.map(nv.filterGroup.getBlockingNodeFilters(node),
+      function(filter) {
+        return filter.layer == layer ? filter.displayName :
+            filter.displayName + ' (with its ' + filter.layer + ')';
+      });
+  if (!names.length) {
+    return 'filtered out, as all its children are';
+  }
+  return 'filtered out by ' + names.join(', ');
+};
+
+
+/**
+ * Selects a node: shows its information in the display bar and pans the view
+ * to center it, keeping the zoom. A hidden child of a shown node is revealed
+ * by exploding its parent first.
+ * @param {object} elt A JS object within nv.nodesList holding node information.
+ */
+Visual.prototype.selectNode = function(elt) {
+  var parentElt = nv.nodesTree.getNodeByName(elt.nodeName).parent
+      .getListElt();
+  if (!elt.show && parentElt && parentElt.show) {
+    this.explodeNode(parentElt);
+    nv.history.record('Explode ' + this.formatNodeName(parentElt.nodeName));
+  }
+  this.displayNodeInfo(elt);
+  this.centerNode(elt);
+};
+
+
+/**
+ * Pans the view so that a node is at its center, keeping the zoom.
+ * @param {object} elt A JS object within nv.nodesList holding node information.
+ */
+Visual.prototype.centerNode = function(elt) {
+  var k = nv.vis.transform().k;
+  var width = nv.vis.width();
+  var height = nv.vis.height();
+
+  nv.vis.transform(pv.Transform.identity
+      .translate(width / 2 - k * elt.x, height / 2 - k * elt.y)
+      .scale(k));
+  nv.vis.render();
+};
+
+/**
+ * Pushes link information onto the display-bar div whenever user clicks on a
+ * link: its end nodes, which can be clicked to select them, its type, what it
+ * carries and how much room it has left, and the same for the link in the
+ * reverse direction. Links that stand for several bottom layer links show the
+ * metrics rolled up from them, and list their child links, which can be
+ * clicked to inspect them.
+ * @param {object} link A JS object within nv.linksList.
+ * @see NodesTree#getLinkChildren
+ */
+Visual.prototype.displayLinkInfo = function(link) {
+  var displayBar = document.getElementById('display-bar');
+  displayBar.style.display = 'block';
+
+  var source = nv.nodesList[link.source];
+  var target = nv.nodesList[link.target];
+  var displayName = document.getElementById('display-name');
+  displayName.innerHTML = '';
+  displayName.appendChild(document.createTextNode(
+      this.formatNodeName(source.nodeName) + ' to ' +
+      this.formatNodeName(target.nodeName) + ' (link)'));
+
+  var displayInfo = document.getElementById('display-info');
+  displayInfo.innerHTML = '';
+  this.addInfoRow_(displayInfo, 'source', this.buildNodeLink_(source));
+  this.addInfoRow_(displayInfo, 'target', this.buildNodeLink_(target));
+  this.addInfoRow_(displayInfo, 'type', link.type);
+  this.addLinkStats_(displayInfo, link, '');
+
+  var reverseIndex = target.neighbors[link.source];
+  if (reverseIndex == undefined) {
+    this.addInfoRow_(displayInfo, 'reverse', 'none');
+  } else {
+    this.addLinkStats_(displayInfo, nv.linksList[reverseIndex], 'reverse ');
+  }
+
+  if (link.type != nv.getBottomLayer()) {
+    var rows = [];
+    var children = nv.nodesTree.getLinkChildren(link);
+    for (var i = 0; i < children.length; i++) {
+      rows.push({label: this.buildLinkLink_(children[i]), link: children[i]});
+    }
+    displayInfo.appendChild(this.buildLinkTable_('child link', rows));
+  }
+};
+
+
+/**
+ * Adds the capacity, utilization, traffic and headroom (capacity left) of a
+ * link to the display bar. Links that stand for several bottom layer links
+ * also get the number of those and their highest utilization.
+ * @param {Element} container The element to add the rows to.
+ * @param {object} link A JS object within nv.linksList.
+ * @param {string} prefix Put before the labels of the rows.
+ * @private
+ */
+Visual.prototype.addLinkStats_ = function(container, link, prefix) {
+  var rollup = nv.nodesTree.getLinkRollup(link);
+  var traffic = nv.getTraffic(rollup);
+  var isAggregate = link.type != nv.getBottomLayer();
+
+  if (isAggregate) {
+    this.addInfoRow_(container, prefix + 'member links', rollup.count);
+  }
+  this.addInfoRow_(container, prefix + 'capacity',
+                   this.formatValue_(rollup.capacity, 'capacity'));
+  this.addInfoRow_(container, prefix + 'utilization',
+                   this.formatValue_(rollup.utilization, 'utilization'));
+  if (isAggregate) {
+    this.addInfoRow_(container, prefix + 'max utilization',
+                     this.formatValue_(rollup.maxUtilization, 'utilization'));
+  }
+  this.addInfoRow_(container, prefix + 'traffic',
+                   this.formatValue_(traffic, 'capacity'));
+  this.addInfoRow_(container, prefix + 'headroom',
+                   this.formatValue_(rollup.capacity - traffic, 'capacity'));
+};
+
+
+/**
+ * Builds a link to a link for the display bar, which inspects the link, and
+ * highlights it if it is shown, when clicked.
+ * @param {object} link A JS object within nv.linksList.
+ * @return {Element} The link.
+ * @private
+ */
+Visual.prototype.buildLinkLink_ = function(link) {
+  var a = document.createElement('a');
+  a.className = 'linkLink';
+  a.appendChild(document.createTextNode(
+      this.formatNodeName(nv.nodesList[link.source].nodeName) + ' to ' +
+      this.formatNodeName(nv.nodesList[link.target].nodeName)));
+  $(a).bind('click', function() {
+    if (nv.visControl.isLinkVisible(link)) {
+      nv.visControl.linkHighlightOn(link);
+    }
+    nv.visControl.displayLinkInfo(link);
+  });
+  return a;
+};
+
+
+/**
+ * Shows the tooltip of a node or link at the cursor, or hides the tooltip if
+ * its layer has tooltips turned off.
+ * @param {object} elt A JS object within nv.nodesList or nv.linksList.
+ * @param {boolean} isLink Whether the element is a link.
+ * @see Visual.tooltipFields
+ */
+Visual.prototype.showTooltip = function(elt, isLink) {
+  var rows = this.getTooltipRows_(elt, isLink);
+  var tooltip = document.getElementById('tooltip');
+  tooltip.innerHTML = '';
+  if (!rows.length) {
+    this.hideTooltip();
+    return;
+  }
+
+  for (var i = 0; i < rows.length; i++) {
+    var row = document.createElement('div');
+    if (rows[i].label) {
+      var b = document.createElement('b');
+      b.appendChild(document.createTextNode(rows[i].label + ': '));
+      row.appendChild(b);
+    }
+    row.appendChild(document.createTextNode(rows[i].value));
+    tooltip.appendChild(row);
+  }
+  tooltip.style.display = 'block';
+  this.moveTooltip();
+};
+
+
+/**
+ * Moves the tooltip next to the cursor.
+ */
+Visual.prototype.moveTooltip = function() {
+  var tooltip = document.getElementById('tooltip');
+  if (pv.event) {
+    tooltip.style.left = pv.event.pageX + 12 + 'px';
+    tooltip.style.top = pv.event.pageY + 12 + 'px';
+  }
+};
+
+
+/**
+ * Hides the tooltip.
+ */
+Visual.prototype.hideTooltip = function() {
+  document.getElementById('tooltip').style.display = 'none';
+};
+
+
+/**
+ * Gets the rows of the tooltip of a node or link, as set for its layer.
+ * @param {object} elt A JS object within nv.nodesList or nv.linksList.
+ * @param {boolean} isLink Whether the element is a link.
+ * @return {Array.<object>} The rows, each holding a label (empty for the
+ * name) and a value.
+ * @see Visual.tooltipFields
+ * @private
+ */
+Visual.prototype.getTooltipRows_ = function(elt, isLink) {
+  var layer = isLink ? nv.nodesList[elt.source].type : elt.type;
+  var fields = (Visual.tooltipFields[layer] ||
+                Visual.defaultTooltipFields)[isLink ? 'link' : 'node'];
+  var rollup;
+  var capacity;
+  var utilization;
+
+  if (isLink) {
+    rollup = nv.nodesTree.getLinkRollup(elt);
+    capacity = rollup.capacity;
+    utilization = rollup.utilization;
+  } else {
+    rollup = nv.nodesTree.getNodeRollup(nv.nodesTree.getNodeByName(
+        elt.nodeName));
+    capacity = rollup.uplinkCapacity;
+    utilization = capacity ?
+        rollup.traffic / capacity * nv.fullUtilization : undefined;
+  }
+
+  var rows = [];
+  for (var i = 0; i < fields.length; i++) {
+    var field = fields[i];
+    if (field == 'name') {
+      rows.push({label: '', value: isLink ?
+          this.formatNodeName(nv.nodesList[elt.source].nodeName) + ' to ' +
+          this.formatNodeName(nv.nodesList[elt.target].nodeName) :
+          elt.nodeName});
+    } else if (field == 'layer') {
+      rows.push({label: 'layer', value: elt.type});
+    } else if (field == 'capacity') {
+      rows.push({label: 'capacity',
+                 value: this.formatValue_(capacity, 'capacity')});
+    } else if (field == 'utilization' || field == 'maxUtilization') {
+      rows.push({label: field == 'utilization' ? 'utilization' :
+                                                 'max utilization',
+                 value: this.formatValue_(field == 'utilization' ?
+                     utilization : rollup.maxUtilization, 'utilization')});
+    } else if (field == 'degree') {
+      rows.push({label: isLink ? 'member links' : 'degree',
+                 value: String(isLink ? rollup.count :
+                                        this.getNodeDegree_(elt))});
+    } else if (field == 'routers') {
+      rows.push({label: 'routers', value: String(rollup.routerCount)});
+    } else if (elt.hasOwnProperty(field)) {
+      rows.push({label: field, value: typeof elt[field] == 'number' ?
+          this.formatValue_(elt[field]) : String(elt[field])});
+    }
+  }
+  return rows;
+};
+
+
+/**
+ * Gets the number of neighbors a node has in the topology.
+ * @param {object} elt A JS object within nv.nodesList holding node information.
+ * @return {number} The number of neighbors, leaving out cross links.
+ * @private
+ */
+Visual.prototype.getNodeDegree_ = function(elt) {
+  var degree = 0;
+  for (var target in elt.neighbors) {
+    if (elt.neighbors[target] < nv.numLinks) {
+      degree++;
+    }
+  }
+  return degree;
+};
+
+
+/**
+ * Explodes a node to reveal underlying layer. Exploded nodes are marked so
+ * that #renderNodes handles them correctly, and #renderLinks builds the
+ * crosslinks between the revealed nodes and the nodes of differing layers.
+ * @param {object} elt A JS object within nv.nodesList holding node information.
+*/
+Visual.prototype.explodeNode = function(elt) {
+  var node = nv.nodesTree.getNodeByName(elt.nodeName);
+  elt.hover = false;
+
+  if (node.hasChildren()) {
+    elt.show = false;
+    elt.exploded = true; // prevents #renderNodes from showing exploded node
+    this.explodedNodes.push(node.index);
+    var children = node.children;
+
+    for (var obj in children) {
+      var child_index = children[obj].index;
+      nv.nodesList[child_index].show = true;
+      nv.nodesList[child_index].exploded = true; // prevents #renderNodes
+                                                 // from hiding exploded node
+    }
+  }
+  nv.visControl.renderLinks();
+  nv.vis.render();
+};
+
+
+/**
+ * Reverses #explodeNode: hides the children of an exploded node, along with
+ * whatever their own explosions revealed, and shows the node again.
+ * #renderLinks then retires the cross links of the hidden children and builds
+ * those between the node and the nodes of other layers it is linked to.
+ * @param {object} elt A JS object within nv.nodesList holding information on
+ * an exploded node.
+ */
+Visual.prototype.implodeNode = function(elt) {
+  var node = nv.nodesTree.getNodeByName(elt.nodeName);
+  if (!elt.exploded || elt.show || !node.hasChildren()) {
+    return;
+  }
+
+  var imploded = {};
+  function hideDescendants(node) {
+    for (var each in node.children) {
+      var child = node.children[each];
+      var childElt = child.getListElt();
+      if (childElt.exploded && !childElt.show) {
+        imploded[child.index] = true;
+        hideDescendants(child);
+      }
+      childElt.show = false;
+      childElt.exploded = false;
+      childElt.hover = false;
+    }
+  };
+  hideDescendants(node);
+  imploded[node.index] = true;
+  this.explodedNodes = jQuery.grep(this.explodedNodes, function(index) {
+    return !imploded[index];
+  });
+
+  /**
+   * The node is shown by #renderNodes if it is in the current layer, and has
+   * to stay marked as exploded otherwise, like the children of any exploded
+   * node.
+   */
+  elt.show = !node.filtered;
+  elt.exploded = elt.type != this.currentLayer;
+
+  this.renderLinks();
+  nv.vis.render();
+};
+
+
+/**
+ * Gets the exploded node a shown node was revealed by.
+ * @param {object} elt A JS object within nv.nodesList holding node
+ * information.
+ * @return {object} The nv.nodesList element of the exploded parent of the
+ * node, or null if the node is not shown because its parent was exploded.
+ */
+Visual.prototype.getExplodedParent = function(elt) {
+  var parent = nv.nodesTree.getNodeByName(elt.nodeName).parent;
+  if (parent.index == undefined) {
+    return null;
+  }
+  var parentElt = parent.getListElt();
+  return parentElt.exploded && !parentElt.show ? parentElt : null;
+};
+
+
+/**
+ * Formats the label for a node.
+ * nv.nodesTree and nv.nodesList label metros as X, pops as X_X# and routers as
+ * X_X#_br#.X#. This function formats metro labels as X, pop labels as X#, and
+ * router labels as br#.X#.
+ * @param {string} nodeName Name of node as they appear on nv.nodesTree nodes
+ * and nv.nodesList nodes.
+ * @return {string} The formatted name of the node.
+ */
+Visual.prototype.formatNodeName = function(nodeName) {
+  return nodeName.split('_').slice(-1);
+};
+
+
+/**
+ * Gives the corresponding Protovis object the correct color of the link.
+ * Links above the bottom layer and cross links are colored by the utilization
+ * rolled up from their bottom layer links.
+ * @param {object} link A JS object within nv.linksList.
+ * @return {string|pv.Color} The color we'd like the link to be.
+ * @see NodesTree#getLinkRollup
+ */
+Visual.prototype.getLinkColor = function(link) {
+  var rollup = nv.nodesTree.getLinkRollup(link);
+  var color;
+  if (rollup.count && !link.dim) {
+    var scale = this.colorscales['tricolor'];
+    color = scale(rollup.utilization);
+  } else {
+    color = '#aaa';
+  }
+  return new pv.color(color).alpha(0.3+0.7*(1-link.dim));
+};
+
+
+/**
+ * Gives the corresponding Protovis object the correct color of the arrow at
+ * the middle of a link. The arrows of links that stand for several bottom
+ * layer links show the highest utilization among them, so that a busy member
+ * stands out even when the rolled up utilization is low.
+ * @param {object} link A JS object within nv.linksList.
+ * @return {string|pv.Color} The color we'd like the arrow to be.
+ */
+Visual.prototype.getArrowColor = function(link) {
+  var rollup = nv.nodesTree.getLinkRollup(link);
+  if (link.type == nv.getBottomLayer() || !rollup.count || link.dim) {
+    return '#eee';
+  }
+  var scale = this.colorscales['tricolor'];
+  return scale(rollup.maxUtilization);
+};
+
+
+/**
+ * Gives the corresponding Protovis object the correct thickness of the link.
+ * Links above the bottom layer and cross links get thicker with the capacity
+ * rolled up from their bottom layer links, more slowly than bottom layer links
+ * do since they can stand for many of them.
+ * @param {object} link A JS object within nv.linksList.
+ * @return {number} The thickness we'd like the link to be.
+ */
+Visual.prototype.getLinkThickness = function(link) {
+  var rollup = nv.nodesTree.getLinkRollup(link);
+  var thick;
+  if (link.type == nv.getBottomLayer()) {
+    thick = link.capacity * 0.5;
+  } else if (rollup.count) {
+    thick = Math.sqrt(rollup.capacity * 10) * 0.5;
+  } else {
+    thick = 1.2;
+  }
+  return thick*(1+link.hover);
+};
+
+
+/**
+ * Gives the corresponding Protovis object the correct border color of the node.
+ * @param {object} elt A JS object within nv.nodesList.
+ * @return {string} The color we'd like the node border to be.
+ */
+Visual.prototype.getNodeBorder = function(elt) {
+  var nodeType = elt.type;
+
+  if (elt.dim) {
+    var color = this.layerPropertyMap[nodeType].dimBorder;
+    return color;
+  } else {
+    var color = this.layerPropertyMap[nodeType].border;
+    return color;
+  }
+};
+
+
+/**
+ * Gives the corresponding Protovis object the correct color of the node.
+ * @param {object} elt A JS object within nv.nodesList.
+ * @return {string | pv.color} The color we'd like the node to be.
+ */
+Visual.prototype.getNodeColor = function(elt) {
+  var nodeType = elt.type;
+
+  if (elt.dim) {
+    var color = this.layerPropertyMap[nodeType].dimColor;
+    return color;
+  } else {
+    var color = this.layerPropertyMap[nodeType].color;
+    return color;
+  }
+};
+
+
+/**
+ * Gives the corresponding Protovis object the correct fontsize of the node.
+ * @param {object} elt A JS object within nv.nodesList.
+ * @return {number} The fontsize we'd like the node to be.
+ */
+Visual.prototype.getNodeFont = function(elt) {
+  var nodeType = elt.type;
+  return this.layerPropertyMap[nodeType].fontsize;
+};
+
+
+/**
+ * Gives the corresponding Protovis object the correct size of the node.
+ * @param {object} elt A JS object within nv.nodesList.
+ * @return {number} The size we'd like the node to be.
+ * @see #setNodeSizeMetric
+ */
+Visual.prototype.getNodeSize = function(elt) {
+  if (this.nodeSizes_.hasOwnProperty(elt.nodeName)) {
+    return this.nodeSizes_[elt.nodeName];
+  }
+  var nodeType = elt.type;
+  return this.layerPropertyMap[nodeType].size;
+};
+
+
+/**
+ * Sizes the nodes above the bottom layer by a rollup metric: the area of a
+ * node goes from a quarter of its layer's size, for a value of 0, to seven
+ * quarters of it for the highest value in the layer. Nodes without a value
+ * keep their layer's size. Call nv.vis.render to show the new sizes.
+ * @param {?string} metric A key of the node rollups that does not depend on
+ * the filters, e.g. routerCount or traffic, or null to size the nodes by
+ * their layer only.
+ * @see NodesTree#getNodeRollup
+ */
+Visual.prototype.setNodeSizeMetric = function(metric) {
+  this.nodeSizeMetric = metric;
+  this.nodeSizes_ = {};
+  if (!metric) {
+    return;
+  }
+
+  var values = {};
+  var maxValues = {};
+  for (var i = 0; i < nv.numNodes; i++) {
+    var elt = nv.nodesList[i];
+    if (elt.type == nv.getBottomLayer()) {
+      continue;
+    }
+    var value = nv.nodesTree.getNodeRollup(
+        nv.nodesTree.getNodeByIndex(i))[metric];
+    if (typeof value == 'number' && isFinite(value)) {
+      values[i] = value;
+      maxValues[elt.type] = Math.max(maxValues[elt.type] || 0, value);
+    }
+  }
+
+  for (var i in values) {
+    var elt = nv.nodesList[i];
+    var max = maxValues[elt.type];
+    this.nodeSizes_[elt.nodeName] = this.layerPropertyMap[elt.type].size *
+        (0.25 + (max > 0 ? 1.5 * Math.max(values[i], 0) / max : 0));
+  }
+};
+
+
+/**
+ * Initializes link properties.
+ */
+Visual.prototype.initLinkProperties = function() {
+  var l = nv.linksList.length;
+  for (var i = 0; i < l; i++) {
+    var elt = nv.linksList[i];
+
+    elt.dim = false; // dims link when we highlight
+    elt.filtered = false;
+    elt.excludedBy = {}; // ids of the filters that exclude the link
+    elt.hover = false;
+  }
+};
+
+
+/**
+ * Initializes node properties. Initializes all the node positions based
+ * on pop lat/lngs by calling #setNodePosition function used to position node
+ * aggregates (metros, its pops, its routers) as the user moves one of
+ * the members of a node aggregate. Positions come from the lowest layer
+ * whose nodes all have lat/lngs, which is the pop layer in our data.
+ * Positions are in a 1000 x 750 frame that gets scaled to the page.
+ */
+Visual.prototype.initNodeProperties = function() {
+  var anchorLayer = this.getAnchorLayer_();
+
+  if (anchorLayer == undefined) {
+    /**
+     * No layer has positions, as is often the case for imported topologies,
+     * so we lay the top layer out on a circle.
+     */
+    anchorLayer = nv.layers[0];
+    var topNodes = nv.nodesList.filter(function(d) {
+      return d.type == anchorLayer;
+    });
+    for (var i = 0; i < topNodes.length; i++) {
+      var angle = 2 * Math.PI * i / topNodes.length;
+      topNodes[i].x = 500 + 300 * Math.cos(angle);
+      topNodes[i].y = 375 + 300 * Math.sin(angle);
+    }
+  }
+
+  for (var i = 0; i < nv.numNodes; i++) {
+    var elt = nv.nodesList[i];
+
+    elt.dim = false; // dims node when we highlight a link
+    elt.show = true; // indicates node visiblility
+    elt.hover = false; // toggles when user hovers over a node
+    elt.filtered = false; // indicates if node is being filtered
+
+    if (elt.type == anchorLayer) {
+      this.setNodePosition(elt,
+          document.body.clientWidth / 1000, document.body.clientHeight / 750);
+    }
+  }
+
+  this.layoutPositions_ = jQuery.map(nv.nodesList, function(elt) {
+    return {x: elt.x, y: elt.y};
+  });
+};
+
+
+/**
+ * Gets the lowest layer whose nodes all have a position.
+ * @return {string} The name of the layer, or undefined if there is none.
+ * @private
+ */
+Visual.prototype.getAnchorLayer_ = function() {
+  var positioned = {};
+  for (var i = 0; i < nv.layers.length; i++) {
+    positioned[nv.layers[i]] = true;
+  }
+
+  for (var i = 0; i < nv.numNodes; i++) {
+    var elt = nv.nodesList[i];
+    if (typeof elt.x != 'number' || typeof elt.y != 'number') {
+      positioned[elt.type] = false;
+    }
+  }
+
+  for (var i = nv.layers.length - 1; i >= 0; i--) {
+    if (positioned[nv.layers[i]]) {
+      return nv.layers[i];
+    }
+  }
+};
+
+
+/**
+ * Highlights a link by reducing the opacity of all other elements.
+ * @param {object} link a JS object within nv.linksList.
+ */
+Visual.prototype.linkHighlightOn = function(link) {
+  this.linkHighlightOff(); // Reset all nodes first.
+  this.highlightedLink = link;
+  var src = link.source;
+  var tar = link.target;
+  var linkIndex = nv.nodesList[src].neighbors[tar];
+
+  for (var i = 0; i < nv.numNodes; i++) {
+      var elt = nv.nodesList[i];
+      if (i != src && i != tar) {
+        elt.dim = true; // dim all other nodes
+      }
+  }
+
+  for (var i = 0; i < nv.linksList.length; i++) {
+    if (i != linkIndex) {
+      var elt = nv.linksList[i];
+      elt.dim = true; // dim all other links
+    }
+  }
+  nv.vis.render();
+};
+
+
+/**
+ * Turns highlighting off.
+ */
+Visual.prototype.linkHighlightOff = function() {
+  this.highlightedLink = null;
+  for (var i = 0; i < nv.numNodes; i++) {
+    var elt = nv.nodesList[i];
+    elt.dim = false;
+  }
+
+  for (var i = 0; i < nv.linksList.length; i++) {
+    var elt = nv.linksList[i]
+    elt.dim = false;
+  }
+  nv.vis.render();
+};
+
+
+/**
+ * Determines if a link is shown: it is not a retired cross link, both of its
+ * end nodes are shown and no filter hides it.
  * @param {object} link A JS object within nv.linksList.
- * @return {number} The thickness we'd like the link to be.
+ * @return {boolean} Whether or not the link is shown.
+ */
+Visual.prototype.isLinkVisible = function(link) {
+  return !link.retired && nv.nodesList[link.source].show &&
+         nv.nodesList[link.target].show && !link.filtered;
+};
+
+
+/**
+ * Renders links. Updates the cross links for the nodes laid out and then
+ * filters out any link that is connected to a node that has been hidden by
+ * #renderNodes.
+*/
+Visual.prototype.renderLinks = function() {
+  this.updateCrosslinks();
+  nv.network.links(nv.linksList.filter(
+    function(d) {
+      return nv.visControl.isLinkVisible(d);
+    })
+  );
+  this.linkHighlightOff();
+  nv.network.reset();
+};
+
+
+/**
+ * Runs over all nodes and displays or hides them according to their
+ * exploded and filtered statuses, as well as the value of currentLayer.
+ * Can also reset all exploded nodes back to default.
+*/
+Visual.prototype.renderNodes = function() {
+  for (var i = 0; i < nv.numNodes; i++) {
+    var resetExplosions = arguments[0];
+    var elt = nv.nodesList[i];
+    var node = nv.nodesTree.getNodeByName(elt.nodeName);
+
+    if (resetExplosions) {
+      elt.exploded = false;
+    }
+
+    if (node.filtered) {
+      elt.show = false;
+    } else {
+      if (elt.type == this.currentLayer && !elt.exploded) {
+        elt.show = true;
+      } else if (elt.type != this.currentLayer && !elt.exploded) {
+        elt.show = false;
+      }
+    }
+  }
+};
+
+
+/**
+ * Used to show a single layer. Sets the currentLayer to layer and then runs
+ * #renderNodes to re-render all nodes, resetting exploded ones back to default.
+ * @param {string} layer The name of the layer to show.
+*/
+Visual.prototype.setCurrentLayer = function(layer)
+{
+  this.currentLayer = layer;
+  this.explodedNodes = [];
+  this.renderNodes(true); //reset explosions
+};
+
+
+/**
+ * Remembers where a node the user starts dragging is.
+ * @param {object} elt A JS object within nv.nodesList holding node information.
+ */
+Visual.prototype.startNodeMove = function(elt) {
+  this.moveOrigin_ = {x: elt.x, y: elt.y};
+};
+
+
+/**
+ * Positions the nodes around a node the user has dropped, and remembers the
+ * node as moved if it left the place it was dragged from.
+ * @param {object} elt A JS object within nv.nodesList holding node information.
+ */
+Visual.prototype.endNodeMove = function(elt) {
+  var origin = this.moveOrigin_;
+  this.moveOrigin_ = null;
+  this.setNodePosition(elt);
+
+  if (origin && (origin.x != elt.x || origin.y != elt.y)) {
+    this.recordNodeMove_(elt);
+    nv.history.record('Move ' + this.formatNodeName(elt.nodeName));
+  }
+};
+
+
+/**
+ * Moves a node and the nodes around it, as if the user had dragged it.
+ * @param {object} elt A JS object within nv.nodesList holding node information.
+ * @param {number} x The new x position of the node, on screen.
+ * @param {number} y The new y position of the node, on screen.
+ */
+Visual.prototype.moveNode = function(elt, x, y) {
+  elt.x = x;
+  elt.y = y;
+  this.setNodePosition(elt);
+  this.recordNodeMove_(elt);
+};
+
+
+/**
+ * Puts every node back where #initNodeProperties laid it out, undoing all
+ * node moves.
+ */
+Visual.prototype.resetNodePositions = function() {
+  for (var i = 0; i < nv.numNodes; i++) {
+    nv.nodesList[i].x = this.layoutPositions_[i].x;
+    nv.nodesList[i].y = this.layoutPositions_[i].y;
+  }
+  this.movedNodes = [];
+};
+
+
+/**
+ * Adds a node to the end of the list of moved nodes.
+ * @param {object} elt A JS object within nv.nodesList holding node information.
+ * @private
+ */
+Visual.prototype.recordNodeMove_ = function(elt) {
+  var index = nv.nodesTree.getNodeByName(elt.nodeName).index;
+  this.movedNodes = jQuery.grep(this.movedNodes, function(movedIndex) {
+    return movedIndex != index;
+  });
+  this.movedNodes.push(index);
+};
+
+
+/**
+ * Whenever a node is moved by the user, this function is called to set
+ * all corresponding parent and children nodes to the same area as the new
+ * location of the moved node. Children nodes are positioned radially about the
+ * center of the parent node (if there is one child, then it is moved to the
+ * parent's location). Parent nodes are positioned at the centroid of its
+ * children.
+ * @param {object} elt A JS object within nv.nodesList holding node information.
+ * @param {number} scaleX Scaling factor applied to the node's x-displacement
+ * from top left corner. Used to scale from lat/lng positions to screen
+ * positions.
+ * @param {number} scaleY Scaling factor applied to the node's y-displacement
+ * from top left corner.
+*/
+Visual.prototype.setNodePosition = function(elt, scaleX, scaleY) {
+  var node = nv.nodesTree.getNodeByName(elt.nodeName);
+  if (scaleX != undefined && scaleY != undefined) {
+    node.getListElt().x *= scaleX;
+    node.getListElt().y *= scaleY;
+  }
+
+  function setPositionFromParent(node, num, angle) {
+    node.getListElt().x = node.parent.getListElt().x;
+    node.getListElt().y = node.parent.getListElt().y;
+
+    if (angle != null) {
+      var radius;
+      node.getListElt().type == nv.getBottomLayer() ?
+          radius = 50 : radius = 30;
+      node.getListElt().x += radius * Math.cos(num * angle);
+      node.getListElt().y += radius * Math.sin(num * angle);
+    }
+  };
+
+  function setPositionFromChildren(node) {
+    var total_x = 0, total_y = 0, count = 0;
+    for (var each in node.children) {
+      var child = node.children[each];
+      total_x += child.getListElt().x;
+      total_y += child.getListElt().y;
+      count += 1;
+    }
+
+    node.getListElt().x = total_x / count;
+    node.getListElt().y = total_y / count;
+  };
+
+  function setChildrenPositions(node) {
+    if (node.hasChildren()) {
+      var i = 0, angle;
+      var numChildren = node.numChildren;
+      numChildren > 1 ? angle = 2 * Math.PI / numChildren : angle = null;
+
+      for (var each in node.children) {
+        var child = node.children[each];
+        setPositionFromParent(child, i, angle);
+        setChildrenPositions(child);
+        i++;
+      }
+    }
+  };
+
+  function setParentPositions(node) {
+    if (node.parent != nv.nodesTree.get_Root()) {
+      setPositionFromChildren(node.parent);
+      setParentPositions(node.parent);
+    }
+  }
+  setChildrenPositions(node);
+  setParentPositions(node);
+  nv.vis.render();
+};
+
+
+function InteractionControl() {
+  this.idToFilterMap = {}; // Filled in by #registerFilter.
+  this.query = ''; // The query filtered by, set by #setQuery_.
+};
+
+
+/**
+ * Version of the state vectors written by #saveState. Version 1 vectors hold
+ * only the current layer and the filter settings; version 2 vectors add the
+ * exploded nodes, moved nodes, highlighted link and pan/zoom transform;
+ * version 3 vectors add the query; version 4 vectors hold the settings of
+ * the active filters only, so the filters they leave out are not in use.
  */
-Visual.prototype.getLinkThickness = function(link) {
-  var thick;
-  if (link.type == 'router') {
-    thick = link.capacity * 0.5;
-  } else {
-    thick = 1.2;
+InteractionControl.STATE_VERSION = 4;
+
+
+/**
+ * Gets the version of a state vector. Vectors without one were written
+ * before state vectors had versions, and are of version 1.
+ * @param {object} stateVector A state vector as returned by #readState.
+ * @return {?number} The version, or null if #loadState does not know it,
+ * as for vectors written by a later version of the app.
+ */
+InteractionControl.getStateVersion = function(stateVector) {
+  if (stateVector.v == undefined) {
+    return 1;
   }
-  return thick*(1+link.hover);
+  var version = Number(stateVector.v);
+  if (version !== Math.floor(version) || version < 1 ||
+      version > InteractionControl.STATE_VERSION) {
+    return null;
+  }
+  return version;
 };
 
 
 /**
- * Gives the corresponding Protovis object the correct border color of the node.
- * @param {object} elt A JS object within nv.nodesList.
- * @return {string} The color we'd like the node border to be.
+ * Describes a state vector that #loadState does not know the version of, as
+ * a problem nv.reportErrors can show.
+ * @param {string} path What holds the vector, e.g. 'Shared URL'.
+ * @param {object} stateVector The state vector.
+ * @return {object} The problem.
  */
-Visual.prototype.getNodeBorder = function(elt) {
-  var nodeType = elt.type;
+InteractionControl.getVersionProblem = function(path, stateVector) {
+  return {
+    path: path,
+    message: 'Cannot show a view of unknown version ' + stateVector.v +
+             ', which may come from a later version of the app',
+    severity: nv.Severity.WARNING
+  };
+};
 
-  if (elt.dim) {
-    var color = this.layerPropertyMap[nodeType].dimBorder;
-    return color;
+
+/**
+ * Ties a filter to the control whose DOM id is the filter's id. A fixed
+ * filter stays active for good, and its control is added along with it; the
+ * others get a control when they are activated from the filter catalog.
+ * @param {Filter} filter The filter, already added to nv.filterGroup.
+ * @param {boolean=} opt_fixed Whether the filter is fixed.
+ * @see #addFilterControl
+ */
+InteractionControl.prototype.registerFilter = function(filter, opt_fixed) {
+  this.idToFilterMap[filter.id] = {
+    filterElement: filter.filterElement,
+    layer: filter.layer,
+    attribute: filter.attribute,
+    fixed: !!opt_fixed
+  };
+};
+
+
+/**
+ * Gets the filter tied to a control.
+ * @param {string} filterDomId The DOM id of the control.
+ * @return {Filter} The filter.
+ */
+InteractionControl.prototype.getFilter = function(filterDomId) {
+  var entry = this.idToFilterMap[filterDomId];
+  if (entry.filterElement == Filter.FilterElements.LINK) {
+    return nv.filterGroup.getLinkFilter(entry.layer, entry.attribute);
   } else {
-    var color = this.layerPropertyMap[nodeType].border;
-    return color;
+    return nv.filterGroup.getNodeFilter(entry.layer, entry.attribute);
   }
 };
 
 
 /**
- * Gives the corresponding Protovis object the correct color of the node.
- * @param {object} elt A JS object within nv.nodesList.
- * @return {string | pv.color} The color we'd like the node to be.
+ * Indicates whether the filter tied to a control is active.
+ * @param {string} filterDomId The DOM id of the control.
+ * @return {boolean} Whether the filter is active.
  */
-Visual.prototype.getNodeColor = function(elt) {
-  var nodeType = elt.type;
+InteractionControl.prototype.isFilterActive = function(filterDomId) {
+  return nv.filterGroup.isFilterActive(this.getFilter(filterDomId));
+};
 
-  if (elt.dim) {
-    var color = this.layerPropertyMap[nodeType].dimColor;
-    return color;
-  } else {
-    var color = this.layerPropertyMap[nodeType].color;
-    return color;
+
+/**
+ * Activates a filter of the filter catalog and adds its control to the
+ * interaction panel. The filter passes everything until it is changed, so
+ * nothing needs to be filtered anew.
+ * @param {string} filterDomId The DOM id of the filter's control.
+ */
+InteractionControl.prototype.activateFilter = function(filterDomId) {
+  if (this.isFilterActive(filterDomId)) {
+    return;
   }
+  var filter = this.getFilter(filterDomId);
+  nv.filterGroup.setFilterActivity(filter, true);
+  this.addFilterControl(filter);
+  this.buildFilterCatalog();
 };
 
 
 /**
- * Gives the corresponding Protovis object the correct fontsize of the node.
- * @param {object} elt A JS object within nv.nodesList.
- * @return {number} The fontsize we'd like the node to be.
+ * Deactivates a filter added from the filter catalog and removes its
+ * control. The filter is reset, so that it passes everything when it is
+ * activated again, and its exclusions are cleared. Call #applyAllFilters to
+ * filter without it.
+ * @param {string} filterDomId The DOM id of the filter's control.
  */
-Visual.prototype.getNodeFont = function(elt) {
-  var nodeType = elt.type;
-  return this.layerPropertyMap[nodeType].fontsize;
+InteractionControl.prototype.deactivateFilter = function(filterDomId) {
+  if (this.idToFilterMap[filterDomId].fixed ||
+      !this.isFilterActive(filterDomId)) {
+    return;
+  }
+  var filter = this.getFilter(filterDomId);
+  filter.reset();
+  nv.filterGroup.setFilterActivity(filter, false);
+  nv.filterGroup.updateExclusions(filter);
+  $('#' + filterDomId).closest('.interaction').remove();
+  this.buildFilterCatalog();
 };
 
 
 /**
- * Gives the corresponding Protovis object the correct size of the node.
- * @param {object} elt A JS object within nv.nodesList.
- * @return {number} The size we'd like the node to be.
+ * Adds a filter the user picked from the filter catalog, and adds the change
+ * to the history.
+ * @param {string} filterDomId The DOM id of the filter's control.
  */
-Visual.prototype.getNodeSize = function(elt) {
-  var nodeType = elt.type;
-  return this.layerPropertyMap[nodeType].size;
+InteractionControl.prototype.addFilter = function(filterDomId) {
+  this.activateFilter(filterDomId);
+  $('#filtersTOC').hide();
+  nv.history.record('Add filter: ' + this.getFilter(filterDomId).displayName);
 };
 
 
 /**
- * Initializes link properties.
+ * Removes a filter the user added, filters the nodes and links without it,
+ * and adds the change to the history.
+ * @param {string} filterDomId The DOM id of the filter's control.
  */
-Visual.prototype.initLinkProperties = function() {
-  var l = nv.linksList.length;
-  for (var i = 0; i < l; i++) {
-    var elt = nv.linksList[i];
+InteractionControl.prototype.removeFilter = function(filterDomId) {
+  this.deactivateFilter(filterDomId);
+  this.applyAllFilters();
+  nv.history.record('Remove filter: ' +
+                    this.getFilter(filterDomId).displayName);
+};
 
-    elt.dim = false; // dims link when we highlight
-    elt.filtered = false;
-    elt.filteredBy = null;
-    elt.hover = false;
+
+/**
+ * Fills the filter catalog with the filters that can be added, in a column
+ * for each layer. Clicking a filter adds it.
+ */
+InteractionControl.prototype.buildFilterCatalog = function() {
+  var catalog = document.getElementById('filtersTOC');
+  catalog.innerHTML = '';
+
+  var columns = {};
+  for (var filterDomId in this.idToFilterMap) {
+    if (this.isFilterActive(filterDomId)) {
+      continue;
+    }
+    var filter = this.getFilter(filterDomId);
+    if (!columns.hasOwnProperty(filter.layer)) {
+      columns[filter.layer] = document.createElement('div');
+      columns[filter.layer].className = 'col';
+    }
+    var item = document.createElement('a');
+    item.className = 'TOCitem';
+    item.appendChild(document.createTextNode(filter.displayName));
+    $(item).bind('click', {filterDomId: filterDomId}, function(event) {
+      nv.intControl.addFilter(event.data.filterDomId);
+    });
+    columns[filter.layer].appendChild(item);
+  }
+
+  for (var i = 0; i < nv.layers.length; i++) {
+    if (columns.hasOwnProperty(nv.layers[i])) {
+      catalog.appendChild(columns[nv.layers[i]]);
+    }
   }
+  var clear = document.createElement('div');
+  clear.className = 'clear';
+  catalog.appendChild(clear);
 };
 
 
 /**
- * Initializes node properties. Initializes all the node positions based
- * on pop lat/lngs by calling #setNodePosition function used to position node
- * aggregates (metros, its pops, its routers) as the user moves one of
- * the members of a node aggregate.
+ * Adds a control for a filter to the interaction panel: a slider over the
+ * filter's range for a qFilter, or a text box for the pattern of an rFilter,
+ * which applies it when the user hits Enter, and, unless the filter is fixed,
+ * a button that removes the filter. Changes are added to the history. The
+ * controls are removed by nv.teardown.
+ * @param {Filter} filter The filter, already added to nv.filterGroup.
  */
-Visual.prototype.initNodeProperties = function() {
-  for (var i = 0; i < nv.numNodes; i++) {
-    var elt = nv.nodesList[i];
+InteractionControl.prototype.addFilterControl = function(filter) {
+  var wrapper = this.getFilterHTML_(filter);
+  wrapper.className += ' generated';
+  document.getElementById('interaction-container').appendChild(wrapper);
+
+  $('#close_' + filter.id).bind('click', function() {
+    nv.intControl.removeFilter(filter.id);
+  });
+  if (filter.filterType == Filter.FilterTypes.QUANT) {
+    var step = filter.max - filter.min > 10 ? 1 : 0.1;
+    $('#' + filter.id).slider({
+      from: filter.min,
+      to: filter.max,
+      step: step,
+      smooth: true,
+      round: step < 1 ? 1 : 0,
+      dimension: filter.units ? '&nbsp;' + filter.units : '',
+      skin: 'round_plastic',
+      callback: function() {
+        nv.intControl.changeFilter(filter.id);
+      }
+    });
+  } else {
+    $('#' + filter.id).keypress(function(event) {
+      if (event.which == 13) { // Activates when user hits Enter.
+        event.preventDefault();
+        nv.intControl.changeFilter(filter.id);
+      }
+    });
+  }
+};
 
-    elt.dim = false; // dims node when we highlight a link
-    elt.show = true; // indicates node visiblility
-    elt.hover = false; // toggles when user hovers over a node
-    elt.filtered = false; // indicates if node is being filtered
-    elt.filteredBy = null; // label of filter that filtered the node
 
-    if (elt.type == 'pop') {
-      this.setNodePosition(elt,
-          document.body.clientWidth / 1000, document.body.clientHeight / 750);
-    }
+/**
+ * Builds the control of a filter, with the filter's current setting and a
+ * Remove button.
+ * @param {Filter} filter The filter.
+ * @return {Element} The control, wrapped as an interaction.
+ * @private
+ */
+InteractionControl.prototype.getFilterHTML_ = function(filter) {
+  var wrapper = this.getInteractionHTML_();
+  var content = wrapper.childNodes[1];
+  var input = document.createElement('input');
+  input.setAttribute('id', filter.id);
+
+  if (filter.filterType == Filter.FilterTypes.QUANT) {
+    input.setAttribute('type', 'slider');
+    input.setAttribute('value', filter.lower + ';' + filter.upper);
+    content.style.paddingTop = '20px';
+  } else {
+    input.setAttribute('type', 'text');
+    input.setAttribute('placeholder', 'Enter a regular expression');
+    input.className = 'regexInput';
+    input.value = filter.pattern;
+  }
+  content.appendChild(input);
+  wrapper.childNodes[0].appendChild(
+      document.createTextNode(filter.displayName));
+
+  if (!this.idToFilterMap[filter.id].fixed) {
+    var button = document.createElement('button');
+    button.setAttribute('id', 'close_' + filter.id);
+    button.appendChild(document.createTextNode('Remove'));
+    wrapper.childNodes[2].appendChild(button);
   }
+  return wrapper;
 };
 
 
 /**
- * Highlights a link by reducing the opacity of all other elements.
- * @param {object} link a JS object within nv.linksList.
+ * Adds the "Include neighbors" checkbox to the control of the hostname
+ * filter. Checking it makes the filter pass the neighbors of the nodes that
+ * match it too, and is added to the history.
+ * @param {string} filterDomId The DOM id of the hostname filter's control.
+ * @see #syncIncludeNeighbors
  */
-Visual.prototype.linkHighlightOn = function(link) {
-  this.linkHighlightOff(); // Reset all nodes first.
-  var src = link.source;
-  var tar = link.target;
-  var linkIndex = nv.nodesList[src].neighbors[tar];
+InteractionControl.prototype.addIncludeNeighborsControl =
+    function(filterDomId) {
+  var checkbox = document.createElement('input');
+  checkbox.setAttribute('type', 'checkbox');
+  checkbox.setAttribute('id', 'includeNeighbors_checkbox');
+  var content = $('#' + filterDomId).closest('.content')[0];
+  content.appendChild(checkbox);
+  content.appendChild(document.createTextNode(' Include neighbors'));
+
+  $(checkbox).bind('click', function() {
+    nv.intControl.syncIncludeNeighbors();
+    nv.history.record('Include neighbors: ' + (this.checked ? 'on' : 'off'));
+  });
+};
 
-  for (var i = 0; i < nv.numNodes; i++) {
-      var elt = nv.nodesList[i];
-      if (i != src && i != tar) {
-        elt.dim = true; // dim all other nodes
-      }
+
+/**
+ * Builds an empty interaction of the interaction panel, made of a title, a
+ * content and a side.
+ * @return {Element} The interaction.
+ * @private
+ */
+InteractionControl.prototype.getInteractionHTML_ = function() {
+  var wrapper = document.createElement('div');
+  wrapper.className = 'interaction';
+  var innerElements = ['title', 'content', 'side', 'clear'];
+
+  function createDiv(className) {
+    var div = document.createElement('div');
+    div.className = className;
+    return div;
+  };
+
+  for (var i = 0; i < innerElements.length; i++) {
+    wrapper.appendChild(createDiv(innerElements[i]));
   }
+  return wrapper;
+};
 
-  for (var i = 0; i < nv.linksList.length; i++) {
-    if (i != linkIndex) {
-      var elt = nv.linksList[i];
-      elt.dim = true; // dim all other links
+
+/**
+ * Fills the "Show only" part of the control bar with a button for each layer
+ * of the topology.
+ */
+InteractionControl.prototype.buildLayerButtons = function() {
+  var container = document.getElementById('layerButtons');
+  container.innerHTML = '';
+
+  for (var i = 0; i < nv.layers.length; i++) {
+    var layer = nv.layers[i];
+    var button = document.createElement('button');
+    button.id = 'showOnly' + nv.formatLayerName(layer) + 's';
+    button.appendChild(
+        document.createTextNode(nv.formatLayerName(layer) + 's'));
+    $(button).bind('click', {layer: layer}, function(event) {
+      nv.visControl.setCurrentLayer(event.data.layer);
+      nv.visControl.renderLinks();
+      nv.vis.render();
+      nv.history.record('Show only ' + this.innerHTML);
+    });
+    container.appendChild(button);
+  }
+};
+
+
+/**
+ * Sets the filter tied to a control to the control's value, filters the
+ * nodes and links anew and renders them. A text box holding an invalid
+ * pattern is marked as such, and the filter keeps its pattern.
+ * @param {string} filterDomId The DOM id of the control.
+ */
+InteractionControl.prototype.applyFilter = function(filterDomId) {
+  var entry = this.idToFilterMap[filterDomId];
+  var filterDom = $('#' + filterDomId);
+  if (this.getFilter(filterDomId).filterType == Filter.FilterTypes.REGEX) {
+    filterDom.toggleClass('invalid', !rFilter.isValidPattern(filterDom.val()));
+  }
+
+  if (entry.filterElement == Filter.FilterElements.LINK) {
+    nv.filterGroup.filterLinks(entry.layer, entry.attribute, filterDom.val());
+  } else {
+    nv.filterGroup.filterNodes(entry.layer, entry.attribute, filterDom.val());
+  }
+
+  nv.visControl.renderNodes();
+  nv.visControl.renderLinks();
+  nv.vis.render();
+};
+
+
+/**
+ * Applies a filter the user changed with its control, and adds the change to
+ * the history.
+ * @param {string} filterDomId The DOM id of the control.
+ */
+InteractionControl.prototype.changeFilter = function(filterDomId) {
+  this.applyFilter(filterDomId);
+  nv.history.record(this.getFilter(filterDomId).displayName + ': ' +
+                    $('#' + filterDomId).val());
+};
+
+/**
+ * Sets every active filter to the value of its control, then filters the
+ * nodes and links once and renders them.
+ */
+InteractionControl.prototype.applyAllFilters = function() {
+  for (var filterDomId in this.idToFilterMap) {
+    if (!this.isFilterActive(filterDomId)) {
+      continue;
     }
+    nv.filterGroup.setFilterInput(this.getFilter(filterDomId),
+                                  $('#' + filterDomId).val());
+  }
+  nv.filterGroup.applyFilters();
+
+  nv.visControl.renderNodes();
+  nv.visControl.renderLinks();
+  nv.vis.render();
+};
+
+/**
+ * Filters by a query typed by the user, and renders the result. A query with
+ * a syntax error is not applied: the error is shown under the query box and
+ * the filtering stays as it was.
+ * @param {string} text The query, see FilterQuery. Empty for no query.
+ * @return {boolean} Whether the query was applied.
+ */
+InteractionControl.prototype.applyQuery = function(text) {
+  if (!this.setQuery_(text)) {
+    return false;
   }
+  nv.filterGroup.applyFilters();
+
+  nv.visControl.renderNodes();
+  nv.visControl.renderLinks();
   nv.vis.render();
+  return true;
 };
 
 
 /**
- * Turns highlighting off.
+ * Compiles a query and hands it to the filter group, or shows its syntax
+ * error under the query box.
+ * @param {string} text The query.
+ * @return {boolean} Whether the query compiled.
+ * @private
  */
-Visual.prototype.linkHighlightOff = function() {
-  for (var i = 0; i < nv.numNodes; i++) {
-    var elt = nv.nodesList[i];
-    elt.dim = false;
+InteractionControl.prototype.setQuery_ = function(text) {
+  var query = new FilterQuery(text);
+  var message = query.describeError();
+  $('#queryInput').toggleClass('invalid', message != '');
+  $('#queryError').text(message).css('display', message ? 'block' : 'none');
+  if (query.error) {
+    return false;
   }
 
-  for (var i = 0; i < nv.linksList.length; i++) {
-    var elt = nv.linksList[i]
-    elt.dim = false;
-  }
-  nv.vis.render();
+  nv.filterGroup.setQueryExpression(query.expression);
+  this.query = text;
+  return true;
 };
 
 
 /**
- * Renders links. Concatenates the new cross links with nv.linksList and then
- * filters out any link that is connected to a node that has been hidden by
- * #renderNodes.
-*/
-Visual.prototype.renderLinks = function() {
-  nv.linksList = nv.linksList.concat(this.newCrossLinks);
-  this.newCrossLinks = [];
-  nv.network.links(nv.linksList.filter(
-    function(d) {
-      if (nv.nodesList[d.source].show &&
-          nv.nodesList[d.target].show && !d.filtered) {
-        return true;
-      } else {
-        return false;
-      }
-    })
-  );
-  this.linkHighlightOff();
-  nv.network.reset();
+ * Captures the view as a query string that can be appended to the page URL:
+ * the current layer, the filter settings, and the view state described by
+ * #saveViewState_. Keys and values are URL-encoded, so patterns holding &, =
+ * or # survive the trip.
+ * @return {string} The query string, starting with '?'.
+ */
+InteractionControl.prototype.saveState = function() {
+  var stateVector = {
+    v: String(InteractionControl.STATE_VERSION),
+    currentLayer: nv.visControl.currentLayer
+  };
+  // Each active filter is kept under the DOM id of its control.
+  for (var filterDomId in this.idToFilterMap) {
+    if (!this.isFilterActive(filterDomId)) {
+      continue;
+    }
+    var filter = this.getFilter(filterDomId);
+    stateVector[filterDomId] = filter.filterType == Filter.FilterTypes.QUANT ?
+        filter.lower + ';' + filter.upper : filter.pattern;
+  }
+  stateVector.includeNeighbors = String(
+      document.getElementById('includeNeighbors_checkbox').checked);
+  stateVector.query = this.query;
+  this.saveViewState_(stateVector);
+
+  return InteractionControl.formatState(stateVector);
 };
 
 
 /**
- * Runs over all nodes and displays or hides them according to their
- * exploded and filtered statuses, as well as the value of currentLayer.
- * Can also reset all exploded nodes back to default.
-*/
-Visual.prototype.renderNodes = function() {
-  for (var i = 0; i < nv.numNodes; i++) {
-    var resetExplosions = arguments[0];
-    var elt = nv.nodesList[i];
-    var node = nv.nodesTree.getNodeByName(elt.nodeName);
+ * Adds the state of the view that the filters do not capture to a state
+ * vector, leaving out the parts that are at their defaults:
+ * exploded, the indices of the exploded nodes in explosion order (the cross
+ * links follow from them); moved, the index and position of each moved node
+ * in the order they were last moved; highlight, the end node indices of the
+ * highlighted link; and zoom, the scale and offsets of the pan/zoom
+ * transform. Positions are in the 1000 x 750 frame the nodes are laid out in,
+ * so that they fit any window. List entries are separated by ~ and the
+ * values within an entry by _, which URLs do not need to encode.
+ * @param {object} stateVector The state vector to add to.
+ * @private
+ */
+InteractionControl.prototype.saveViewState_ = function(stateVector) {
+  var scaleX = document.body.clientWidth / 1000;
+  var scaleY = document.body.clientHeight / 750;
 
-    if (resetExplosions) {
-      elt.exploded = false;
-    }
+  function round(value) {
+    return String(Math.round(value * 10) / 10);
+  };
 
-    if (node.filtered) {
-      elt.show = false;
-    } else {
-      if (elt.type == this.currentLayer && !elt.exploded) {
-        elt.show = true;
-      } else if (elt.type != this.currentLayer && !elt.exploded) {
-        elt.show = false;
-      }
-    }
+  if (nv.visControl.explodedNodes.length) {
+    stateVector.exploded = nv.visControl.explodedNodes.join('~');
   }
-};
 
+  if (nv.visControl.movedNodes.length) {
+    stateVector.moved = jQuery.map(nv.visControl.movedNodes, function(index) {
+      var elt = nv.nodesList[index];
+      return [index, round(elt.x / scaleX), round(elt.y / scaleY)].join('_');
+    }).join('~');
+  }
 
-/**
- * Used to show a single layer. Sets the currentLayer to layer and then runs
- * #renderNodes to re-render all nodes, resetting exploded ones back to default.
- * @param {string} layer The name of the layer to show.
-*/
-Visual.prototype.setCurrentLayer = function(layer)
-{
-  this.currentLayer = layer;
-  this.renderNodes(true); //reset explosions
+  var link = nv.visControl.highlightedLink;
+  if (link) {
+    stateVector.highlight = link.source + '_' + link.target;
+  }
+
+  var transform = nv.vis.transform();
+  if (transform.k != 1 || transform.x || transform.y) {
+    stateVector.zoom = [Math.round(transform.k * 100) / 100,
+                        round(transform.x), round(transform.y)].join('_');
+  }
 };
 
+/**
+ * Parses a query string made by #saveState.
+ * @param {string} stateVectorString The query string.
+ * @return {object} The state vector, a dictionary of state names and values.
+ */
+InteractionControl.prototype.readState = function(stateVectorString) {
+  return InteractionControl.parseState(stateVectorString);
+};
 
 /**
- * Whenever a node is moved by the user, this function is called to set
- * all corresponding parent and children nodes to the same area as the new
- * location of the moved node. Children nodes are positioned radially about the
- * center of the parent node (if there is one child, then it is moved to the
- * parent's location). Parent nodes are positioned at the centroid of its
- * children.
- * @param {object} elt A JS object within nv.nodesList holding node information.
- * @param {number} scaleX Scaling factor applied to the node's x-displacement
- * from top left corner. Used to scale from lat/lng positions to screen
- * positions.
- * @param {number} scaleY Scaling factor applied to the node's y-displacement
- * from top left corner.
-*/
-Visual.prototype.setNodePosition = function(elt, scaleX, scaleY) {
-  var node = nv.nodesTree.getNodeByName(elt.nodeName);
-  if (scaleX != undefined && scaleY != undefined) {
-    node.getListElt().x *= scaleX;
-    node.getListElt().y *= scaleY;
+ * Formats a state vector as a URL-encoded query string.
+ * @param {object} stateVector Dictionary of state names and values.
+ * @return {string} The query string, starting with '?'.
+ */
+InteractionControl.formatState = function(stateVector) {
+  var pairs = [];
+  for (var state in stateVector) {
+    if (stateVector[state] != undefined) {
+      pairs.push(encodeURIComponent(state) + '=' +
+                 encodeURIComponent(stateVector[state]));
+    }
   }
+  return '?' + pairs.join('&');
+};
 
-  function setPositionFromParent(node, num, angle) {
-    node.getListElt().x = node.parent.getListElt().x;
-    node.getListElt().y = node.parent.getListElt().y;
-
-    if (angle != null) {
-      var radius;
-      node.getListElt().type == 'pop' ? radius = 30 : radius = 50;
-      node.getListElt().x += radius * Math.cos(num * angle);
-      node.getListElt().y += radius * Math.sin(num * angle);
-    }
-  };
+/**
+ * Parses a URL-encoded query string into a state vector. Values that are not
+ * validly encoded are kept as they are, so that query strings written before
+ * we encoded them still parse.
+ * @param {string} stateVectorString The query string, with or without the
+ * leading '?'.
+ * @return {object} The state vector, a dictionary of state names and values.
+ */
+InteractionControl.parseState = function(stateVectorString) {
+  var preStateVector = stateVectorString.replace(/^\?/, '').split('&');
+  var stateVector = {};
 
-  function setPositionFromChildren(node) {
-    var total_x = 0, total_y = 0, count = 0;
-    for (var each in node.children) {
-      var child = node.children[each];
-      total_x += child.getListElt().x;
-      total_y += child.getListElt().y;
-      count += 1;
+  function decode(s) {
+    try {
+      return decodeURIComponent(s.replace(/\+/g, ' '));
+    } catch (e) {
+      return s;
     }
-
-    node.getListElt().x = total_x / count;
-    node.getListElt().y = total_y / count;
   };
 
-  function setChildrenPositions(node) {
-    if (node.hasChildren()) {
-      var i = 0, angle;
-      var numChildren = node.numChildren;
-      numChildren > 1 ? angle = 2 * Math.PI / numChildren : angle = null;
-
-      for (var each in node.children) {
-        var child = node.children[each];
-        setPositionFromParent(child, i, angle);
-        setChildrenPositions(child);
-        i++;
-      }
+  for (var i = 0; i < preStateVector.length; i++) {
+    if (preStateVector[i] == '') {
+      continue;
     }
-  };
-
-  function setParentPositions(node) {
-    if (node.parent.nodeName != 'master') {
-      setPositionFromChildren(node.parent);
-      setParentPositions(node.parent);
+    var separator = preStateVector[i].indexOf('=');
+    if (separator == -1) {
+      stateVector[decode(preStateVector[i])] = '';
+    } else {
+      stateVector[decode(preStateVector[i].slice(0, separator))] =
+          decode(preStateVector[i].slice(separator + 1));
     }
   }
-  setChildrenPositions(node);
-  setParentPositions(node);
-  nv.vis.render();
-};
-
-
-function InteractionControl() {
-  this.idToFilterMap = {
-    'utilFilter': {
-      filterElement: Filter.FilterElements.LINK,
-      filterLabel: 'router_utilization',
-    },
-    'capFilter': {
-      filterElement: Filter.FilterElements.LINK,
-      filterLabel: 'router_capacity',
-    },
-    'routerNameFilter': {
-      filterElement: Filter.FilterElements.NODE,
-      filterLabel: 'router_nodeName',
-    },
-  };
+  return stateVector;
 };
 
-
-InteractionControl.prototype.applyFilter = function(filterDomId) {
-  var filterLabel = this.idToFilterMap[filterDomId].filterLabel.split('_');
-  var filterElement = this.idToFilterMap[filterDomId].filterElement;
-  var filterDom = document.getElementById(filterDomId);
-
-  if (filterElement == Filter.FilterElements.LINK) {
-    nv.filterGroup.filterLinks(filterLabel[0],
-        filterLabel[1], $('#'+filterDomId).val() );
-  } else {
-    nv.filterGroup.filterNodes(filterLabel[0],
-        filterLabel[1], $('#'+filterDomId).val() );
+/**
+ * Keeps the parts of a state vector that make sense for the current
+ * topology. The current layer is kept if the topology has nodes in that
+ * layer, and so are the filters the topology has. A range filter is kept if
+ * its range lies within the values the topology has for it, and widened to
+ * all of them if not, as filter ranges follow the values of the topology. A
+ * pattern filter is kept if its pattern matches at least one node it
+ * filters, and emptied if not.
+ * The query is kept if it compiles for the topology. The view state refers
+ * to nodes by index, so none of it carries over to another topology.
+ * @param {object} stateVector A state vector as returned by #readState.
+ * @return {object} A state vector that can be passed to #loadState.
+ */
+InteractionControl.prototype.getApplicableState = function(stateVector) {
+  var hasLayer = false;
+  for (var i = 0; i < nv.numNodes; i++) {
+    if (nv.nodesList[i].type == stateVector.currentLayer) {
+      hasLayer = true;
+    }
   }
 
-  nv.visControl.renderNodes();
-  nv.visControl.renderLinks();
-  nv.vis.render();
-};
-
-InteractionControl.prototype.applyAllFilters = function() {
+  var applicableState = {
+    v: stateVector.v,
+    currentLayer: hasLayer ? stateVector.currentLayer :
+                             nv.visControl.currentLayer,
+    includeNeighbors: stateVector.includeNeighbors,
+    query: stateVector.query && !new FilterQuery(stateVector.query).error ?
+        stateVector.query : ''
+  };
   for (var filterDomId in this.idToFilterMap) {
-    this.applyFilter(filterDomId);
+    if (stateVector[filterDomId] == undefined) {
+      continue;
+    }
+    var filter = this.getFilter(filterDomId);
+    if (filter.filterType == Filter.FilterTypes.QUANT) {
+      var range = String(stateVector[filterDomId]).split(';');
+      var isWithin = range.length == 2 &&
+          parseFloat(range[0]) >= filter.min &&
+          parseFloat(range[1]) <= filter.max;
+      applicableState[filterDomId] = isWithin ? stateVector[filterDomId] :
+                                                filter.min + ';' + filter.max;
+    } else {
+      applicableState[filterDomId] = this.hasMatch_(filter,
+          stateVector[filterDomId]) ? stateVector[filterDomId] : '';
+    }
   }
+  return applicableState;
 };
 
-InteractionControl.prototype.saveState = function() {
-  var utilFilter = nv.filterGroup.getLinkFilter('router','utilization');
-  var capFilter = nv.filterGroup.getLinkFilter('router','capacity');
-  var routerNameFilter = nv.filterGroup.getNodeFilter('router','nodeName');
 
-  var stateVector = {
-    currentLayer: nv.visControl.currentLayer,
-    utilFilter: utilFilter.lower + ';' + utilFilter.upper,
-    capFilter: capFilter.lower + ';' + capFilter.upper,
-    routerNameFilter: routerNameFilter.pattern,
+/**
+ * Determines if a pattern matches at least one node or link an rFilter
+ * filters.
+ * @param {rFilter} filter The filter.
+ * @param {string} pattern The pattern.
+ * @return {boolean} Whether or not a node or link of the filter's layer is
+ * valid under the filter with the pattern. An invalid pattern matches
+ * nothing.
+ * @private
+ */
+InteractionControl.prototype.hasMatch_ = function(filter, pattern) {
+  if (!rFilter.isValidPattern(pattern)) {
+    return false;
   }
-
-  var stateVectorString = '?';
-  for (var state in stateVector) {
-    stateVectorString += state + '=' + stateVector[state] + '&';
+  var oldPattern = filter.pattern;
+  var hasMatch = false;
+  filter.updatePattern(pattern);
+  if (filter.filterElement == Filter.FilterElements.LINK) {
+    for (var i = 0; i < nv.numLinks && !hasMatch; i++) {
+      hasMatch = nv.linksList[i].type == filter.layer &&
+                 filter.isLinkInbound(nv.linksList[i]);
+    }
+  } else {
+    for (var i = 0; i < nv.numNodes && !hasMatch; i++) {
+      hasMatch = nv.nodesList[i].type == filter.layer &&
+                 filter.isNodeInbound(nv.nodesTree.getNodeByIndex(i));
+    }
   }
-
-  return stateVectorString.slice(0,-1);
+  filter.updatePattern(oldPattern);
+  return hasMatch;
 };
 
-InteractionControl.prototype.readState = function(stateVectorString) {
-  var preStateVector = stateVectorString.substr(1).split('&');
-  var stateVector = {};
-  for (var preState in preStateVector) {
-    var keyval = preStateVector[preState].split('=');
-    stateVector[keyval[0]] = keyval[1];
-  }
-
-  return stateVector;
+/**
+ * Points the hostname filter at the matching method for the state of the
+ * "Include neighbors" checkbox.
+ */
+InteractionControl.prototype.syncIncludeNeighbors = function() {
+  var includeNeighbors =
+      document.getElementById('includeNeighbors_checkbox').checked;
+  this.getFilter('routerNameFilter').toggleIncludeNeighbors(includeNeighbors);
 };
 
+/**
+ * Restores a state vector: shows its layer, redoes its explosions and node
+ * moves, adds the filters it sets from the filter catalog, sets the filter
+ * controls and the query to its values, applies the filters, and restores
+ * its highlighted link and pan/zoom transform. Filters that a version 4
+ * vector leaves out are removed, while those an older vector leaves out
+ * keep their current values, and so do filters the vector gives an invalid
+ * range or pattern. Vectors older than version 3 hold no query, so the query
+ * stays as it is. Vectors of versions this app does not know are not loaded.
+ * @param {object} stateVector A state vector as returned by #readState.
+ * @return {boolean} Whether the vector was loaded.
+ * @see #getStateVersion
+ */
 InteractionControl.prototype.loadState = function(stateVector) {
-  nv.visControl.currentLayer = stateVector.currentLayer;
-  var utilFilterDom = $('#utilFilter');
-  utilFilterDom.val(stateVector.utilFilter);
-
-  var capFilterDom = $('#capFilter');
-  capFilterDom.val(stateVector.capFilter);
+  var version = InteractionControl.getStateVersion(stateVector);
+  if (version == null) {
+    return false;
+  }
+  if (nv.layerOrder.hasOwnProperty(stateVector.currentLayer)) {
+    nv.visControl.setCurrentLayer(stateVector.currentLayer);
+  }
+  this.loadViewState_(stateVector);
 
-  var routerNameFilterDom = $('#routerNameFilter');
-  routerNameFilterDom.val(stateVector.routerNameFilter);
+  var holdsActiveFilters = version >= 4;
+  for (var filterDomId in this.idToFilterMap) {
+    var value = stateVector[filterDomId];
+    if (value == undefined) {
+      if (holdsActiveFilters) {
+        this.deactivateFilter(filterDomId);
+      }
+      continue;
+    }
+    this.activateFilter(filterDomId);
+    var filterDom = $('#' + filterDomId);
+    if (this.getFilter(filterDomId).filterType == Filter.FilterTypes.QUANT) {
+      var range = String(value).split(';');
+      if (range.length == 2 && !isNaN(parseFloat(range[0])) &&
+          !isNaN(parseFloat(range[1]))) {
+        filterDom.val(range.join(';'));
+        filterDom.slider('value', parseFloat(range[0]), parseFloat(range[1]));
+      }
+    } else if (rFilter.isValidPattern(value)) {
+      filterDom.val(value);
+    }
+  }
+  if (stateVector.includeNeighbors != undefined) {
+    document.getElementById('includeNeighbors_checkbox').checked =
+        stateVector.includeNeighbors == 'true';
+    this.syncIncludeNeighbors();
+  }
+  if (version >= 3) {
+    $('#queryInput').val(stateVector.query || '');
+    this.setQuery_(stateVector.query || '');
+  }
 
   this.applyAllFilters();
+  this.loadHighlightAndZoom_(stateVector);
+  return true;
 };
 
+
 /**
- * NOTE (Andrew): Prototyped some functions that will aid in a framework
- * that allows user to either add a new filter from a table of contents or a
- * new display layer (e.g. capacity visualization, LSP visualization, etc.)
- * from a table of contents.
- * Will need to integrate current event listener functions in main.js to get
- * this working. When user adds a new filter, it must be set to active in the
- * nv.filterGroup.
-/*
-InteractionControl.prototype.activateFilter = function(filterDomId, setInput) {
-  var filterLabel = this.idToFilterMap[filterDomId].filterLabel.split('_');
-  var filterElement = this.idToFilterMap[filterDomId].filterElement;
-  var container = document.getElementById('interaction-container');
-
-  if (filterElement == Filter.FilterElements.LINK) {
-    nv.filterGroup.setLinkFilterActivity(filterLabel[0], filterLabel[1], true);
-    var linkFilter =
-        nv.filterGroup.getLinkFilter(filterLabel[0], filterLabel[1]);
-    container.appendChild(this.getFilterHTML_(linkFilter, setInput));
-    console.log(this.getFilterHTML_(linkFilter, setInput));
-  } else {
-    nv.filterGroup.setNodeFilterActivity(filterLabel[0], filterLabel[1], true);
-    var nodeFilter =
-        nv.filterGroup.getNodeFilter(filterLabel[0], filterLabel[1], true);
-    container.appendChild(this.getFilterHTML_(nodeFilter, setInput));
-    console.log(this.getFilterHTML_(nodeFilter, setInput));
+ * Redoes the explosions and node moves of a state vector.
+ * @param {object} stateVector A state vector as returned by #readState.
+ * @see #saveViewState_
+ * @private
+ */
+InteractionControl.prototype.loadViewState_ = function(stateVector) {
+  var scaleX = document.body.clientWidth / 1000;
+  var scaleY = document.body.clientHeight / 750;
+
+  if (nv.visControl.movedNodes.length) {
+    nv.visControl.resetNodePositions();
   }
 
+  var exploded = InteractionControl.parseList_(stateVector.exploded);
+  for (var i = 0; i < exploded.length; i++) {
+    var index = exploded[i][0];
+    if (InteractionControl.isNodeIndex_(index)) {
+      nv.visControl.explodeNode(nv.nodesList[index]);
+    }
+  }
 
+  var moved = InteractionControl.parseList_(stateVector.moved);
+  for (var i = 0; i < moved.length; i++) {
+    var index = moved[i][0];
+    if (InteractionControl.isNodeIndex_(index) && moved[i].length == 3 &&
+        !isNaN(moved[i][1]) && !isNaN(moved[i][2])) {
+      nv.visControl.moveNode(nv.nodesList[index], moved[i][1] * scaleX,
+                             moved[i][2] * scaleY);
+    }
+  }
 };
 
 
-InteractionControl.prototype.getFilterHTML_ = function(filter, input) {
-  var wrapper = this.getInteractionHTML_();
-  if (filter.filterType == Filter.FilterTypes.QUANT) {
-    var slider = document.createElement('input');
-    slider.setAttribute('id', filter.id);
-    slider.setAttribute('type', 'slider');
-    if (input == undefined) {
-      input = [filter.lower, filter.upper];
-    }
-    slider.setAttribute('value', input[0] + ';' + input[1]);
-    slider.style.paddingTop = '20px';
-    // Need to add slider event listener here.
-    wrapper.childNodes[1].appendChild(slider);
-  } else {
-    var regexInput = document.createElement('input');
-    regexInput.setAttribute('id',filter.id);
-    regexInput.setAttribute('type', 'text');
-    regexInput.className = 'regexInput';
-    if (input == undefined) {
-      input = 'Enter a regular expression';
+/**
+ * Restores the highlighted link and the pan/zoom transform of a state
+ * vector. Runs once the filters are applied, since rendering the links turns
+ * highlighting off.
+ * @param {object} stateVector A state vector as returned by #readState.
+ * @see #saveViewState_
+ * @private
+ */
+InteractionControl.prototype.loadHighlightAndZoom_ = function(stateVector) {
+  var highlight = InteractionControl.parseList_(stateVector.highlight)[0];
+  if (highlight && InteractionControl.isNodeIndex_(highlight[0]) &&
+      InteractionControl.isNodeIndex_(highlight[1])) {
+    var linkIndex = nv.nodesList[highlight[0]].neighbors[highlight[1]];
+    var link = nv.linksList[linkIndex];
+    if (link && nv.visControl.isLinkVisible(link)) {
+      nv.visControl.linkHighlightOn(link);
     }
-    regexInput.setAttribute('value', input);
-    wrapper.childNodes[1].appendChild(regexInput);
-
-    var regexCheckbox = document.createElement('input');
-    regexCheckbox.setAttribute('id', 'includeNeighbors_checkbox');
-    regexCheckbox.setAttribute('type', 'checkbox');
-    wrapper.childNodes[1].appendChild(regexCheckbox);
-    wrapper.childNodes[1].appendChild(
-        document.createTextNode('Include neighbors'));
-
   }
-  wrapper.childNodes[0].appendChild(
-      document.createTextNode(filter.displayName));
-  wrapper.childNodes[2].firstChild.setAttribute('id', 'close_' + filter.id);
 
-  return wrapper;
+  var zoom = InteractionControl.parseList_(stateVector.zoom)[0];
+  if (zoom && zoom.length == 3 && zoom[0] > 0 && !isNaN(zoom[1]) &&
+      !isNaN(zoom[2])) {
+    nv.vis.transform(pv.Transform.identity.translate(zoom[1], zoom[2])
+                                          .scale(zoom[0]));
+  } else {
+    nv.vis.transform(pv.Transform.identity);
+  }
+  nv.vis.render();
 };
 
 
-InteractionControl.prototype.getInteractionHTML_ = function() {
-  var wrapper = document.createElement('div');
-  wrapper.className = 'interaction';
-  var innerElements = ['title', 'content', 'side', 'clear'];
-
-  function createDiv(className) {
-    var div = document.createElement('div');
-    div.className = className;
-    return div;
-  };
-
-  for (var i = 0; i < innerElements.length; i++) {
-    wrapper.appendChild(createDiv(innerElements[i]));
+/**
+ * Parses a list written by #saveViewState_.
+ * @param {string} value The list, or undefined if the state vector has none.
+ * @return {Array.<Array.<number>>} The entries of the list, each an array of
+ * numbers.
+ * @private
+ */
+InteractionControl.parseList_ = function(value) {
+  if (!value) {
+    return [];
   }
+  return jQuery.map(value.split('~'), function(entry) {
+    return [jQuery.map(entry.split('_'), parseFloat)];
+  });
+};
 
-  var close = document.createElement('button');
-  close.appendChild(document.createTextNode('Remove'));
-
-  wrapper.childNodes[2].appendChild(close);
 
-  return wrapper;
+/**
+ * Determines if a value is an index into nv.nodesList.
+ * @param {number} index The value.
+ * @return {boolean} Whether or not the value is a node index.
+ * @private
+ */
+InteractionControl.isNodeIndex_ = function(index) {
+  return index === Math.floor(index) && index >= 0 && index < nv.numNodes;
 };
-*/
-
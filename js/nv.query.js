@@ -0,0 +1,465 @@
+/**
+ * @fileoverview Contains the filter query language of the Network
+ * Visualization app, which lets users type filters instead of setting them
+ * with the controls, e.g.
+ *
+ *   type:router name~/^br0[12]/ util>7 cap<=5 metro:iad
+ *
+ * A query is made of terms, which it ANDs unless told otherwise with OR, NOT
+ * (or AND) and parentheses:
+ *
+ *   field~pattern  matches a regular expression, as /pattern/ or a word;
+ *   field!~pattern does not match it;
+ *   field>number, field>=number, field<number, field<=number, field=value,
+ *   field!=value   compare;
+ *   layer:name     keeps the nodes of that layer with that name, and the
+ *                  nodes below them;
+ *   type:layer     makes the terms after it act on that layer rather than on
+ *                  routers.
+ *
+ * Fields are attributes of the links or, if the links of the layer do not
+ * have them, of the nodes, including their rolled up metrics. util, cap and
+ * name are short for utilization, capacity and the node name, which is
+ * matched without the names of the node's ancestors. Values with spaces or
+ * parentheses can be quoted. Requires nv.js.
+ */
+
+
+/**
+ * Class that parses a filter query and compiles it to filters. The filters
+ * are qFilters and rFilters, grouped by a FilterExpression that can be given
+ * to FilterGroup#setQueryExpression.
+ * @param {string} text The query.
+ * @constructor
+ */
+function FilterQuery(text) {
+
+  /**
+   * The query.
+   * @type {string}
+   */
+  this.text = text;
+
+  /**
+   * The compiled query, or null if the query is empty or has an error.
+   * @type {FilterExpression}
+   */
+  this.expression = null;
+
+  /**
+   * The syntax error of the query, if any: its message and the index in the
+   * query where it was found.
+   * @type {object}
+   */
+  this.error = null;
+
+  /**
+   * Index in the query of the next character to parse.
+   * @type {number}
+   * @private
+   */
+  this.index_ = 0;
+
+  /**
+   * The layer the terms being parsed act on.
+   * @type {string}
+   * @private
+   */
+  this.layer_ = nv.getFilterLayer();
+
+  /**
+   * The number of filters compiled so far, used to give each its own id.
+   * @type {number}
+   * @private
+   */
+  this.numFilters_ = 0;
+
+  try {
+    this.skipSpaces_();
+    if (this.index_ < this.text.length) {
+      this.expression = this.parseOr_();
+      if (this.index_ < this.text.length) {
+        this.fail_(this.text.charAt(this.index_) == ')' ?
+            'Unmatched )' : 'Expected AND, OR or the end of the query');
+      }
+    }
+  } catch (e) {
+    if (!(e instanceof FilterQuery.Error)) {
+      throw e;
+    }
+    this.expression = null;
+    this.error = {message: e.message, index: e.index};
+  }
+}
+
+
+/**
+ * Short names of fields.
+ */
+FilterQuery.FIELD_ALIASES = {
+  util: 'utilization',
+  cap: 'capacity',
+  name: 'nodeName',
+  hostname: 'nodeName'
+};
+
+
+/**
+ * Prefix of the ids of the filters compiled from queries.
+ */
+FilterQuery.ID_PREFIX = 'query';
+
+
+/**
+ * Error thrown while parsing a query.
+ * @param {string} message What is wrong.
+ * @param {number} index Where in the query it is.
+ * @constructor
+ */
+FilterQuery.Error = function(message, index) {
+  this.message = message;
+  this.index = index;
+};
+
+
+/**
+ * Describes the syntax error of the query for the user.
+ * @return {string} The description, or the empty string if there is no
+ * error.
+ */
+FilterQuery.prototype.describeError = function() {
+  if (!this.error) {
+    return '';
+  }
+  return this.error.message + ' at column ' + (this.error.index + 1);
+};
+
+
+/**
+ * Stops parsing with an error.
+ * @param {string} message What is wrong.
+ * @param {number=} opt_index Where in the query it is. By default, where the
+ * parsing got to.
+ * @private
+ */
+FilterQuery.prototype.fail_ = function(message, opt_index) {
+  throw new FilterQuery.Error(message,
+      opt_index == undefined ? this.index_ : opt_index);
+};
+
+
+/**
+ * Moves past spaces.
+ * @private
+ */
+FilterQuery.prototype.skipSpaces_ = function() {
+  while (/\s/.test(this.text.charAt(this.index_))) {
+    this.index_++;
+  }
+};
+
+
+/**
+ * Moves past a keyword if the query continues with it. Keywords are not case
+ * sensitive and must be followed by a space, a parenthesis or the end of the
+ * query, so fields like notes are not taken for NOT.
+ * @param {string} keyword The keyword, in lower case.
+ * @return {boolean} Whether the query continued with the keyword.
+ * @private
+ */
+FilterQuery.prototype.acceptKeyword_ = function(keyword) {
+  var rest = this.text.slice(this.index_);
+  if (rest.slice(0, keyword.length).toLowerCase() != keyword ||
+      !/^($|[\s()])/.test(rest.slice(keyword.length))) {
+    return false;
+  }
+  this.index_ += keyword.length;
+  this.skipSpaces_();
+  return true;
+};
+
+
+/**
+ * Parses terms joined by OR.
+ * @return {FilterExpression|Filter} The compiled terms.
+ * @private
+ */
+FilterQuery.prototype.parseOr_ = function() {
+  var operands = [this.parseAnd_()];
+  while (this.acceptKeyword_('or')) {
+    operands.push(this.parseAnd_());
+  }
+  return operands.length == 1 ? operands[0] :
+      new FilterExpression(FilterExpression.Operators.OR, operands);
+};
+
+
+/**
+ * Parses terms joined by AND, or just by spaces. type: terms compile to
+ * nothing, but there must be at least one term.
+ * @return {FilterExpression|Filter} The compiled terms.
+ * @private
+ */
+FilterQuery.prototype.parseAnd_ = function() {
+  var operands = [];
+  var numTerms = 0;
+  while (this.index_ < this.text.length &&
+         this.text.charAt(this.index_) != ')') {
+    var start = this.index_;
+    if (this.acceptKeyword_('or')) {
+      this.index_ = start;
+      break;
+    }
+    if (this.acceptKeyword_('and') && numTerms == 0) {
+      this.fail_('AND needs a term before it', start);
+    }
+    var operand = this.parseNot_();
+    if (operand) {
+      operands.push(operand);
+    }
+    numTerms++;
+  }
+  if (numTerms == 0) {
+    this.fail_('Expected a term, such as util>7 or name~/^br01/');
+  }
+  return operands.length == 1 ? operands[0] :
+      new FilterExpression(FilterExpression.Operators.AND, operands);
+};
+
+
+/**
+ * Parses a term, a parenthesized group or NOT followed by either.
+ * @return {FilterExpression|Filter} The compiled term, or null for a type:
+ * term.
+ * @private
+ */
+FilterQuery.prototype.parseNot_ = function() {
+  var start = this.index_;
+  if (this.acceptKeyword_('not')) {
+    var operand = this.parseNot_();
+    if (!operand) {
+      this.fail_('NOT needs a term that filters', start);
+    }
+    return FilterExpression.not(operand);
+  }
+
+  if (this.text.charAt(this.index_) == '(') {
+    this.index_++;
+    this.skipSpaces_();
+    var group = this.parseOr_();
+    if (this.text.charAt(this.index_) != ')') {
+      this.fail_('Expected )');
+    }
+    this.index_++;
+    this.skipSpaces_();
+    return group;
+  }
+  return this.parseTerm_();
+};
+
+
+/**
+ * Parses a term and compiles it to a filter.
+ * @return {FilterExpression|Filter} The compiled term, or null for a type:
+ * term.
+ * @private
+ */
+FilterQuery.prototype.parseTerm_ = function() {
+  var start = this.index_;
+  var match = /^([A-Za-z_][\w.]*)\s*(!~|~|>=|<=|!=|=|>|<|:)\s*/.exec(
+      this.text.slice(start));
+  if (!match) {
+    this.fail_('Expected a term, such as util>7 or name~/^br01/');
+  }
+  var field = match[1];
+  var operator = match[2];
+  this.index_ += match[0].length;
+
+  var valueIndex = this.index_;
+  var value = this.parseValue_();
+  if (value == null) {
+    this.fail_('Expected a value after ' + field + operator);
+  }
+  var source = this.text.slice(start, this.index_);
+  this.skipSpaces_();
+
+  if (operator == ':' && field == 'type') {
+    if (jQuery.inArray(value.text, nv.layers) == -1) {
+      this.fail_('No layer is called ' + value.text, valueIndex);
+    }
+    this.layer_ = value.text;
+    return null;
+  }
+
+  if (operator == ':' && jQuery.inArray(field, nv.layers) != -1) {
+    var filter = new rFilter(this.nextId_(), 'nodeName', field,
+        Filter.FilterElements.NODE, source);
+    filter.isNodeInbound = filter.isNodeShortNameInbound;
+    filter.updatePattern(value.isPattern ?
+        this.checkPattern_(value.text, valueIndex) :
+        FilterQuery.exactPattern_(value.text));
+    return filter;
+  }
+
+  var attribute = FilterQuery.FIELD_ALIASES[field] || field;
+  var filterElement = this.getFilterElement_(attribute, start);
+
+  if (operator == '~' || operator == '!~') {
+    var filter = this.makePatternFilter_(attribute, filterElement, source,
+        this.checkPattern_(value.text, valueIndex));
+    return operator == '!~' ? FilterExpression.not(filter) : filter;
+  }
+
+  var number = value.isPattern || value.text == '' ? NaN : Number(value.text);
+  if (isNaN(number)) {
+    if (operator == ':' || operator == '=' || operator == '!=') {
+      var filter = this.makePatternFilter_(attribute, filterElement, source,
+          FilterQuery.exactPattern_(value.text));
+      return operator == '!=' ? FilterExpression.not(filter) : filter;
+    }
+    this.fail_('Expected a number after ' + field + operator, valueIndex);
+  }
+
+  /**
+   * Ranges of qFilters include their bounds, so strict comparisons are made
+   * by negating the opposite range: util>7 passes what util<=7 does not.
+   */
+  var bounds = {
+    ':': [number, number, false],
+    '=': [number, number, false],
+    '!=': [number, number, true],
+    '>=': [number, Infinity, false],
+    '<=': [-Infinity, number, false],
+    '>': [-Infinity, number, true],
+    '<': [number, Infinity, true]
+  }[operator];
+  var filter = new qFilter(this.nextId_(), attribute, this.layer_,
+      bounds[0], bounds[1], '', filterElement, source);
+  return bounds[2] ? FilterExpression.not(filter) : filter;
+};
+
+
+/**
+ * Parses the value of a term: a /pattern/, a "quoted string", or a word that
+ * runs up to the next space or parenthesis.
+ * @return {object} The value's text, and whether it was written as a
+ * /pattern/ (isPattern), or null if the term has no value.
+ * @private
+ */
+FilterQuery.prototype.parseValue_ = function() {
+  var c = this.text.charAt(this.index_);
+  if (c == '/' || c == '"') {
+    var start = this.index_;
+    var text = '';
+    for (this.index_++; this.index_ < this.text.length; this.index_++) {
+      var next = this.text.charAt(this.index_);
+      if (next == c) {
+        this.index_++;
+        return {text: text, isPattern: c == '/'};
+      }
+      if (next == '\\' && this.index_ + 1 < this.text.length) {
+        this.index_++;
+        next = this.text.charAt(this.index_);
+        // Patterns keep their escapes, except those of the slash.
+        text += c == '/' && next != '/' ? '\\' + next : next;
+      } else {
+        text += next;
+      }
+    }
+    this.fail_(c == '/' ? 'Unclosed /pattern/' : 'Unclosed quote', start);
+  }
+
+  var match = /^[^\s()]+/.exec(this.text.slice(this.index_));
+  if (!match) {
+    return null;
+  }
+  this.index_ += match[0].length;
+  return {text: match[0], isPattern: false};
+};
+
+
+/**
+ * Works out whether a field of the current layer is one of links or of nodes.
+ * @param {string} attribute The attribute the field stands for.
+ * @param {number} index Where the term is in the query, for errors.
+ * @return {string} One of Filter.FilterElements.
+ * @private
+ */
+FilterQuery.prototype.getFilterElement_ = function(attribute, index) {
+  if (attribute == 'nodeName') {
+    return Filter.FilterElements.NODE;
+  }
+  for (var i = 0; i < nv.numLinks; i++) {
+    var link = nv.linksList[i];
+    if (link.type == this.layer_ && link.hasOwnProperty(attribute)) {
+      return Filter.FilterElements.LINK;
+    }
+  }
+  for (var i = 0; i < nv.numNodes; i++) {
+    if (nv.nodesList[i].type == this.layer_ &&
+        nv.nodesTree.getNodeByIndex(i).hasProperty(attribute)) {
+      return Filter.FilterElements.NODE;
+    }
+  }
+  this.fail_('No ' + this.layer_ + ' or ' + this.layer_ + ' link has ' +
+             attribute, index);
+};
+
+
+/**
+ * Makes an rFilter for a term of the current layer.
+ * @param {string} attribute The attribute to match.
+ * @param {string} filterElement One of Filter.FilterElements.
+ * @param {string} source The term, which names the filter.
+ * @param {string} pattern The regex pattern.
+ * @return {rFilter} The filter.
+ * @private
+ */
+FilterQuery.prototype.makePatternFilter_ = function(attribute, filterElement,
+                                                    source, pattern) {
+  var filter = new rFilter(this.nextId_(), attribute, this.layer_,
+                           filterElement, source);
+  if (attribute == 'nodeName') {
+    filter.isNodeInbound = filter.isNodeShortNameInbound;
+  }
+  filter.updatePattern(pattern);
+  return filter;
+};
+
+
+/**
+ * Checks that a pattern is a valid regular expression.
+ * @param {string} pattern The pattern.
+ * @param {number} index Where the pattern is in the query, for errors.
+ * @return {string} The pattern.
+ * @private
+ */
+FilterQuery.prototype.checkPattern_ = function(pattern, index) {
+  try {
+    new RegExp(pattern);
+  } catch (e) {
+    this.fail_('Invalid pattern (' + e.message + ')', index);
+  }
+  return pattern;
+};
+
+
+/**
+ * Gets an id for the next filter compiled from the query.
+ * @return {string} The id.
+ * @private
+ */
+FilterQuery.prototype.nextId_ = function() {
+  return FilterQuery.ID_PREFIX + this.numFilters_++;
+};
+
+
+/**
+ * Makes a regex pattern that matches a string and nothing else.
+ * @param {string} text The string.
+ * @return {string} The pattern.
+ * @private
+ */
+FilterQuery.exactPattern_ = function(text) {
+  return '^' + text.replace(/[\\^$.*+?()[\]{}|\/]/g, '\\$&') + '$';
+};
@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Contains the topology validator used by the Network
+ * Visualization app to check a topology before it is loaded.
+ * Requires nv.js.
+ */
+
+
+/**
+ * Class that checks a topology (nodes_tree, nodes_list and links_list) for
+ * problems that would otherwise surface as exceptions deep inside the
+ * visualization, and describes each of them with the path of the offending
+ * value in the topology.
+ * @param {object} topology The topology to check.
+ * @constructor
+ */
+function TopologyValidator(topology) {
+
+  /**
+   * The topology being checked.
+   * @type {object}
+   */
+  this.topology = topology;
+
+  /**
+   * The problems found so far. Each one is a JS object holding the path of
+   * the offending value, a message and an nv.Severity.
+   * @type {Array.<object>}
+   */
+  this.problems = [];
+
+  /**
+   * The layer order dictionary of the topology being checked.
+   * @type {object}
+   * @see nv.buildLayerOrder
+   */
+  this.layerOrder_ = {};
+}
+
+
+/**
+ * Runs all the checks on the topology. The hierarchy is only checked once
+ * everything else is valid, since node names and types feed into it.
+ * @return {Array.<object>} The problems found. Empty if the topology is valid.
+ */
+TopologyValidator.prototype.validate = function() {
+  this.problems = [];
+
+  if (!this.checkStructure_()) {
+    return this.problems;
+  }
+  this.checkLayers_();
+  this.checkNodes_();
+  this.checkLinks_();
+  this.checkNeighbors_();
+
+  if (!nv.hasErrors(this.problems)) {
+    this.checkHierarchy_();
+  }
+  return this.problems;
+};
+
+
+/**
+ * Records an error.
+ * @param {string} path The path of the offending value in the topology.
+ * @param {string} message What is wrong with the value.
+ * @private
+ */
+TopologyValidator.prototype.error_ = function(path, message) {
+  this.problems.push({path: path, message: message,
+                      severity: nv.Severity.ERROR});
+};
+
+
+/**
+ * Records a warning.
+ * @see #error_
+ * @private
+ */
+TopologyValidator.prototype.warn_ = function(path, message) {
+  this.problems.push({path: path, message: message,
+                      severity: nv.Severity.WARNING});
+};
+
+
+/**
+ * Checks that the topology is an object holding a nodes list, a links list
+ * and, optionally, a node tree.
+ * @return {boolean} Whether or not the other checks can be run.
+ * @private
+ */
+TopologyValidator.prototype.checkStructure_ = function() {
+  var topology = this.topology;
+
+  if (topology == null || typeof topology != 'object') {
+    this.error_('', 'Topology must be an object');
+    return false;
+  }
+  if (topology.hasOwnProperty('nodes_tree') &&
+      (topology.nodes_tree == null || typeof topology.nodes_tree != 'object')) {
+    this.error_('nodes_tree', 'Node tree must be an object');
+  }
+  if (!(topology.nodes_list instanceof Array)) {
+    this.error_('nodes_list', 'Missing list of nodes');
+  }
+  if (!(topology.links_list instanceof Array)) {
+    this.error_('links_list', 'Missing list of links');
+  }
+  return !this.problems.length;
+};
+
+
+/**
+ * Checks that the nodes of each layer all sit at the same depth of the
+ * hierarchy, and builds the layer order dictionary of the topology.
+ * @see NodesTree.getLayers
+ * @private
+ */
+TopologyValidator.prototype.checkLayers_ = function() {
+  var layers = NodesTree.getLayers(this.topology.nodes_list);
+  this.layerOrder_ = nv.buildLayerOrder(layers.layers);
+  this.problems = this.problems.concat(layers.errors);
+};
+
+
+/**
+ * Checks that every node has a name, a type and a neighbors map.
+ * @private
+ */
+TopologyValidator.prototype.checkNodes_ = function() {
+  var nodesList = this.topology.nodes_list;
+
+  for (var i = 0; i < nodesList.length; i++) {
+    var elt = nodesList[i];
+    var path = 'nodes_list[' + i + ']';
+
+    if (elt == null || typeof elt != 'object') {
+      this.error_(path, 'Node must be an object');
+      continue;
+    }
+    if (typeof elt.nodeName != 'string' || elt.nodeName == '') {
+      this.error_(path + '.nodeName', 'Node has no name');
+    }
+    this.checkType_(elt.type, path + '.type');
+    if (elt.neighbors == null || typeof elt.neighbors != 'object') {
+      this.error_(path + '.neighbors', 'Node has no neighbors map');
+    }
+  }
+};
+
+
+/**
+ * Checks that every link joins two nodes of the nodes list, has a type that
+ * is one of the layers of the topology, and has numeric capacity and
+ * utilization.
+ * @private
+ */
+TopologyValidator.prototype.checkLinks_ = function() {
+  var linksList = this.topology.links_list;
+
+  for (var i = 0; i < linksList.length; i++) {
+    var link = linksList[i];
+    var path = 'links_list[' + i + ']';
+
+    if (link == null || typeof link != 'object') {
+      this.error_(path, 'Link must be an object');
+      continue;
+    }
+    if (!this.isNodeIndex_(link.source)) {
+      this.error_(path + '.source', 'Not a node index: ' + link.source);
+    }
+    if (!this.isNodeIndex_(link.target)) {
+      this.error_(path + '.target', 'Not a node index: ' + link.target);
+    }
+    this.checkType_(link.type, path + '.type');
+    this.checkNumber_(link.capacity, path + '.capacity');
+    this.checkNumber_(link.utilization, path + '.utilization');
+  }
+};
+
+
+/**
+ * Checks that every entry of every neighbors map is the index of a link
+ * between the node and that neighbor, and that every link is listed in the
+ * neighbors map of its source.
+ * @private
+ */
+TopologyValidator.prototype.checkNeighbors_ = function() {
+  var nodesList = this.topology.nodes_list;
+  var linksList = this.topology.links_list;
+
+  for (var i = 0; i < nodesList.length; i++) {
+    var neighbors = nodesList[i] && nodesList[i].neighbors;
+
+    for (var neighbor in neighbors) {
+      var path = 'nodes_list[' + i + '].neighbors[' + neighbor + ']';
+      var linkIndex = neighbors[neighbor];
+      var link = linksList[linkIndex];
+
+      if (!this.isNodeIndex_(parseInt(neighbor, 10))) {
+        this.error_(path, 'Not a node index: ' + neighbor);
+      } else if (link == undefined || linkIndex !== parseInt(linkIndex, 10)) {
+        this.error_(path, 'Not a link index: ' + linkIndex);
+      } else if (link.source != i || link.target != neighbor) {
+        this.error_(path, 'links_list[' + linkIndex + '] joins ' +
+                    link.source + ' and ' + link.target + ', not ' + i +
+                    ' and ' + neighbor);
+      }
+    }
+  }
+
+  for (var i = 0; i < linksList.length; i++) {
+    var link = linksList[i];
+    if (link == null || !this.isNodeIndex_(link.source) ||
+        nodesList[link.source] == null || !nodesList[link.source].neighbors) {
+      continue;
+    }
+    if (nodesList[link.source].neighbors[link.target] !== i) {
+      this.warn_('links_list[' + i + ']', 'Link is missing from ' +
+                 'nodes_list[' + link.source + '].neighbors');
+    }
+  }
+};
+
+
+/**
+ * Checks that the node names fit in a hierarchy, and that the node tree, if
+ * there is one, matches it.
+ * @see NodesTree.buildTreeObject
+ * @see NodesTree.compareTreeObject
+ * @private
+ */
+TopologyValidator.prototype.checkHierarchy_ = function() {
+  var derived = NodesTree.buildTreeObject(this.topology.nodes_list);
+  this.problems = this.problems.concat(derived.errors);
+
+  if (this.topology.nodes_tree && !derived.errors.length) {
+    this.problems = this.problems.concat(NodesTree.compareTreeObject(
+        this.topology.nodes_tree, this.topology.nodes_list));
+  }
+};
+
+
+/**
+ * Checks that a node or link type is one of the layers of the topology, or
+ * the type of a cross link between two of them.
+ * @param {string} type The type to check.
+ * @param {string} path The path of the type in the topology.
+ * @private
+ */
+TopologyValidator.prototype.checkType_ = function(type, path) {
+  if (!this.layerOrder_.hasOwnProperty(type)) {
+    this.error_(path, 'Unknown layer: ' + type);
+  }
+};
+
+
+/**
+ * Checks that a value is a finite number. Missing values are errors too, as
+ * the rollups, link colors and thicknesses and the filters can not do
+ * without them.
+ * @param {number} value The value to check.
+ * @param {string} path The path of the value in the topology.
+ * @private
+ */
+TopologyValidator.prototype.checkNumber_ = function(value, path) {
+  if (value == undefined) {
+    this.error_(path, 'Missing value');
+  } else if (typeof value != 'number' || !isFinite(value)) {
+    this.error_(path, 'Not a number: ' + value);
+  }
+};
+
+
+/**
+ * Determines if a value is an index into the nodes list.
+ * @param {number} index The value to check.
+ * @return {boolean} Whether or not the value is a node index.
+ * @private
+ */
+TopologyValidator.prototype.isNodeIndex_ = function(index) {
+  return index === parseInt(index, 10) && index >= 0 &&
+         index < this.topology.nodes_list.length;
+};
+
+
+/**
+ * Formats a problem as a single line of text, for display or logging.
+ * @param {object} problem A problem as returned by #validate.
+ * @return {string} The formatted problem.
+ */
+TopologyValidator.format = function(problem) {
+  return (problem.path ? problem.path + ': ' : '') + problem.message;
+};
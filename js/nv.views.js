@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Contains the saved views of the Network Visualization app:
+ * named view states kept in the browser's local storage, which can be
+ * restored, renamed, deleted, and exported to or imported from JSON files.
+ * Requires nv.js.
+ */
+
+
+/**
+ * Class that keeps named views. A view holds its name, the name of the
+ * dataset it shows (a key of nv.datasets, or null for a dropped topology)
+ * and the state vector string made by InteractionControl#saveState.
+ * @param {Storage} storage Where to keep the views, usually localStorage. If
+ * it is null or unusable, the views only last as long as the page.
+ * @constructor
+ */
+function SavedViews(storage) {
+
+  /**
+   * Where the views are kept.
+   * @type {Storage}
+   * @private
+   */
+  this.storage_ = storage;
+
+  /**
+   * The views, sorted by name.
+   * @type {Array.<object>}
+   */
+  this.views = [];
+
+  this.load_();
+}
+
+
+/**
+ * The local storage key the views are kept under.
+ */
+SavedViews.STORAGE_KEY = 'nv.savedViews';
+
+
+/**
+ * Version of the view files written by #exportJSON.
+ */
+SavedViews.FILE_VERSION = 1;
+
+
+/**
+ * Reads the views from storage.
+ * @private
+ */
+SavedViews.prototype.load_ = function() {
+  var text = null;
+  try {
+    text = this.storage_ && this.storage_.getItem(SavedViews.STORAGE_KEY);
+  } catch (e) {
+    // Unusable storage: start with no views.
+  }
+  if (text) {
+    this.views = this.readViews_(text, SavedViews.STORAGE_KEY).views;
+  }
+};
+
+
+/**
+ * Writes the views to storage.
+ * @private
+ */
+SavedViews.prototype.store_ = function() {
+  try {
+    if (this.storage_) {
+      this.storage_.setItem(SavedViews.STORAGE_KEY, this.exportJSON());
+    }
+  } catch (e) {
+    // Unusable or full storage: the views last as long as the page.
+  }
+};
+
+
+/**
+ * Gets a view by name.
+ * @param {string} name The name of the view.
+ * @return {object} The view, or null if there is none by that name.
+ */
+SavedViews.prototype.get = function(name) {
+  for (var i = 0; i < this.views.length; i++) {
+    if (this.views[i].name == name) {
+      return this.views[i];
+    }
+  }
+  return null;
+};
+
+
+/**
+ * Saves a view, replacing any view of the same name.
+ * @param {object} view The view.
+ */
+SavedViews.prototype.save = function(view) {
+  this.remove(view.name);
+  this.views.push({name: view.name, dataset: view.dataset,
+                   state: view.state});
+  this.views.sort(function(a, b) {
+    return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+  });
+  this.store_();
+};
+
+
+/**
+ * Renames a view, replacing any view that already has the new name.
+ * @param {string} name The name of the view.
+ * @param {string} newName The new name of the view.
+ */
+SavedViews.prototype.rename = function(name, newName) {
+  var view = this.get(name);
+  if (view && newName != name) {
+    this.remove(name);
+    this.save({name: newName, dataset: view.dataset, state: view.state});
+  }
+};
+
+
+/**
+ * Deletes a view.
+ * @param {string} name The name of the view.
+ */
+SavedViews.prototype.remove = function(name) {
+  this.views = jQuery.grep(this.views, function(view) {
+    return view.name != name;
+  });
+  this.store_();
+};
+
+
+/**
+ * Formats the views as a JSON document.
+ * @return {string} The JSON text.
+ */
+SavedViews.prototype.exportJSON = function() {
+  return JSON.stringify({version: SavedViews.FILE_VERSION,
+                         views: this.views}, null, 2);
+};
+
+
+/**
+ * Adds the views of a JSON document made by #exportJSON, replacing saved
+ * views of the same names.
+ * @param {string} text The JSON text.
+ * @param {string} fileName The name of the file, for reporting.
+ * @return {Array.<object>} The problems found, like those of
+ * TopologyValidator. Views with problems are left out.
+ */
+SavedViews.prototype.importJSON = function(text, fileName) {
+  var imported = this.readViews_(text, fileName);
+  for (var i = 0; i < imported.views.length; i++) {
+    this.save(imported.views[i]);
+  }
+  return imported.problems;
+};
+
+
+/**
+ * Reads the views of a JSON document made by #exportJSON.
+ * @param {string} text The JSON text.
+ * @param {string} path Where the text comes from, for reporting.
+ * @return {object} Dictionary holding the valid views (views) and the
+ * problems found (problems).
+ * @private
+ */
+SavedViews.prototype.readViews_ = function(text, path) {
+  var views = [];
+  var problems = [];
+
+  function error(problemPath, message) {
+    problems.push({path: problemPath, message: message,
+                   severity: nv.Severity.ERROR});
+  };
+
+  var doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    error(path, 'Not a JSON document (' + e.message + ')');
+    return {views: views, problems: problems};
+  }
+  if (doc == null || !(doc.views instanceof Array)) {
+    error(path, 'Missing list of views');
+    return {views: views, problems: problems};
+  }
+  if (doc.version > SavedViews.FILE_VERSION) {
+    problems.push({path: path + ' version', message: 'Written by a newer ' +
+                   'version of the app, some views may not load',
+                   severity: nv.Severity.WARNING});
+  }
+
+  for (var i = 0; i < doc.views.length; i++) {
+    var view = doc.views[i];
+    var viewPath = path + ' views[' + i + ']';
+    if (view == null || typeof view.name != 'string' || view.name == '') {
+      error(viewPath, 'View has no name');
+    } else if (typeof view.state != 'string') {
+      error(viewPath, 'View has no state');
+    } else {
+      views.push({name: view.name, state: view.state,
+                  dataset: typeof view.dataset == 'string' ?
+                      view.dataset : null});
+    }
+  }
+  return {views: views, problems: problems};
+};
+
+
+/**
+ * An instance of SavedViews. Set by main.js once the page has loaded.
+ */
+nv.savedViews = null;
+
+
+/**
+ * Gets the name of the dataset shown, from the dataset picker.
+ * @return {string} The key of the dataset in nv.datasets, or null if the
+ * topology shown is not one of them.
+ */
+nv.getCurrentDataset = function() {
+  var picker = document.getElementById('datasetPicker');
+  return picker.selectedIndex >= 0 ?
+      picker.options[picker.selectedIndex].text : null;
+};
+
+
+/**
+ * Makes a view of what is shown.
+ * @param {string} name The name of the view.
+ * @return {object} The view, as kept by SavedViews.
+ */
+nv.getCurrentView = function(name) {
+  return {name: name, dataset: nv.getCurrentDataset(),
+          state: nv.intControl.saveState()};
+};
+
+
+/**
+ * Shows a view, switching to its dataset first if another one is shown, and
+ * adds the opening to the history. The view state refers to nodes by index,
+ * so it is only restored on the view's own dataset: a view of a topology
+ * that is not one of nv.datasets, such as a dropped file, only gets its
+ * layer, filters and query restored, as for a topology switch. Views of a
+ * state version this app does not know are reported and not shown.
+ * @param {object} view The view, as kept by SavedViews.
+ */
+nv.restoreView = function(view) {
+  var stateVector = InteractionControl.parseState(view.state);
+  var label = 'Open ' + view.name;
+  if (InteractionControl.getStateVersion(stateVector) == null) {
+    nv.reportErrors([InteractionControl.getVersionProblem(
+        'View ' + view.name, stateVector)]);
+    return;
+  }
+
+  if (!nv.datasets.hasOwnProperty(view.dataset)) {
+    if (nv.intControl) {
+      nv.intControl.loadState(nv.intControl.getApplicableState(stateVector));
+      nv.history.record(label);
+    }
+  } else if (view.dataset != nv.getCurrentDataset()) {
+    var picker = document.getElementById('datasetPicker');
+    picker.value = nv.datasets[view.dataset];
+    nv.switchTopology(picker.value, function(errors) {
+      if (!nv.hasErrors(errors)) {
+        nv.history.record(label);
+      }
+    }, stateVector);
+  } else if (nv.intControl) {
+    nv.intControl.loadState(stateVector);
+    nv.history.record(label);
+  }
+};
+
+
+/**
+ * Fills the saved views picker with the names of the saved views.
+ * @param {string=} opt_selected The name of the view to select. By default
+ * none is.
+ */
+nv.fillViewPicker = function(opt_selected) {
+  var picker = document.getElementById('viewPicker');
+  picker.options.length = 0;
+  picker.options.add(new Option(
+      nv.savedViews.views.length ? 'Pick a view' : 'No saved views', ''));
+
+  for (var i = 0; i < nv.savedViews.views.length; i++) {
+    var name = nv.savedViews.views[i].name;
+    picker.options.add(new Option(name, name));
+  }
+  picker.value = opt_selected || '';
+};